@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -13,247 +13,2536 @@ import {
   ActivityIndicator,
 } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import Constants from 'expo-constants';
 
-const API_BASE_URL = 'http://localhost:5000'; // Change this to your backend IP
+// Set "extra.apiBaseUrl" in app.json to your backend's address
+const API_BASE_URL = Constants.expoConfig?.extra?.apiBaseUrl || 'http://localhost:5000';
+
+const persistItem = async (key, value) => {
+  try {
+    await AsyncStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.error(`Error saving ${key}:`, error);
+  }
+};
+
+// Shown until the catalog is synced for the first time, e.g. on a first
+// launch offline; after that the moods saved with the catalog are used
+const DEFAULT_MOODS = [
+  { name: 'sad', label: 'Sad', emoji: '😔', colors: { background: '#E8EAF6', accent: '#5C6BC0' } },
+  { name: 'happy', label: 'Happy', emoji: '😄', colors: { background: '#FFF8E1', accent: '#FFB300' } },
+  { name: 'stressed', label: 'Stressed', emoji: '😤', colors: { background: '#E0F2F1', accent: '#26A69A' } },
+  { name: 'lazy', label: 'Lazy', emoji: '🥱', colors: { background: '#F3E5F5', accent: '#AB47BC' } },
+  { name: 'love', label: 'In Love', emoji: '😍', colors: { background: '#FCE4EC', accent: '#EC407A' } },
+  { name: 'sick', label: 'Sick', emoji: '🤢', colors: { background: '#E8F5E9', accent: '#66BB6A' } },
+  { name: 'bored', label: 'Bored', emoji: '😩', colors: { background: '#FBE9E7', accent: '#FF7043' } },
+];
+
+const DIETS = [
+  { name: 'vegetarian', label: 'Vegetarian' },
+  { name: 'vegan', label: 'Vegan' },
+  { name: 'gluten-free', label: 'Gluten-free' },
+  { name: 'dairy-free', label: 'Dairy-free' },
+  { name: 'nut-free', label: 'Nut-free' },
+];
+
+// Allergen groups that can be excluded alongside single ingredients
+const EXCLUDABLE_TAGS = ['nuts', 'soy'];
+
+const PLAN_MEALS = ['breakfast', 'lunch', 'dinner'];
+const PLAN_DAILY_MINUTES = [30, 60, 90, 120];
+
+// Overrides for the cooking context; left on Auto, the API works the meal
+// and season out from the device clock
+const CONTEXT_MEAL_TYPES = [
+  { name: 'breakfast', label: '🌅 Breakfast' },
+  { name: 'lunch', label: '🥪 Lunch' },
+  { name: 'dinner', label: '🍝 Dinner' },
+  { name: 'snack', label: '🍪 Snack' },
+];
+const CONTEXT_SEASONS = [
+  { name: 'spring', label: '🌱' },
+  { name: 'summer', label: '☀️' },
+  { name: 'autumn', label: '🍂' },
+  { name: 'winter', label: '❄️' },
+];
+const CONTEXT_MINUTES = [15, 30, 60];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// The device's wall-clock time, "2026-10-19T08:15"
+const localTimeString = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+// Shopping list amounts, added up per unit as the API does
+const addAmount = (amounts, { quantity, unit }) => {
+  if (typeof quantity !== 'number') return amounts;
+  const existing = amounts.find(amount => amount.unit === (unit || null));
+  if (existing) {
+    return amounts.map(amount => (amount === existing
+      ? { ...amount, quantity: Math.round((amount.quantity + quantity) * 100) / 100 }
+      : amount));
+  }
+  return [...amounts, { quantity, unit: unit || null }];
+};
+
+// [{ quantity: 600, unit: 'g' }, { quantity: 2, unit: 'cup' }] -> "600 g + 2 cup"
+const formatAmounts = (amounts) =>
+  amounts.map(({ quantity, unit }) => (unit && unit !== 'piece' ? `${quantity} ${unit}` : `${quantity}`)).join(' + ');
+
+// Saved per account and cleared on logout
+const USER_STORAGE_KEYS = [
+  'authToken',
+  'authUser',
+  'favorites',
+  'cookingHistory',
+  'pendingSync',
+  'dietaryProfile',
+  'pantryPresets',
+];
+
+const createClientId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+// Replay queued writes ({ method, path, body }) in order. Stops at the first
+// network or auth failure. Returns { pendingSync, rejected }: the operations
+// still waiting to be sent, and those the API turned down with
+// [{ operation, error }] so they can be reported rather than lost.
+const replayPendingSync = async (token, queue) => {
+  const rejected = [];
+  for (let index = 0; index < queue.length; index += 1) {
+    const { method, path, body } = queue[index];
+    try {
+      const response = await fetch(`${API_BASE_URL}${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      if (response.status === 401) return { pendingSync: queue.slice(index), rejected };
+      // 404 means it's already gone; any other client error won't succeed on retry
+      if (response.status >= 400 && response.status < 500 && response.status !== 404) {
+        const data = await response.json().catch(() => ({}));
+        rejected.push({ operation: queue[index], error: data.error || `HTTP ${response.status}` });
+      }
+    } catch {
+      return { pendingSync: queue.slice(index), rejected };
+    }
+  }
+  return { pendingSync: [], rejected };
+};
+
+// "POST /api/recipes/:id/ratings" -> "Rating"
+const SYNC_LABELS = [
+  { pattern: /\/ratings$/, label: 'Rating' },
+  { pattern: /^\/api\/me\/favorites/, label: 'Favorite' },
+  { pattern: /^\/api\/me\/history/, label: 'Cooking history' },
+  { pattern: /^\/api\/me\/dietary-profile/, label: 'Diet' },
+  { pattern: /^\/api\/me\/pantry-presets/, label: 'Pantry preset' },
+];
+
+const describeRejected = ({ operation, error }) => {
+  const known = SYNC_LABELS.find(({ pattern }) => pattern.test(operation.path));
+  return `${known ? known.label : operation.path}: ${error}`;
+};
+
+// Push queued account changes, then fetch favorites, history, dietary
+// profile and pantry presets from the server. While anything is still
+// queued (offline) the local copies win and only `pendingSync` (and any
+// `rejected` changes) is returned.
+const syncUserData = async (token, queue) => {
+  const { pendingSync, rejected } = await replayPendingSync(token, queue);
+  await persistItem('pendingSync', pendingSync);
+  if (pendingSync.length > 0) return { pendingSync, rejected };
+
+  try {
+    const headers = { Authorization: `Bearer ${token}` };
+    const responses = await Promise.all([
+      fetch(`${API_BASE_URL}/api/me/favorites`, { headers }),
+      fetch(`${API_BASE_URL}/api/me/history`, { headers }),
+      fetch(`${API_BASE_URL}/api/me/dietary-profile`, { headers }),
+      fetch(`${API_BASE_URL}/api/me/pantry-presets`, { headers }),
+    ]);
+    if (responses.some(response => !response.ok)) return { pendingSync, rejected };
+    const [favoritesResponse, historyResponse, profileResponse, presetsResponse] = responses;
+
+    const favorites = (await favoritesResponse.json()).map(favorite => ({
+      recipe: favorite.recipe,
+      mood: favorite.mood,
+      createdAt: favorite.createdAt,
+    }));
+    const cookingHistory = (await historyResponse.json()).map(entry => ({
+      clientId: entry.clientId || entry._id,
+      recipe: entry.recipe || { name: entry.recipeName },
+      mood: entry.mood,
+      cookedAt: entry.cookedAt,
+    }));
+
+    const dietaryProfile = await profileResponse.json();
+    const pantryPresets = (await presetsResponse.json()).map(({ clientId, name, ingredients }) => ({
+      clientId,
+      name,
+      ingredients,
+    }));
+
+    await persistItem('favorites', favorites);
+    await persistItem('cookingHistory', cookingHistory);
+    await persistItem('dietaryProfile', dietaryProfile);
+    await persistItem('pantryPresets', pantryPresets);
+    return { pendingSync, rejected, favorites, cookingHistory, dietaryProfile, pantryPresets };
+  } catch (error) {
+    console.error('Error syncing account data:', error);
+    return { pendingSync, rejected };
+  }
+};
+
+// While offline, how often to check whether the API is back
+const RECONNECT_INTERVAL_MS = 30000;
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+const isApiReachable = async () => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), HEALTH_CHECK_TIMEOUT_MS);
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/health`, { signal: controller.signal });
+    return response.ok;
+  } catch {
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Bring the cached catalog ({ version, syncedAt, recipes, moods,
+// ingredientCategories, dietExclusions }) up to date. The cached version
+// goes out as If-None-Match, so an unchanged catalog is just a 304, and
+// `since` asks for the recipes changed after the last sync only. Network
+// errors are thrown, as from fetch.
+const syncCatalog = async (cached) => {
+  const query = cached ? `?since=${encodeURIComponent(cached.syncedAt)}` : '';
+  const response = await fetch(`${API_BASE_URL}/api/catalog${query}`, {
+    headers: cached ? { 'If-None-Match': `"${cached.version}"` } : {},
+  });
+  if (response.status === 304) return cached;
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const data = await response.json();
+
+  // Keep cached recipes that still exist and didn't change
+  const remaining = new Set(data.recipeIds);
+  const changed = new Set(data.recipes.map(({ _id }) => _id));
+  const kept = cached && !data.full
+    ? cached.recipes.filter(({ _id }) => remaining.has(_id) && !changed.has(_id))
+    : [];
+
+  return {
+    version: data.version,
+    syncedAt: data.syncedAt,
+    recipes: [...kept, ...data.recipes],
+    moods: data.moods,
+    ingredientCategories: data.ingredientCategories,
+    dietExclusions: data.dietExclusions,
+  };
+};
+
+// Meal eaten before each time of day (minutes after midnight), as on the server
+const MEAL_WINDOWS = [
+  { until: 5 * 60, mealType: 'snack' },
+  { until: 10 * 60 + 30, mealType: 'breakfast' },
+  { until: 15 * 60, mealType: 'lunch' },
+  { until: 17 * 60, mealType: 'snack' },
+  { until: 22 * 60, mealType: 'dinner' },
+  { until: 24 * 60, mealType: 'snack' },
+];
+
+// Meteorological seasons by month (January first), northern hemisphere
+const MONTH_SEASONS = [
+  'winter', 'winter', 'spring', 'spring', 'spring', 'summer',
+  'summer', 'summer', 'autumn', 'autumn', 'autumn', 'winter',
+];
+
+const mealTypeAt = (date) => {
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  return MEAL_WINDOWS.find(({ until }) => minutes < until).mealType;
+};
+
+// Offline scoring is simpler than the server's: no substitutions, ratings
+// or cooking history, just ingredients, mood and context
+const LOCAL_MATCH_WEIGHTS = { ingredientCoverage: 0.5, moodTags: 0.35, mealType: 0.1, season: 0.05 };
+const LOCAL_RESULT_COUNT = 3;
+
+// Moods named in typed text by name, label or synonym: { mood: weight }
+const readMoodText = (text, moods) => {
+  const padded = ` ${text.toLowerCase().replace(/[^a-z']+/g, ' ').trim()} `;
+  const mentions = (term) => padded.includes(` ${term.toLowerCase()} `);
+
+  return Object.fromEntries(moods
+    .map(({ name, label, synonyms = [] }) => {
+      const weights = [name, label].filter(mentions).map(() => 1)
+        .concat(synonyms.filter(({ word }) => mentions(word)).map(({ weight }) => weight));
+      return [name, Math.max(0, ...weights)];
+    })
+    .filter(([, weight]) => weight > 0));
+};
+
+// The catalog mood a saved mood stands for: the name itself or what the
+// typed text reads as; null when it reads as nothing ("hungry")
+const knownMoodFor = (text, moods) => {
+  if (!text) return null;
+  if (moods.some(({ name }) => name === text)) return text;
+  const [strongest] = Object.entries(readMoodText(text, moods)).sort(([, a], [, b]) => b - a);
+  return strongest ? strongest[0] : null;
+};
+
+// Picked moods as { mood: weight }, the strongest pick weighing 1
+const blendWeights = (picks) => {
+  const strongest = Math.max(...picks.map(({ intensity }) => intensity));
+  return Object.fromEntries(picks.map(({ mood, intensity }) => [mood, intensity / strongest]));
+};
+
+// Rules of a diet profile a recipe breaks, named as the server names them
+const dietViolations = (recipe, { diets, exclusions }, { tagsOf, dietExclusions }) => [
+  ...diets.filter(diet => recipe.ingredients
+    .some(name => tagsOf(name).some(tag => (dietExclusions[diet] || []).includes(tag)))),
+  ...exclusions.filter(exclusion => recipe.ingredients
+    .some(name => name === exclusion || tagsOf(name).includes(exclusion)))
+    .map(exclusion => `exclude:${exclusion}`),
+];
+
+// Stand-in for /api/get-recipes over the cached catalog, returning the
+// same response shape so the results screen works unchanged
+const matchRecipesLocally = (catalog, { moods, mood, ingredients, diets, exclude, context, seen }) => {
+  const moodWeights = mood ? readMoodText(mood, catalog.moods) : blendWeights(moods);
+  const now = new Date();
+  const mealType = context.mealType || mealTypeAt(now);
+  const season = context.season || MONTH_SEASONS[now.getMonth()];
+  const availableMinutes = context.availableMinutes || null;
+
+  const ingredientTags = new Map(catalog.ingredientCategories
+    .flatMap(({ ingredients: entries }) => entries.map(({ name, tags }) => [name, tags])));
+  const rules = { tagsOf: (name) => ingredientTags.get(name) || [], dietExclusions: catalog.dietExclusions || {} };
+
+  const reasons = {};
+  const allowed = catalog.recipes.filter(recipe => {
+    const violations = dietViolations(recipe, { diets, exclusions: exclude }, rules);
+    violations.forEach(rule => { reasons[rule] = (reasons[rule] || 0) + 1; });
+    return violations.length === 0;
+  });
+  const timely = availableMinutes
+    ? allowed.filter(recipe => recipe.totalMinutes <= availableMinutes)
+    : allowed;
+
+  // Empty meal types or seasons mean the recipe suits any
+  const fits = (tags, value) => (tags && tags.length > 0 ? Number(tags.includes(value)) : 0.5);
+  const totalMoodWeight = Object.values(moodWeights).reduce((sum, weight) => sum + weight, 0);
+
+  const ranked = timely
+    .filter(recipe => !seen.includes(recipe._id))
+    .map(recipe => {
+      const matchingIngredients = recipe.ingredients.filter(name => ingredients.includes(name));
+      const matchedMoods = recipe.moodTags.filter(tag => moodWeights[tag]);
+      const moodFit = totalMoodWeight > 0
+        ? matchedMoods.reduce((sum, tag) => sum + moodWeights[tag], 0) / totalMoodWeight
+        : 0;
+      const score = LOCAL_MATCH_WEIGHTS.ingredientCoverage * (matchingIngredients.length / recipe.ingredients.length)
+        + LOCAL_MATCH_WEIGHTS.moodTags * moodFit
+        + LOCAL_MATCH_WEIGHTS.mealType * fits(recipe.mealTypes, mealType)
+        + LOCAL_MATCH_WEIGHTS.season * fits(recipe.seasons, season);
+
+      return {
+        ...recipe,
+        matchScore: Math.round(score * 100),
+        matchingIngredients,
+        missingIngredients: recipe.ingredients.filter(name => !ingredients.includes(name)),
+        scoreBreakdown: {
+          ingredientCoverage: { matched: matchingIngredients.length, substituted: 0, total: recipe.ingredients.length },
+          moodTags: { matchedMoods },
+        },
+      };
+    })
+    .filter(recipe => recipe.matchingIngredients.length > 0)
+    .sort((a, b) => b.matchScore - a.matchScore || a.name.localeCompare(b.name));
+
+  return {
+    recipes: ranked.slice(0, LOCAL_RESULT_COUNT),
+    alternativesLeft: Math.max(0, ranked.length - LOCAL_RESULT_COUNT),
+    moodInterpretation: {
+      input: mood || '',
+      moods: Object.entries(moodWeights).map(([name, weight]) => ({
+        mood: name,
+        ...(mood ? {} : { intensity: moods.find(pick => pick.mood === name).intensity }),
+        confidence: weight,
+      })),
+    },
+    dietaryFilter: {
+      excludedCount: catalog.recipes.length - allowed.length,
+      reasons: Object.entries(reasons)
+        .map(([rule, count]) => ({ rule, count }))
+        .sort((a, b) => b.count - a.count),
+    },
+    context: {
+      mealType,
+      season,
+      availableMinutes,
+      inferred: [!context.mealType && 'mealType', !context.season && 'season'].filter(Boolean),
+      excludedCount: allowed.length - timely.length,
+    },
+  };
+};
+
+// Defined outside App so its inputs keep focus while App re-renders
+const AuthForm = ({ mode, loading, onSubmit, onSwitchMode, onCancel }) => {
+  const [name, setName] = useState('');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const isRegister = mode === 'register';
+
+  return (
+    <View style={styles.screen}>
+      <Text style={styles.title}>{isRegister ? 'Create your account' : 'Welcome back!'}</Text>
+
+      {isRegister && (
+        <TextInput
+          style={styles.textInput}
+          placeholder="Name (optional)"
+          value={name}
+          onChangeText={setName}
+        />
+      )}
+      <TextInput
+        style={styles.textInput}
+        placeholder="Email"
+        value={email}
+        onChangeText={setEmail}
+        autoCapitalize="none"
+        keyboardType="email-address"
+      />
+      <TextInput
+        style={styles.textInput}
+        placeholder="Password (at least 8 characters)"
+        value={password}
+        onChangeText={setPassword}
+        secureTextEntry
+      />
+
+      <TouchableOpacity
+        style={[styles.submitButton, styles.authSubmitButton, loading && styles.disabledButton]}
+        onPress={() => onSubmit({ name, email, password })}
+        disabled={loading}
+      >
+        {loading ? (
+          <ActivityIndicator color="#fff" />
+        ) : (
+          <Text style={styles.buttonText}>{isRegister ? 'Sign Up' : 'Log In'}</Text>
+        )}
+      </TouchableOpacity>
+
+      <TouchableOpacity style={styles.authSwitch} onPress={onSwitchMode}>
+        <Text style={styles.authSwitchText}>
+          {isRegister ? 'Already have an account? Log in' : 'New here? Create an account'}
+        </Text>
+      </TouchableOpacity>
+
+      <TouchableOpacity style={styles.backButton} onPress={onCancel}>
+        <Text style={styles.buttonText}>Back</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+// Defined outside App so typing doesn't lose focus on every render
+const SearchBar = ({ onSearch }) => {
+  const [query, setQuery] = useState('');
+
+  const submit = () => {
+    if (query.trim()) onSearch(query.trim());
+  };
+
+  return (
+    <View style={styles.searchBar}>
+      <TextInput
+        style={styles.searchInput}
+        placeholder="🔍 Search recipes, e.g. soup or risotto"
+        value={query}
+        onChangeText={setQuery}
+        onSubmitEditing={submit}
+        returnKeyType="search"
+        maxLength={100}
+      />
+      <TouchableOpacity style={styles.searchButton} onPress={submit}>
+        <Text style={styles.searchButtonText}>Search</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+// Defined outside App so typing doesn't lose focus on every render. The
+// text is kept here and handed to App through `onChange`, which must not
+// set App state (App re-rendering re-creates the mood screen around it).
+const JournalNoteInput = ({ initialValue, onChange }) => {
+  const [note, setNote] = useState(initialValue);
+
+  return (
+    <TextInput
+      style={styles.textInput}
+      placeholder="Add a note for your mood journal (optional)"
+      value={note}
+      onChangeText={(text) => {
+        setNote(text);
+        onChange(text);
+      }}
+      maxLength={500}
+    />
+  );
+};
+
+// Text with the [start, end) ranges in `matches` in bold
+const HighlightedText = ({ text, matches, style }) => {
+  const parts = [];
+  let cursor = 0;
+  matches.forEach(([start, end]) => {
+    if (start > cursor) parts.push({ text: text.slice(cursor, start), highlighted: false });
+    parts.push({ text: text.slice(start, end), highlighted: true });
+    cursor = end;
+  });
+  if (cursor < text.length) parts.push({ text: text.slice(cursor), highlighted: false });
+
+  return (
+    <Text style={style}>
+      {parts.map((part, index) => (
+        <Text key={index} style={part.highlighted && styles.searchHighlight}>{part.text}</Text>
+      ))}
+    </Text>
+  );
+};
+
+const SEARCH_FIELD_LABELS = {
+  ingredients: 'Ingredients',
+  description: 'About',
+  moodDescription: 'Mood',
+  instructions: 'Steps',
+};
+
+// Edit distance, for typo-tolerant ingredient search ("brocoli")
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// How well `query` matches `text`, lower is better; null for no match.
+// Prefix, then substring, then letters in order ("bpep"), then a typo or two.
+const fuzzyScore = (query, text) => {
+  if (text.startsWith(query)) return 0;
+  if (text.includes(query)) return 1;
+
+  let position = 0;
+  for (const letter of text) {
+    if (letter === query[position]) position += 1;
+  }
+  if (position === query.length && query.length >= 3) return 2;
+
+  const allowedTypos = query.length >= 7 ? 2 : query.length >= 4 ? 1 : 0;
+  const closest = Math.min(
+    ...[text, ...text.split(' ')].map(word => editDistance(query, word.slice(0, query.length + 1)))
+  );
+  return closest <= allowedTypos ? 3 + closest : null;
+};
+
+// Catalog categories narrowed to ingredients matching `query` by name or alias
+const searchCatalog = (categories, query) => {
+  const text = query.trim().toLowerCase();
+  if (!text) return categories;
+
+  return categories
+    .map(category => ({
+      ...category,
+      ingredients: category.ingredients
+        .map(ingredient => ({
+          ingredient,
+          score: Math.min(
+            ...[ingredient.name, ...(ingredient.aliases || [])]
+              .map(name => fuzzyScore(text, name))
+              .map(score => (score === null ? Infinity : score))
+          ),
+        }))
+        .filter(({ score }) => score !== Infinity)
+        .sort((a, b) => a.score - b.score)
+        .map(({ ingredient }) => ingredient),
+    }))
+    .filter(({ ingredients }) => ingredients.length > 0);
+};
+
+// Defined outside App so the search and preset name inputs keep focus
+const IngredientsScreen = ({
+  categories,
+  selected,
+  presets,
+  loading,
+  onToggle,
+  onSelect,
+  onSavePreset,
+  onDeletePreset,
+  onBack,
+  onSubmit,
+}) => {
+  const [query, setQuery] = useState('');
+  const [collapsed, setCollapsed] = useState({});
+  const [presetName, setPresetName] = useState('');
+  const matches = searchCatalog(categories, query);
+  const searching = query.trim() !== '';
+
+  const toggleCategory = (category) => setCollapsed({ ...collapsed, [category]: !collapsed[category] });
+
+  // Select-all / clear-all for one category, keeping the rest of the selection
+  const setCategorySelected = (ingredients, select) => {
+    const names = ingredients.map(({ name }) => name);
+    onSelect(select
+      ? [...new Set([...selected, ...names])]
+      : selected.filter(name => !names.includes(name)));
+  };
+
+  const savePreset = () => {
+    onSavePreset(presetName.trim());
+    setPresetName('');
+  };
+
+  return (
+    <View style={styles.screen}>
+      <Text style={styles.title}>What ingredients do you have?</Text>
+
+      <TextInput
+        style={styles.textInput}
+        placeholder="Search ingredients..."
+        value={query}
+        onChangeText={setQuery}
+        autoCapitalize="none"
+        autoCorrect={false}
+      />
+
+      {presets.length > 0 && (
+        <ScrollView horizontal style={styles.presetRow} showsHorizontalScrollIndicator={false}>
+          {presets.map(preset => (
+            <TouchableOpacity
+              key={preset.clientId}
+              style={styles.presetChip}
+              onPress={() => onSelect(preset.ingredients)}
+              onLongPress={() => onDeletePreset(preset)}
+            >
+              <Text style={styles.presetChipText}>🧺 {preset.name} ({preset.ingredients.length})</Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      )}
+
+      <ScrollView style={styles.ingredientsContainer}>
+        {matches.length === 0 && (
+          <Text style={styles.noRecipesSubtext}>No ingredients match “{query}”</Text>
+        )}
+        {matches.map(({ category, label, ingredients }) => {
+          const open = searching || !collapsed[category];
+          const allSelected = ingredients.every(({ name }) => selected.includes(name));
+
+          return (
+            <View key={category} style={styles.categorySection}>
+              <View style={styles.categoryHeader}>
+                <TouchableOpacity style={styles.categoryToggle} onPress={() => toggleCategory(category)}>
+                  <Text style={styles.categoryTitle}>
+                    {open ? '▾' : '▸'} {label} ({ingredients.filter(({ name }) => selected.includes(name)).length}/{ingredients.length})
+                  </Text>
+                </TouchableOpacity>
+                <TouchableOpacity onPress={() => setCategorySelected(ingredients, !allSelected)}>
+                  <Text style={styles.categoryAction}>{allSelected ? 'Clear all' : 'Select all'}</Text>
+                </TouchableOpacity>
+              </View>
+
+              {open && (
+                <View style={styles.ingredientsGrid}>
+                  {ingredients.map(({ name }) => (
+                    <TouchableOpacity
+                      key={name}
+                      style={[
+                        styles.ingredientButton,
+                        selected.includes(name) && styles.selectedIngredient
+                      ]}
+                      onPress={() => onToggle(name)}
+                    >
+                      <Text style={[
+                        styles.ingredientText,
+                        selected.includes(name) && styles.selectedIngredientText
+                      ]}>
+                        {name}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              )}
+            </View>
+          );
+        })}
+      </ScrollView>
+
+      {selected.length > 0 && (
+        <View style={styles.presetForm}>
+          <TextInput
+            style={[styles.textInput, styles.presetNameInput]}
+            placeholder="Save these as a pantry preset..."
+            value={presetName}
+            onChangeText={setPresetName}
+            maxLength={50}
+          />
+          <TouchableOpacity
+            style={[styles.presetSaveButton, !presetName.trim() && styles.disabledButton]}
+            onPress={savePreset}
+            disabled={!presetName.trim()}
+          >
+            <Text style={styles.buttonText}>Save</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      <View style={styles.buttonRow}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={onBack}
+        >
+          <Text style={styles.buttonText}>Back</Text>
+        </TouchableOpacity>
+        
+        <TouchableOpacity
+          style={[styles.submitButton, loading && styles.disabledButton]}
+          onPress={onSubmit}
+          disabled={loading}
+        >
+          {loading ? (
+            <ActivityIndicator color="#fff" />
+          ) : (
+            <Text style={styles.buttonText}>Get Recipes!</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const MOOD_SCALE = ['😞', '🙁', '😐', '🙂', '😄'];
+
+// How strongly a newly picked mood counts, before its slider is touched
+const DEFAULT_MOOD_INTENSITY = 0.5;
+
+// Drag or tap along the track to set an intensity from 0.1 to 1. The value
+// is only reported on release: the mood screen is rebuilt on every App state
+// change, which would cut a drag short.
+const IntensitySlider = ({ value, color, onChange }) => {
+  const [width, setWidth] = useState(0);
+  const [dragValue, setDragValue] = useState(null);
+  const shown = dragValue === null ? value : dragValue;
+
+  const valueAt = (x) => (width > 0 ? Math.min(1, Math.max(0.1, Math.round((x / width) * 10) / 10)) : value);
+
+  return (
+    <View
+      style={styles.sliderTrack}
+      onLayout={(event) => setWidth(event.nativeEvent.layout.width)}
+      onStartShouldSetResponder={() => true}
+      onMoveShouldSetResponder={() => true}
+      onResponderTerminationRequest={() => false}
+      onResponderGrant={(event) => setDragValue(valueAt(event.nativeEvent.locationX))}
+      onResponderMove={(event) => setDragValue(valueAt(event.nativeEvent.locationX))}
+      onResponderRelease={() => {
+        if (dragValue !== null) onChange(dragValue);
+        setDragValue(null);
+      }}
+      onResponderTerminate={() => setDragValue(null)}
+    >
+      <View pointerEvents="none" style={[styles.sliderFill, { width: `${shown * 100}%`, backgroundColor: color }]} />
+    </View>
+  );
+};
+
+const ScalePicker = ({ label, options, value, onChange }) => (
+  <View style={styles.ratingRow}>
+    <Text style={styles.ratingLabel}>{label}</Text>
+    <View style={styles.ratingOptions}>
+      {options.map((option, index) => (
+        <TouchableOpacity
+          key={index}
+          style={[styles.ratingOption, value === index + 1 && styles.selectedRatingOption]}
+          onPress={() => onChange(index + 1)}
+        >
+          <Text style={styles.ratingOptionText}>{option}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  </View>
+);
+
+// "Did this help?" check-in shown after logging a cooked recipe. Ratings
+// are filed under a catalog mood, so one must be picked when the cooked-for
+// mood isn't one (cooked from favorites, or typed as "hungry"). The mood
+// check-in is optional, but before and after go together.
+const RatingForm = ({ recipe, mood, moods, onSubmit, onSkip }) => {
+  const [ratedMood, setRatedMood] = useState(() => knownMoodFor(mood, moods));
+  const [stars, setStars] = useState(0);
+  const [moodBefore, setMoodBefore] = useState(0);
+  const [moodAfter, setMoodAfter] = useState(0);
+  const checkInComplete = (moodBefore > 0) === (moodAfter > 0);
+  const canSubmit = stars > 0 && checkInComplete && ratedMood !== null;
+
+  return (
+    <View style={styles.screen}>
+      <Text style={styles.title}>How was {recipe.name}?</Text>
+
+      <Text style={styles.ratingLabel}>Cooked for which mood?</Text>
+      <View style={styles.planChoiceRow}>
+        {moods.map(({ name, emoji, label }) => (
+          <TouchableOpacity
+            key={name}
+            style={[styles.planChoice, ratedMood === name && styles.selectedIngredient]}
+            onPress={() => setRatedMood(name)}
+          >
+            <Text style={[styles.planChoiceText, ratedMood === name && styles.selectedIngredientText]}>
+              {emoji} {label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <ScalePicker
+        label="Your rating"
+        options={[1, 2, 3, 4, 5].map(star => (star <= stars ? '⭐' : '☆'))}
+        value={stars}
+        onChange={setStars}
+      />
+      <ScalePicker
+        label={ratedMood ? `Feeling ${ratedMood} before cooking?` : 'How did you feel before cooking?'}
+        options={MOOD_SCALE}
+        value={moodBefore}
+        onChange={setMoodBefore}
+      />
+      <ScalePicker
+        label="And after eating?"
+        options={MOOD_SCALE}
+        value={moodAfter}
+        onChange={setMoodAfter}
+      />
+      {!checkInComplete && (
+        <Text style={styles.ratingHint}>Pick both a before and an after mood, or neither.</Text>
+      )}
+
+      <View style={styles.buttonRow}>
+        <TouchableOpacity style={styles.backButton} onPress={onSkip}>
+          <Text style={styles.buttonText}>Skip</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.submitButton, !canSubmit && styles.disabledButton]}
+          onPress={() => onSubmit({
+            mood: ratedMood,
+            stars,
+            moodBefore: moodBefore || null,
+            moodAfter: moodAfter || null,
+          })}
+          disabled={!canSubmit}
+        >
+          <Text style={styles.buttonText}>Save Rating</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
 
 const App = () => {
   const [currentScreen, setCurrentScreen] = useState('mood');
-  const [selectedMood, setSelectedMood] = useState('');
+  const [selectedMoods, setSelectedMoods] = useState([]);
   const [customMood, setCustomMood] = useState('');
+  // A ref rather than state, see JournalNoteInput
+  const moodNoteRef = useRef('');
   const [selectedIngredients, setSelectedIngredients] = useState([]);
   const [availableIngredients, setAvailableIngredients] = useState([]);
+  const [ingredientCategories, setIngredientCategories] = useState([]);
+  const [pantryPresets, setPantryPresets] = useState([]);
   const [recipes, setRecipes] = useState([]);
+  const [moodInterpretation, setMoodInterpretation] = useState(null);
+  const [shoppingList, setShoppingList] = useState([]);
+  const [shoppingRecipeIds, setShoppingRecipeIds] = useState([]);
+  const [units, setUnits] = useState(null);
+  const [scaledRecipes, setScaledRecipes] = useState({});
+  const [authToken, setAuthToken] = useState(null);
+  const [currentUser, setCurrentUser] = useState(null);
+  const [favorites, setFavorites] = useState([]);
+  const [cookingHistory, setCookingHistory] = useState([]);
+  const [pendingSync, setPendingSync] = useState([]);
+  const [ratingEntry, setRatingEntry] = useState(null);
+  const [moodStats, setMoodStats] = useState(null);
+  const [dietaryProfile, setDietaryProfile] = useState({ diets: [], exclusions: [] });
+  const [dietaryFilter, setDietaryFilter] = useState(null);
+  const [contextOverride, setContextOverride] = useState({ mealType: null, season: null, availableMinutes: null });
+  const [recipeContext, setRecipeContext] = useState(null);
+  const [seenRecipeIds, setSeenRecipeIds] = useState([]);
+  const [alternativesLeft, setAlternativesLeft] = useState(0);
+  const [mealPlan, setMealPlan] = useState(null);
+  const [planUnfilled, setPlanUnfilled] = useState([]);
+  const [planWeekOffset, setPlanWeekOffset] = useState(0);
+  const [planSettings, setPlanSettings] = useState({ weekdays: '', weekend: '', dailyMinutes: 90, meals: ['dinner'] });
+  const [shoppingReturnScreen, setShoppingReturnScreen] = useState('results');
+  const [search, setSearch] = useState(null);
+  const [searchReturnScreen, setSearchReturnScreen] = useState('mood');
+  const [ratingReturnScreen, setRatingReturnScreen] = useState('results');
+  const [moods, setMoods] = useState(DEFAULT_MOODS);
+  const [catalog, setCatalog] = useState(null);
+  const [isOnline, setIsOnline] = useState(true);
+  const [matchedOffline, setMatchedOffline] = useState(false);
   const [loading, setLoading] = useState(false);
 
-  const moods = [
-    { emoji: '😔', name: 'sad', label: 'Sad' },
-    { emoji: '😄', name: 'happy', label: 'Happy' },
-    { emoji: '😤', name: 'stressed', label: 'Stressed' },
-    { emoji: '🥱', name: 'lazy', label: 'Lazy' },
-    { emoji: '😍', name: 'love', label: 'In Love' },
-    { emoji: '🤢', name: 'sick', label: 'Sick' },
-    { emoji: '😩', name: 'bored', label: 'Bored' },
-  ];
-
   useEffect(() => {
-    fetchIngredients();
+    loadCatalog();
     loadSavedData();
   }, []);
 
-  const fetchIngredients = async () => {
+  // fetch against the API, sending the auth token when logged in. Any
+  // answer means we're online; a network failure means we're not.
+  const apiFetch = async (path, options = {}) => {
+    const headers = {
+      'Content-Type': 'application/json',
+      ...options.headers,
+    };
+    if (authToken) headers.Authorization = `Bearer ${authToken}`;
+
     try {
-      const response = await fetch(`${API_BASE_URL}/api/ingredients`);
-      const data = await response.json();
-      setAvailableIngredients(data);
+      const response = await fetch(`${API_BASE_URL}${path}`, { ...options, headers });
+      setIsOnline(true);
+      return response;
+    } catch (error) {
+      if (error instanceof TypeError) setIsOnline(false);
+      throw error;
+    }
+  };
+
+  // Start from the catalog saved on this device so the app works offline,
+  // then bring it up to date from the API
+  const loadCatalog = async () => {
+    const applyCatalog = (next) => {
+      setCatalog(next);
+      if (next.moods.length > 0) setMoods(next.moods);
+      // The ingredients come grouped by category
+      setIngredientCategories(next.ingredientCategories);
+      setAvailableIngredients(next.ingredientCategories.flatMap(({ ingredients }) => ingredients.map(({ name }) => name)));
+    };
+
+    let cached = null;
+    try {
+      const savedCatalog = await AsyncStorage.getItem('catalog');
+      if (savedCatalog) {
+        cached = JSON.parse(savedCatalog);
+        applyCatalog(cached);
+      }
+
+      const synced = await syncCatalog(cached);
+      setIsOnline(true);
+      if (synced !== cached) {
+        applyCatalog(synced);
+        await persistItem('catalog', synced);
+      }
+    } catch (error) {
+      console.error('Error syncing catalog:', error);
+      // fetch rejects with a TypeError when the network is unreachable
+      if (error instanceof TypeError) setIsOnline(false);
+      if (!cached) Alert.alert('Error', 'Failed to load recipes. Please check your connection.');
+    }
+  };
+
+  const loadSavedData = async () => {
+    try {
+      const savedMoods = await AsyncStorage.getItem('selectedMoods');
+      const savedIngredients = await AsyncStorage.getItem('selectedIngredients');
+      const savedShoppingList = await AsyncStorage.getItem('shoppingList');
+      const savedShoppingRecipeIds = await AsyncStorage.getItem('shoppingRecipeIds');
+      const savedUnits = await AsyncStorage.getItem('units');
+      const savedToken = await AsyncStorage.getItem('authToken');
+      const savedUser = await AsyncStorage.getItem('authUser');
+      const savedFavorites = await AsyncStorage.getItem('favorites');
+      const savedHistory = await AsyncStorage.getItem('cookingHistory');
+      const savedPendingSync = await AsyncStorage.getItem('pendingSync');
+      const savedDietaryProfile = await AsyncStorage.getItem('dietaryProfile');
+      const savedPantryPresets = await AsyncStorage.getItem('pantryPresets');
+      
+      if (savedMoods) setSelectedMoods(JSON.parse(savedMoods));
+      if (savedIngredients) setSelectedIngredients(JSON.parse(savedIngredients));
+      if (savedShoppingList) setShoppingList(JSON.parse(savedShoppingList));
+      if (savedShoppingRecipeIds) setShoppingRecipeIds(JSON.parse(savedShoppingRecipeIds));
+      if (savedUnits) setUnits(savedUnits);
+      if (savedToken) setAuthToken(savedToken);
+      if (savedUser) setCurrentUser(JSON.parse(savedUser));
+      if (savedFavorites) setFavorites(JSON.parse(savedFavorites));
+      if (savedHistory) setCookingHistory(JSON.parse(savedHistory));
+      if (savedDietaryProfile) setDietaryProfile(JSON.parse(savedDietaryProfile));
+      if (savedPantryPresets) setPantryPresets(JSON.parse(savedPantryPresets));
+
+      const queue = savedPendingSync ? JSON.parse(savedPendingSync) : [];
+      setPendingSync(queue);
+
+      if (savedToken) {
+        const synced = await syncUserData(savedToken, queue);
+        setPendingSync(synced.pendingSync);
+        if (synced.favorites) setFavorites(synced.favorites);
+        if (synced.cookingHistory) setCookingHistory(synced.cookingHistory);
+        if (synced.dietaryProfile) setDietaryProfile(synced.dietaryProfile);
+        if (synced.pantryPresets) setPantryPresets(synced.pantryPresets);
+        if (synced.rejected.length > 0) {
+          Alert.alert("Some changes weren't saved", synced.rejected.map(describeRejected).join('\n'));
+        }
+      }
+    } catch (error) {
+      console.error('Error loading saved data:', error);
+    }
+  };
+
+  const runSync = async (token, queue) => {
+    const synced = await syncUserData(token, queue);
+    setPendingSync(synced.pendingSync);
+    if (synced.favorites) setFavorites(synced.favorites);
+    if (synced.cookingHistory) setCookingHistory(synced.cookingHistory);
+    if (synced.dietaryProfile) setDietaryProfile(synced.dietaryProfile);
+    if (synced.pantryPresets) setPantryPresets(synced.pantryPresets);
+    if (synced.rejected.length > 0) {
+      Alert.alert("Some changes weren't saved", synced.rejected.map(describeRejected).join('\n'));
+    }
+  };
+
+  // Queue a write for the API and, when online, try to send it straight
+  // away; offline it waits for the reconnect below
+  const queueSync = async (operation) => {
+    const queue = [...pendingSync, operation];
+    setPendingSync(queue);
+    await persistItem('pendingSync', queue);
+    if (authToken && isOnline) runSync(authToken, queue);
+  };
+
+  // Reassigned every render so the interval below always sees current state
+  const reconnectRef = useRef(null);
+  reconnectRef.current = () => {
+    setIsOnline(true);
+    if (authToken && pendingSync.length > 0) runSync(authToken, pendingSync);
+    loadCatalog();
+  };
+
+  // While offline, check now and then whether the API is back; when it is,
+  // send the queued changes and refresh the catalog
+  useEffect(() => {
+    if (isOnline) return undefined;
+
+    const interval = setInterval(async () => {
+      if (await isApiReachable()) reconnectRef.current();
+    }, RECONNECT_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [isOnline]);
+
+  const saveData = async () => {
+    try {
+      await AsyncStorage.setItem('selectedMoods', JSON.stringify(selectedMoods));
+      await AsyncStorage.setItem('selectedIngredients', JSON.stringify(selectedIngredients));
     } catch (error) {
-      console.error('Error fetching ingredients:', error);
-      Alert.alert('Error', 'Failed to load ingredients. Please check your connection.');
+      console.error('Error saving data:', error);
+    }
+  };
+
+  // Tapping a mood adds it to the blend, tapping it again takes it out
+  const handleMoodSelect = (mood) => {
+    if (selectedMoods.some(pick => pick.mood === mood)) {
+      setSelectedMoods(selectedMoods.filter(pick => pick.mood !== mood));
+    } else {
+      setSelectedMoods([...selectedMoods, { mood, intensity: DEFAULT_MOOD_INTENSITY }]);
+    }
+    setCustomMood('');
+  };
+
+  const setMoodIntensity = (mood, intensity) => {
+    setSelectedMoods(selectedMoods.map(pick => (pick.mood === mood ? { ...pick, intensity } : pick)));
+  };
+
+  // The one mood favorites, history and ratings are filed under: what was
+  // typed, or else the strongest pick
+  const activeMood = () => {
+    if (customMood) return customMood;
+    if (selectedMoods.length === 0) return '';
+    return selectedMoods.reduce((strongest, pick) => (pick.intensity > strongest.intensity ? pick : strongest)).mood;
+  };
+
+  const handleIngredientToggle = (ingredient) => {
+    if (selectedIngredients.includes(ingredient)) {
+      setSelectedIngredients(selectedIngredients.filter(item => item !== ingredient));
+    } else {
+      setSelectedIngredients([...selectedIngredients, ingredient]);
+    }
+  };
+
+  const savePantryPreset = async (name) => {
+    const preset = { clientId: createClientId(), name, ingredients: selectedIngredients };
+    const next = [...pantryPresets, preset];
+
+    setPantryPresets(next);
+    await persistItem('pantryPresets', next);
+    await queueSync({
+      method: 'PUT',
+      path: `/api/me/pantry-presets/${preset.clientId}`,
+      body: { name: preset.name, ingredients: preset.ingredients },
+    });
+  };
+
+  const deletePantryPreset = (preset) => {
+    Alert.alert('Delete preset?', `Remove "${preset.name}" from your pantry presets?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          const next = pantryPresets.filter(({ clientId }) => clientId !== preset.clientId);
+          setPantryPresets(next);
+          await persistItem('pantryPresets', next);
+          await queueSync({ method: 'DELETE', path: `/api/me/pantry-presets/${preset.clientId}` });
+        },
+      },
+    ]);
+  };
+
+  // `seen` holds the recipes already shown for this search, for "show me
+  // something else"; empty for a new search
+  const requestRecipes = async (seen) => {
+    if (selectedMoods.length === 0 && !customMood) {
+      Alert.alert('Error', 'Please select a mood or enter a custom mood.');
+      return;
+    }
+
+    if (selectedIngredients.length === 0) {
+      Alert.alert('Error', 'Please select at least one ingredient.');
+      return;
+    }
+
+    setLoading(true);
+
+    const request = {
+      ...(customMood ? { mood: customMood } : { moods: selectedMoods }),
+      ingredients: selectedIngredients,
+      note: moodNoteRef.current,
+      diets: dietaryProfile.diets,
+      exclude: dietaryProfile.exclusions,
+      context: {
+        localTime: localTimeString(new Date()),
+        ...Object.fromEntries(Object.entries(contextOverride).filter(([, value]) => value !== null)),
+      },
+      seen,
+    };
+
+    const showResults = async (data, offline) => {
+      setRecipes(data.recipes);
+      setSeenRecipeIds(seen);
+      setAlternativesLeft(data.alternativesLeft || 0);
+      setRecipeContext(data.context || null);
+      setScaledRecipes({});
+      setMoodInterpretation(data.moodInterpretation);
+      setDietaryFilter(data.dietaryFilter || null);
+      setMatchedOffline(offline);
+      moodNoteRef.current = '';
+      setCurrentScreen('results');
+      await saveData();
+    };
+
+    const canMatchLocally = catalog && catalog.recipes.length > 0;
+
+    try {
+      if (!isOnline && canMatchLocally) {
+        await showResults(matchRecipesLocally(catalog, request), true);
+        return;
+      }
+
+      const response = await apiFetch('/api/get-recipes', {
+        method: 'POST',
+        body: JSON.stringify(request),
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        // Picks of moods removed from the catalog since they were saved
+        if (data.field === 'moods' && Array.isArray(data.values)) {
+          setSelectedMoods(selectedMoods.filter(pick => !data.values.includes(pick.mood)));
+        }
+        const message = data.details
+          ? data.details.map(detail => detail.message).join('\n')
+          : data.error;
+        Alert.alert('Error', message || 'Failed to get recipes.');
+        return;
+      }
+      await showResults(data, false);
+    } catch (error) {
+      if (error instanceof TypeError && canMatchLocally) {
+        await showResults(matchRecipesLocally(catalog, request), true);
+      } else {
+        console.error('Error fetching recipes:', error);
+        Alert.alert('Error', 'Failed to get recipes. Please check your connection.');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const submitRequest = () => requestRecipes([]);
+
+  // Next few recipes for the same search, none shown before; once they run
+  // out this starts over from the best matches
+  const showSomethingElse = () => {
+    if (alternativesLeft === 0) return requestRecipes([]);
+    return requestRecipes([...seenRecipeIds, ...recipes.map(({ _id }) => _id)]);
+  };
+
+  const saveShoppingList = async (items, recipeIds) => {
+    setShoppingList(items);
+    setShoppingRecipeIds(recipeIds);
+    try {
+      await AsyncStorage.setItem('shoppingList', JSON.stringify(items));
+      await AsyncStorage.setItem('shoppingRecipeIds', JSON.stringify(recipeIds));
+    } catch (error) {
+      console.error('Error saving shopping list:', error);
+    }
+  };
+
+  // Merge a recipe's missing items into the list without the API
+  const mergeMissingIngredients = (items, recipe) => {
+    const merged = items.map(item => ({ ...item, recipes: [...item.recipes], amounts: item.amounts || [] }));
+    recipe.missingIngredients.forEach(ingredient => {
+      const line = (recipe.ingredientDetails || []).find(({ name }) => name === ingredient) || {};
+      const existing = merged.find(item => item.ingredient === ingredient);
+      if (existing) {
+        if (!existing.recipes.includes(recipe.name)) existing.recipes.push(recipe.name);
+        existing.amounts = addAmount(existing.amounts, line);
+      } else {
+        merged.push({ ingredient, recipes: [recipe.name], amounts: addAmount([], line) });
+      }
+    });
+    return merged.map(item => ({ ...item, count: item.recipes.length }));
+  };
+
+  // The list screen's Back returns to wherever it was opened from
+  const openShoppingList = (returnScreen) => {
+    setShoppingReturnScreen(returnScreen);
+    setCurrentScreen('shopping');
+  };
+
+  const addToShoppingList = async (recipe) => {
+    if (shoppingRecipeIds.includes(recipe._id)) {
+      Alert.alert('Shopping List', `${recipe.name} is already on your list.`);
+      return;
+    }
+
+    const recipeIds = [...shoppingRecipeIds, recipe._id];
+
+    try {
+      const response = await apiFetch('/api/shopping-list', {
+        method: 'POST',
+        body: JSON.stringify({
+          recipeIds,
+          ingredients: selectedIngredients,
+        }),
+      });
+
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const data = await response.json();
+      await saveShoppingList(data.items, recipeIds);
+    } catch (error) {
+      console.error('Error building shopping list:', error);
+      await saveShoppingList(mergeMissingIngredients(shoppingList, recipe), recipeIds);
+    }
+
+    Alert.alert('Shopping List', `Added missing items for ${recipe.name}.`);
+  };
+
+  const removeShoppingItem = (ingredient) => {
+    saveShoppingList(
+      shoppingList.filter(item => item.ingredient !== ingredient),
+      shoppingRecipeIds
+    );
+  };
+
+  const fetchScaledRecipe = async (recipeId, servings, unitSystem) => {
+    try {
+      const params = [`servings=${servings}`];
+      if (unitSystem) params.push(`units=${unitSystem}`);
+
+      const response = await apiFetch(`/api/recipes/${recipeId}?${params.join('&')}`);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const data = await response.json();
+
+      setScaledRecipes(previous => ({
+        ...previous,
+        [recipeId]: { servings: data.servings, ingredientDetails: data.ingredientDetails },
+      }));
+    } catch (error) {
+      console.error('Error scaling recipe:', error);
+      Alert.alert('Error', 'Failed to update servings. Please check your connection.');
+    }
+  };
+
+  const currentServings = (recipe) => (scaledRecipes[recipe._id] || recipe).servings;
+
+  const changeServings = (recipe, delta) => {
+    const servings = currentServings(recipe) + delta;
+    if (servings < 1 || servings > 20) return;
+    fetchScaledRecipe(recipe._id, servings, units);
+  };
+
+  const changeUnits = async (unitSystem) => {
+    setUnits(unitSystem);
+    recipes.forEach(recipe => fetchScaledRecipe(recipe._id, currentServings(recipe), unitSystem));
+    try {
+      await AsyncStorage.setItem('units', unitSystem);
+    } catch (error) {
+      console.error('Error saving units:', error);
+    }
+  };
+
+  const authenticate = async (mode, credentials) => {
+    setLoading(true);
+    try {
+      const response = await apiFetch(`/api/auth/${mode}`, {
+        method: 'POST',
+        body: JSON.stringify(credentials),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        const message = data.details
+          ? data.details.map(detail => detail.message).join('\n')
+          : data.error;
+        Alert.alert(mode === 'register' ? 'Sign up failed' : 'Login failed', message);
+        return;
+      }
+
+      setAuthToken(data.token);
+      setCurrentUser(data.user);
+      await AsyncStorage.setItem('authToken', data.token);
+      await AsyncStorage.setItem('authUser', JSON.stringify(data.user));
+      setCurrentScreen('mood');
+      runSync(data.token, pendingSync);
+    } catch (error) {
+      console.error('Error authenticating:', error);
+      Alert.alert('Error', 'Failed to reach the server. Please check your connection.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Everything tied to the account goes, so the next person to log in on
+  // this device neither sees it nor has it replayed into their account
+  const clearSession = async () => {
+    setAuthToken(null);
+    setCurrentUser(null);
+    setMoodStats(null);
+    setMealPlan(null);
+    setPlanUnfilled([]);
+    setFavorites([]);
+    setCookingHistory([]);
+    setPendingSync([]);
+    setRatingEntry(null);
+    setDietaryProfile({ diets: [], exclusions: [] });
+    setPantryPresets([]);
+    try {
+      await AsyncStorage.multiRemove(USER_STORAGE_KEYS);
+    } catch (error) {
+      console.error('Error clearing session:', error);
+    }
+  };
+
+  const logout = () => {
+    if (pendingSync.length === 0) {
+      clearSession();
+      return;
+    }
+    Alert.alert('Log out?', `${pendingSync.length} change(s) haven't synced yet and will be lost.`, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Log out', style: 'destructive', onPress: clearSession },
+    ]);
+  };
+
+  // Keep what the cards need, without per-search scoring data
+  const recipeSnapshot = ({
+    scoreBreakdown,
+    matchScore,
+    matchingIngredients,
+    missingIngredients,
+    substitutions,
+    relevance,
+    highlights,
+    ...recipe
+  }) => recipe;
+
+  const isFavorite = (recipe) => favorites.some(favorite => favorite.recipe._id === recipe._id);
+
+  const toggleFavorite = async (recipe) => {
+    const mood = activeMood();
+
+    if (isFavorite(recipe)) {
+      const next = favorites.filter(favorite => favorite.recipe._id !== recipe._id);
+      setFavorites(next);
+      await persistItem('favorites', next);
+      await queueSync({ method: 'DELETE', path: `/api/me/favorites/${recipe._id}` });
+    } else {
+      const next = [{ recipe: recipeSnapshot(recipe), mood, createdAt: new Date().toISOString() }, ...favorites];
+      setFavorites(next);
+      await persistItem('favorites', next);
+      await queueSync({ method: 'POST', path: '/api/me/favorites', body: { recipeId: recipe._id, mood } });
+    }
+  };
+
+  const logCooked = async (recipe) => {
+    const entry = {
+      clientId: createClientId(),
+      recipe: recipeSnapshot(recipe),
+      mood: activeMood(),
+      cookedAt: new Date().toISOString(),
+    };
+    const next = [entry, ...cookingHistory];
+
+    setCookingHistory(next);
+    await persistItem('cookingHistory', next);
+    await queueSync({
+      method: 'POST',
+      path: '/api/me/history',
+      body: { recipeId: recipe._id, mood: entry.mood, cookedAt: entry.cookedAt, clientId: entry.clientId },
+    });
+    setRatingEntry(entry);
+    setRatingReturnScreen(currentScreen);
+    setCurrentScreen('rate');
+  };
+
+  const submitRating = async ({ mood, stars, moodBefore, moodAfter }) => {
+    const { recipe, clientId: historyId } = ratingEntry;
+
+    setRatingEntry(null);
+    setCurrentScreen(ratingReturnScreen);
+    await queueSync({
+      method: 'POST',
+      path: `/api/recipes/${recipe._id}/ratings`,
+      body: { historyId, mood, stars, moodBefore, moodAfter, clientId: createClientId() },
+    });
+    Alert.alert('Thanks!', 'Your rating helps us pick better recipes for your mood.');
+  };
+
+  const shareRecipe = async (recipe) => {
+    try {
+      const message = `🍽️ ${recipe.name}\n\n${recipe.description}\n\n⏰ Cooking time: ${recipe.cookingTime}\n\nTry this mood-boosting recipe from MoodChef!`;
+      await Share.share({
+        message: message,
+        title: `${recipe.name} - MoodChef Recipe`,
+      });
+    } catch (error) {
+      console.error('Error sharing recipe:', error);
+    }
+  };
+
+  const MoodScreen = () => (
+    <ScrollView style={styles.screen} keyboardShouldPersistTaps="handled">
+      <Text style={styles.title}>How are you feeling today?</Text>
+      
+      <View style={styles.moodGrid}>
+        {moods.map((mood) => {
+          const picked = selectedMoods.some(pick => pick.mood === mood.name);
+          return (
+            <TouchableOpacity
+              key={mood.name}
+              style={[
+                styles.moodButton,
+                mood.colors && { backgroundColor: mood.colors.background },
+                picked && styles.selectedMood,
+                picked && mood.colors && { backgroundColor: mood.colors.accent },
+              ]}
+              onPress={() => handleMoodSelect(mood.name)}
+            >
+              <Text style={styles.moodEmoji}>{mood.emoji}</Text>
+              <Text style={styles.moodLabel}>{mood.label}</Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      {selectedMoods.length > 0 && (
+        <View style={styles.intensityCard}>
+          <Text style={styles.trendsHeading}>How strongly?</Text>
+          {selectedMoods.map(({ mood, intensity }) => {
+            const known = moods.find(({ name }) => name === mood);
+            return (
+              <View key={mood} style={styles.intensityRow}>
+                <Text style={styles.intensityLabel}>{moodLabel(mood)}</Text>
+                <IntensitySlider
+                  value={intensity}
+                  color={known && known.colors ? known.colors.accent : '#4CAF50'}
+                  onChange={(value) => setMoodIntensity(mood, value)}
+                />
+                <Text style={styles.intensityValue}>{Math.round(intensity * 100)}%</Text>
+              </View>
+            );
+          })}
+        </View>
+      )}
+
+      <Text style={styles.subtitle}>Or describe your mood:</Text>
+      <TextInput
+        style={styles.textInput}
+        placeholder="e.g., excited, tired, hungry..."
+        value={customMood}
+        onChangeText={setCustomMood}
+        onFocus={() => setSelectedMoods([])}
+      />
+      {currentUser && (
+        <JournalNoteInput
+          initialValue={moodNoteRef.current}
+          onChange={(text) => { moodNoteRef.current = text; }}
+        />
+      )}
+
+      <View style={styles.intensityCard}>
+        <Text style={styles.trendsHeading}>Cooking for</Text>
+        <View style={styles.planChoiceRow}>
+          <PlanChoice selected={!contextOverride.mealType} label="Auto" onPress={() => updateContextOverride('mealType', null)} />
+          {CONTEXT_MEAL_TYPES.map(({ name, label }) => (
+            <PlanChoice
+              key={name}
+              selected={contextOverride.mealType === name}
+              label={label}
+              onPress={() => updateContextOverride('mealType', name)}
+            />
+          ))}
+        </View>
+        <Text style={styles.trendsHeading}>Season</Text>
+        <View style={styles.planChoiceRow}>
+          <PlanChoice selected={!contextOverride.season} label="Auto" onPress={() => updateContextOverride('season', null)} />
+          {CONTEXT_SEASONS.map(({ name, label }) => (
+            <PlanChoice
+              key={name}
+              selected={contextOverride.season === name}
+              label={label}
+              onPress={() => updateContextOverride('season', name)}
+            />
+          ))}
+        </View>
+        <Text style={styles.trendsHeading}>Time I have</Text>
+        <View style={styles.planChoiceRow}>
+          <PlanChoice
+            selected={!contextOverride.availableMinutes}
+            label="Any"
+            onPress={() => updateContextOverride('availableMinutes', null)}
+          />
+          {CONTEXT_MINUTES.map(minutes => (
+            <PlanChoice
+              key={minutes}
+              selected={contextOverride.availableMinutes === minutes}
+              label={`${minutes} min`}
+              onPress={() => updateContextOverride('availableMinutes', minutes)}
+            />
+          ))}
+        </View>
+      </View>
+
+      <TouchableOpacity
+        style={styles.nextButton}
+        onPress={() => setCurrentScreen('ingredients')}
+      >
+        <Text style={styles.buttonText}>Next</Text>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+
+  const describeMoodInterpretation = () => {
+    if (!moodInterpretation) return null;
+
+    // "Blending 😔 Sad 70% + 🥱 Lazy 30%"
+    if (!customMood) {
+      const blend = moodInterpretation.moods.filter(({ intensity }) => intensity !== undefined);
+      if (blend.length < 2) return null;
+      return `Blending ${blend.map(({ mood, intensity }) => `${moodLabel(mood)} ${Math.round(intensity * 100)}%`).join(' + ')}`;
+    }
+
+    const { input, moods: inferredMoods } = moodInterpretation;
+    if (inferredMoods.length === 0) {
+      return `We couldn't quite read "${input}", so we matched on ingredients.`;
+    }
+
+    const moodNames = inferredMoods.map(({ mood }) => mood).join(' + ');
+    return `We read "${input}" as ${moodNames}`;
+  };
+
+  const explainRanking = (recipe) => {
+    const { ingredientCoverage, moodTags } = recipe.scoreBreakdown;
+    const parts = [`${Math.round(recipe.matchScore)}% match`];
+
+    parts.push(`${ingredientCoverage.matched}/${ingredientCoverage.total} ingredients`);
+    if (ingredientCoverage.substituted > 0) {
+      parts.push(`${ingredientCoverage.substituted} swap(s)`);
+    }
+    if (moodTags.matchedMoods.length > 0) {
+      parts.push(`fits ${moodTags.matchedMoods.join(' + ')}`);
+    }
+    if (recipe.novelty) {
+      parts.push(`cooked ${recipe.novelty.timesCooked}× lately`);
+    }
+    return parts.join(' · ');
+  };
+
+  // "🔥 420 kcal · 18g protein · 55g carbs · 12g fat per serving"
+  const describeNutrition = (recipe) => {
+    if (!recipe.nutrition) return null;
+
+    const { calories, protein, carbs, fat } = recipe.nutrition.perServing;
+    const estimate = recipe.nutrition.complete ? '' : ' (at least)';
+    return `🔥 ${calories} kcal · ${protein}g protein · ${carbs}g carbs · ${fat}g fat per serving${estimate}`;
+  };
+
+  // "⭐ 4.5 · mood +1.5 for people feeling sad (6 ratings)"
+  const describeFeedback = (recipe) => {
+    const feedback = recipe.scoreBreakdown && recipe.scoreBreakdown.moodFeedback;
+    if (!feedback || feedback.ratings === 0) return null;
+
+    const parts = [`⭐ ${feedback.averageStars}`];
+    if (feedback.averageMoodLift !== null) {
+      const lift = feedback.averageMoodLift > 0 ? `+${feedback.averageMoodLift}` : feedback.averageMoodLift;
+      parts.push(`mood ${lift} after eating`);
+    }
+    parts.push(`${feedback.ratings} ${feedback.ratings === 1 ? 'rating' : 'ratings'}`);
+    return parts.join(' · ');
+  };
+
+  // { name: 'pasta', quantity: 200, unit: 'g', notes: '...' } -> "200 g pasta (...)"
+  const formatIngredientLine = ({ name, quantity, displayQuantity, unit, notes }) => {
+    const amount = [displayQuantity || quantity, unit && unit !== 'piece' ? unit : null]
+      .filter(part => part !== null && part !== undefined && part !== '');
+    const line = [...amount, name].join(' ');
+    return notes ? `${line} (${notes})` : line;
+  };
+
+  const ResultsScreen = () => (
+    <View style={styles.screen}>
+      <Text style={styles.title}>Perfect recipes for you!</Text>
+      {describeMoodInterpretation() && (
+        <Text style={styles.moodInterpretation}>{describeMoodInterpretation()}</Text>
+      )}
+      {describeDietaryFilter() && (
+        <Text style={styles.moodInterpretation}>{describeDietaryFilter()}</Text>
+      )}
+      {describeContext() && (
+        <Text style={styles.moodInterpretation}>{describeContext()}</Text>
+      )}
+      {matchedOffline && (
+        <Text style={styles.moodInterpretation}>📴 Offline: matched from the recipes saved on this device</Text>
+      )}
+
+      {recipes.length > 0 && (
+        <View style={styles.unitsToggle}>
+          {['metric', 'imperial'].map((unitSystem) => (
+            <TouchableOpacity
+              key={unitSystem}
+              style={[styles.unitsOption, units === unitSystem && styles.selectedUnitsOption]}
+              onPress={() => changeUnits(unitSystem)}
+            >
+              <Text style={[styles.unitsOptionText, units === unitSystem && styles.selectedUnitsOptionText]}>
+                {unitSystem === 'metric' ? 'Metric' : 'Imperial'}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+      
+      <ScrollView style={styles.recipesContainer}>
+        {recipes.length === 0 ? (
+          <View style={styles.noRecipesContainer}>
+            <Text style={styles.noRecipesText}>No recipes found for your mood and ingredients.</Text>
+            <Text style={styles.noRecipesSubtext}>Try selecting different ingredients!</Text>
+          </View>
+        ) : (
+          recipes.map((recipe, index) => (
+            <View key={index} style={styles.recipeCard}>
+              <Text style={styles.recipeName}>{recipe.name}</Text>
+              {recipe.scoreBreakdown && (
+                <Text style={styles.rankingExplanation}>🎯 {explainRanking(recipe)}</Text>
+              )}
+              {describeFeedback(recipe) && (
+                <Text style={styles.feedbackSummary}>{describeFeedback(recipe)}</Text>
+              )}
+              <Text style={styles.recipeDescription}>{recipe.description}</Text>
+              <Text style={styles.recipeTime}>
+                ⏰ {recipe.cookingTime}
+                {recipe.difficulty ? ` · ${recipe.difficulty}` : ''}
+              </Text>
+              {describeNutrition(recipe) && (
+                <Text style={styles.nutritionSummary}>{describeNutrition(recipe)}</Text>
+              )}
+              <Text style={styles.moodMatch}>💚 {recipe.moodDescription}</Text>
+              
+              <Text style={styles.ingredientsTitle}>Ingredients:</Text>
+              {recipe.servings && (
+                <View style={styles.servingsStepper}>
+                  <TouchableOpacity
+                    style={styles.stepperButton}
+                    onPress={() => changeServings(recipe, -1)}
+                  >
+                    <Text style={styles.stepperButtonText}>−</Text>
+                  </TouchableOpacity>
+                  <Text style={styles.servingsText}>🍽️ Serves {currentServings(recipe)}</Text>
+                  <TouchableOpacity
+                    style={styles.stepperButton}
+                    onPress={() => changeServings(recipe, 1)}
+                  >
+                    <Text style={styles.stepperButtonText}>+</Text>
+                  </TouchableOpacity>
+                </View>
+              )}
+              {recipe.ingredientDetails ? (
+                (scaledRecipes[recipe._id] || recipe).ingredientDetails.map((ingredient) => (
+                  <Text key={ingredient.name} style={styles.ingredientLine}>
+                    • {formatIngredientLine(ingredient)}
+                  </Text>
+                ))
+              ) : (
+                <Text style={styles.ingredientsList}>
+                  {recipe.ingredients.join(', ')}
+                </Text>
+              )}
+
+              {recipe.substitutions && recipe.substitutions.length > 0 && (
+                <View style={styles.substitutionsContainer}>
+                  {recipe.substitutions.map(({ ingredient, substitute, note }) => (
+                    <Text key={ingredient} style={styles.substitutionHint}>
+                      🔄 Swap {ingredient} for {substitute}{note ? ` (${note})` : ''}
+                    </Text>
+                  ))}
+                </View>
+              )}
+
+              {recipe.missingIngredients && recipe.missingIngredients.length > 0 && (
+                <View style={styles.missingContainer}>
+                  <Text style={styles.missingTitle}>🛒 You still need:</Text>
+                  <Text style={styles.missingList}>{recipe.missingIngredients.join(', ')}</Text>
+                  <TouchableOpacity
+                    style={styles.addToListButton}
+                    onPress={() => addToShoppingList(recipe)}
+                  >
+                    <Text style={styles.addToListButtonText}>Add to Shopping List</Text>
+                  </TouchableOpacity>
+                </View>
+              )}
+              
+              <Text style={styles.instructionsTitle}>Instructions:</Text>
+              {recipe.steps ? (
+                recipe.steps.map((step, stepIndex) => (
+                  <Text key={stepIndex} style={styles.instructionStep}>
+                    {stepIndex + 1}. {step}
+                  </Text>
+                ))
+              ) : (
+                <Text style={styles.instructions}>{recipe.instructions}</Text>
+              )}
+              
+              <View style={styles.recipeActions}>
+                <TouchableOpacity
+                  style={styles.recipeActionButton}
+                  onPress={() => toggleFavorite(recipe)}
+                >
+                  <Text style={styles.recipeActionText}>
+                    {isFavorite(recipe) ? '💔 Unsave' : '❤️ Save'}
+                  </Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.recipeActionButton}
+                  onPress={() => logCooked(recipe)}
+                >
+                  <Text style={styles.recipeActionText}>🍳 I cooked this</Text>
+                </TouchableOpacity>
+              </View>
+
+              <TouchableOpacity
+                style={styles.shareButton}
+                onPress={() => shareRecipe(recipe)}
+              >
+                <Text style={styles.shareButtonText}>Share Recipe 📤</Text>
+              </TouchableOpacity>
+            </View>
+          ))
+        )}
+      </ScrollView>
+
+      {recipes.length > 0 && (
+        <TouchableOpacity
+          style={[styles.shuffleButton, loading && styles.disabledButton]}
+          onPress={showSomethingElse}
+          disabled={loading}
+        >
+          <Text style={styles.buttonText}>
+            {alternativesLeft > 0 ? `🔀 Show me something else (${alternativesLeft} more)` : '🔁 Start over from the top picks'}
+          </Text>
+        </TouchableOpacity>
+      )}
+
+      <TouchableOpacity
+        style={styles.shoppingListButton}
+        onPress={() => openShoppingList('results')}
+      >
+        <Text style={styles.buttonText}>🛒 Shopping List ({shoppingList.length})</Text>
+      </TouchableOpacity>
+
+      <TouchableOpacity
+        style={styles.newSearchButton}
+        onPress={() => {
+          setCurrentScreen('mood');
+          setRecipes([]);
+          setScaledRecipes({});
+          setMoodInterpretation(null);
+          setSelectedMoods([]);
+          setCustomMood('');
+          setSelectedIngredients([]);
+        }}
+      >
+        <Text style={styles.buttonText}>New Search</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const ShoppingListScreen = () => (
+    <View style={styles.screen}>
+      <Text style={styles.title}>Your shopping list</Text>
+
+      <ScrollView style={styles.recipesContainer}>
+        {shoppingList.length === 0 ? (
+          <View style={styles.noRecipesContainer}>
+            <Text style={styles.noRecipesText}>Your shopping list is empty.</Text>
+            <Text style={styles.noRecipesSubtext}>Add missing ingredients from a recipe card.</Text>
+          </View>
+        ) : (
+          shoppingList.map((item) => (
+            <TouchableOpacity
+              key={item.ingredient}
+              style={styles.shoppingItem}
+              onPress={() => removeShoppingItem(item.ingredient)}
+            >
+              <Text style={styles.shoppingItemName}>
+                ☐ {item.ingredient}{item.amounts && item.amounts.length > 0 ? ` · ${formatAmounts(item.amounts)}` : ''}
+              </Text>
+              <Text style={styles.shoppingItemRecipes}>for {item.recipes.join(', ')}</Text>
+            </TouchableOpacity>
+          ))
+        )}
+      </ScrollView>
+
+      <View style={styles.buttonRow}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => setCurrentScreen(shoppingReturnScreen)}
+        >
+          <Text style={styles.buttonText}>Back</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={styles.submitButton}
+          onPress={() => saveShoppingList([], [])}
+        >
+          <Text style={styles.buttonText}>Clear All</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  const moodLabel = (mood) => {
+    const known = moods.find(({ name }) => name === mood);
+    return known ? `${known.emoji} ${known.label}` : mood;
+  };
+
+  const formatDate = (isoDate) => new Date(isoDate).toLocaleDateString(undefined, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+  });
+
+  const syncStatus = () => {
+    if (pendingSync.length === 0) return null;
+    if (!currentUser) return '🔒 Log in to back these up to your account';
+    return isOnline
+      ? `⏳ ${pendingSync.length} change(s) waiting to sync`
+      : `📴 ${pendingSync.length} change(s) will sync when you're back online`;
+  };
+
+  // "🟢 Online" / "📴 Offline · 2 change(s) queued"
+  const describeConnection = () => {
+    if (isOnline) return '🟢 Online';
+    return pendingSync.length > 0 && currentUser
+      ? `📴 Offline · ${pendingSync.length} change(s) queued`
+      : '📴 Offline';
+  };
+
+  // Saved locally for anonymous searches and queued for the account
+  const toggleDietaryItem = async (field, item) => {
+    const items = dietaryProfile[field];
+    const next = {
+      ...dietaryProfile,
+      [field]: items.includes(item) ? items.filter(existing => existing !== item) : [...items, item],
+    };
+
+    setDietaryProfile(next);
+    await persistItem('dietaryProfile', next);
+    await queueSync({ method: 'PUT', path: '/api/me/dietary-profile', body: next });
+  };
+
+  const updateContextOverride = (field, value) => {
+    setContextOverride({ ...contextOverride, [field]: value });
+  };
+
+  // "🕗 Picked for breakfast in autumn (from your clock) · ready in 15 min, 4 longer recipe(s) left out"
+  const describeContext = () => {
+    if (!recipeContext || (!recipeContext.mealType && !recipeContext.season && !recipeContext.availableMinutes)) return null;
+
+    const { mealType, season, availableMinutes, inferred, excludedCount } = recipeContext;
+    const parts = [];
+    if (mealType || season) {
+      const fitFor = [mealType, season && `in ${season}`].filter(Boolean).join(' ');
+      parts.push(`Picked for ${fitFor}${inferred.length > 0 ? ' (from your clock)' : ''}`);
+    }
+    if (availableMinutes) {
+      parts.push(`ready in ${availableMinutes} min${excludedCount > 0 ? `, ${excludedCount} longer recipe(s) left out` : ''}`);
+    }
+    return `🕗 ${parts.join(' · ')}`;
+  };
+
+  const describeDietaryFilter = () => {
+    if (!dietaryFilter || dietaryFilter.excludedCount === 0) return null;
+
+    const reasons = dietaryFilter.reasons.map(({ rule, count }) => {
+      const label = rule.startsWith('exclude:') ? `no ${rule.slice('exclude:'.length)}` : rule;
+      return `${label} (${count})`;
+    });
+    return `🥗 Hid ${dietaryFilter.excludedCount} recipe(s) for your diet: ${reasons.join(', ')}`;
+  };
+
+  const DietScreen = () => (
+    <View style={styles.screen}>
+      <Text style={styles.title}>Your diet</Text>
+
+      <ScrollView style={styles.ingredientsContainer}>
+        <Text style={styles.subtitle}>I eat:</Text>
+        <View style={styles.ingredientsGrid}>
+          {DIETS.map(({ name, label }) => (
+            <TouchableOpacity
+              key={name}
+              style={[
+                styles.ingredientButton,
+                dietaryProfile.diets.includes(name) && styles.selectedIngredient
+              ]}
+              onPress={() => toggleDietaryItem('diets', name)}
+            >
+              <Text style={[
+                styles.ingredientText,
+                dietaryProfile.diets.includes(name) && styles.selectedIngredientText
+              ]}>
+                {label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        <Text style={styles.subtitle}>Never show me recipes with:</Text>
+        <View style={styles.ingredientsGrid}>
+          {[...EXCLUDABLE_TAGS, ...availableIngredients].map((item) => (
+            <TouchableOpacity
+              key={item}
+              style={[
+                styles.ingredientButton,
+                dietaryProfile.exclusions.includes(item) && styles.excludedIngredient
+              ]}
+              onPress={() => toggleDietaryItem('exclusions', item)}
+            >
+              <Text style={[
+                styles.ingredientText,
+                dietaryProfile.exclusions.includes(item) && styles.excludedIngredientText
+              ]}>
+                {item}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      </ScrollView>
+
+      {syncStatus() && <Text style={styles.syncStatus}>{syncStatus()}</Text>}
+
+      <TouchableOpacity
+        style={styles.newSearchButton}
+        onPress={() => setCurrentScreen('mood')}
+      >
+        <Text style={styles.buttonText}>Done</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const openTrends = async () => {
+    if (!currentUser) {
+      Alert.alert('Log in first', 'Your mood journal is kept with your account.');
+      setCurrentScreen('login');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const tzOffset = new Date().getTimezoneOffset();
+      const response = await apiFetch(`/api/me/mood-stats?days=28&tzOffset=${tzOffset}`);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      setMoodStats(await response.json());
+      setCurrentScreen('trends');
+    } catch (error) {
+      console.error('Error fetching mood stats:', error);
+      Alert.alert('Error', 'Failed to load your mood trends. Please check your connection.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const deleteMoodJournal = () => {
+    Alert.alert('Delete mood journal?', 'This removes every mood you have recorded. It cannot be undone.', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            const response = await apiFetch('/api/me/mood-journal', { method: 'DELETE' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            await openTrends();
+          } catch (error) {
+            console.error('Error deleting mood journal:', error);
+            Alert.alert('Error', 'Failed to delete your mood journal.');
+          }
+        },
+      },
+    ]);
+  };
+
+  // Mood counts for the period, most frequent first
+  const sortedDistribution = () =>
+    Object.entries(moodStats.distribution).sort(([, a], [, b]) => b - a);
+
+  const TrendsScreen = () => (
+    <View style={styles.screen}>
+      <Text style={styles.title}>Your mood trends</Text>
+
+      <ScrollView style={styles.recipesContainer}>
+        <View style={styles.trendsCard}>
+          <Text style={styles.trendsHeading}>🔥 Streak</Text>
+          <Text style={styles.trendsText}>
+            {moodStats.streaks.current} day(s) in a row · best {moodStats.streaks.longest}
+          </Text>
+        </View>
+
+        <View style={styles.trendsCard}>
+          <Text style={styles.trendsHeading}>Last 4 weeks ({moodStats.totalEntries} check-ins)</Text>
+          {moodStats.totalEntries === 0 ? (
+            <Text style={styles.trendsText}>Search for a recipe to start your journal.</Text>
+          ) : (
+            sortedDistribution().map(([mood, count]) => (
+              <View key={mood} style={styles.trendsBarRow}>
+                <Text style={styles.trendsBarLabel}>{moodLabel(mood)}</Text>
+                <View style={styles.trendsBarTrack}>
+                  <View style={[styles.trendsBar, { flex: count / moodStats.totalEntries }]} />
+                  <View style={{ flex: 1 - count / moodStats.totalEntries }} />
+                </View>
+                <Text style={styles.trendsBarCount}>{count}</Text>
+              </View>
+            ))
+          )}
+        </View>
+
+        <View style={styles.trendsCard}>
+          <Text style={styles.trendsHeading}>By week</Text>
+          {moodStats.weekly.map(({ weekStart, total, moods: weekMoods }) => (
+            <Text key={weekStart} style={styles.trendsText}>
+              {formatDate(`${weekStart}T00:00:00`)}: {total === 0
+                ? 'no check-ins'
+                : Object.entries(weekMoods).map(([mood, count]) => `${moodLabel(mood)} ×${count}`).join(', ')}
+            </Text>
+          ))}
+        </View>
+
+        {Object.keys(moodStats.topRecipesByMood).length > 0 && (
+          <View style={styles.trendsCard}>
+            <Text style={styles.trendsHeading}>What you cook for each mood</Text>
+            {Object.entries(moodStats.topRecipesByMood).map(([mood, topRecipes]) => (
+              <Text key={mood} style={styles.trendsText}>
+                {moodLabel(mood)}: {topRecipes.map(({ recipeName, count }) => `${recipeName} (${count})`).join(', ')}
+              </Text>
+            ))}
+          </View>
+        )}
+      </ScrollView>
+
+      <View style={styles.buttonRow}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => setCurrentScreen('mood')}
+        >
+          <Text style={styles.buttonText}>Back</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={styles.deleteJournalButton}
+          onPress={deleteMoodJournal}
+        >
+          <Text style={styles.buttonText}>Delete Journal</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  // Any local date in the week; the server plans from that week's Monday
+  const planWeekKey = (weekOffset = planWeekOffset) => {
+    const date = new Date();
+    date.setDate(date.getDate() + weekOffset * 7);
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  };
+
+  const loadMealPlan = async (weekOffset = planWeekOffset) => {
+    setLoading(true);
+    try {
+      const response = await apiFetch(`/api/meal-plans/${planWeekKey(weekOffset)}`);
+      if (response.status === 404) {
+        setMealPlan(null);
+      } else if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      } else {
+        setMealPlan(await response.json());
+      }
+      setPlanUnfilled([]);
+    } catch (error) {
+      console.error('Error fetching meal plan:', error);
+      Alert.alert('Error', 'Failed to load your meal plan. Please check your connection.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openPlanner = async () => {
+    if (!currentUser) {
+      Alert.alert('Log in first', 'Meal plans are kept with your account.');
+      setCurrentScreen('login');
+      return;
+    }
+
+    setCurrentScreen('planner');
+    await loadMealPlan();
+  };
+
+  const switchPlanWeek = async (weekOffset) => {
+    setPlanWeekOffset(weekOffset);
+    await loadMealPlan(weekOffset);
+  };
+
+  const generateMealPlan = async () => {
+    const moods = {};
+    if (planSettings.weekdays) moods.weekdays = planSettings.weekdays;
+    if (planSettings.weekend) moods.weekend = planSettings.weekend;
+
+    setLoading(true);
+    try {
+      const response = await apiFetch(`/api/meal-plans/${planWeekKey()}/generate`, {
+        method: 'POST',
+        body: JSON.stringify({ moods, dailyMinutes: planSettings.dailyMinutes, meals: planSettings.meals }),
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      const plan = await response.json();
+      setMealPlan(plan);
+      setPlanUnfilled(plan.unfilled);
+    } catch (error) {
+      console.error('Error generating meal plan:', error);
+      Alert.alert('Error', 'Failed to plan your week. Please check your connection.');
+    } finally {
+      setLoading(false);
     }
   };
 
-  const loadSavedData = async () => {
+  const removePlannedMeal = async (day, meal) => {
     try {
-      const savedMood = await AsyncStorage.getItem('selectedMood');
-      const savedIngredients = await AsyncStorage.getItem('selectedIngredients');
-      
-      if (savedMood) setSelectedMood(savedMood);
-      if (savedIngredients) setSelectedIngredients(JSON.parse(savedIngredients));
+      const response = await apiFetch(`/api/meal-plans/${mealPlan.weekStart}/${day}/${meal}`, { method: 'DELETE' });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      setMealPlan(await response.json());
     } catch (error) {
-      console.error('Error loading saved data:', error);
+      console.error('Error updating meal plan:', error);
+      Alert.alert('Error', 'Failed to update your meal plan.');
     }
   };
 
-  const saveData = async () => {
+  // Replace the shopping list with everything the week needs
+  const shopForMealPlan = async () => {
     try {
-      await AsyncStorage.setItem('selectedMood', selectedMood);
-      await AsyncStorage.setItem('selectedIngredients', JSON.stringify(selectedIngredients));
+      const response = await apiFetch(`/api/meal-plans/${mealPlan.weekStart}/shopping-list`);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      const data = await response.json();
+      await saveShoppingList(data.items, data.recipes.map(({ _id }) => _id));
+      openShoppingList('planner');
     } catch (error) {
-      console.error('Error saving data:', error);
+      console.error('Error building meal plan shopping list:', error);
+      Alert.alert('Error', 'Failed to build the shopping list. Please check your connection.');
     }
   };
 
-  const handleMoodSelect = (mood) => {
-    setSelectedMood(mood);
-    setCustomMood('');
-  };
+  const updatePlanSettings = (field, value) => setPlanSettings({ ...planSettings, [field]: value });
 
-  const handleIngredientToggle = (ingredient) => {
-    if (selectedIngredients.includes(ingredient)) {
-      setSelectedIngredients(selectedIngredients.filter(item => item !== ingredient));
-    } else {
-      setSelectedIngredients([...selectedIngredients, ingredient]);
-    }
+  const togglePlanMeal = (meal) => {
+    const { meals } = planSettings;
+    const next = meals.includes(meal) ? meals.filter(existing => existing !== meal) : [...meals, meal];
+    if (next.length > 0) updatePlanSettings('meals', PLAN_MEALS.filter(existing => next.includes(existing)));
   };
 
-  const submitRequest = async () => {
-    if (!selectedMood && !customMood) {
-      Alert.alert('Error', 'Please select a mood or enter a custom mood.');
-      return;
-    }
+  const PlanChoice = ({ selected, label, onPress }) => (
+    <TouchableOpacity
+      style={[styles.planChoice, selected && styles.selectedIngredient]}
+      onPress={onPress}
+    >
+      <Text style={[styles.planChoiceText, selected && styles.selectedIngredientText]}>{label}</Text>
+    </TouchableOpacity>
+  );
 
-    if (selectedIngredients.length === 0) {
-      Alert.alert('Error', 'Please select at least one ingredient.');
-      return;
-    }
+  const PlannerScreen = () => (
+    <View style={styles.screen}>
+      <Text style={styles.title}>Plan your week</Text>
 
-    setLoading(true);
-    const finalMood = customMood || selectedMood;
+      <View style={styles.planWeekRow}>
+        <PlanChoice selected={planWeekOffset === 0} label="This week" onPress={() => switchPlanWeek(0)} />
+        <PlanChoice selected={planWeekOffset === 1} label="Next week" onPress={() => switchPlanWeek(1)} />
+      </View>
+
+      <ScrollView style={styles.recipesContainer}>
+        <View style={styles.trendsCard}>
+          {[['weekdays', 'Weekdays I feel'], ['weekend', 'Weekends I feel']].map(([field, label]) => (
+            <View key={field}>
+              <Text style={styles.trendsHeading}>{label}</Text>
+              <View style={styles.planChoiceRow}>
+                <PlanChoice selected={!planSettings[field]} label="Any" onPress={() => updatePlanSettings(field, '')} />
+                {moods.map(({ name, emoji }) => (
+                  <PlanChoice
+                    key={name}
+                    selected={planSettings[field] === name}
+                    label={emoji}
+                    onPress={() => updatePlanSettings(field, name)}
+                  />
+                ))}
+              </View>
+            </View>
+          ))}
+
+          <Text style={styles.trendsHeading}>Cooking time per day</Text>
+          <View style={styles.planChoiceRow}>
+            {PLAN_DAILY_MINUTES.map(minutes => (
+              <PlanChoice
+                key={minutes}
+                selected={planSettings.dailyMinutes === minutes}
+                label={`${minutes} min`}
+                onPress={() => updatePlanSettings('dailyMinutes', minutes)}
+              />
+            ))}
+          </View>
+
+          <Text style={styles.trendsHeading}>Meals</Text>
+          <View style={styles.planChoiceRow}>
+            {PLAN_MEALS.map(meal => (
+              <PlanChoice
+                key={meal}
+                selected={planSettings.meals.includes(meal)}
+                label={meal}
+                onPress={() => togglePlanMeal(meal)}
+              />
+            ))}
+          </View>
+
+          <TouchableOpacity
+            style={[styles.submitButton, styles.planGenerateButton, loading && styles.disabledButton]}
+            onPress={generateMealPlan}
+            disabled={loading}
+          >
+            {loading ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <Text style={styles.buttonText}>{mealPlan ? '🔄 Re-plan the week' : '✨ Plan my week'}</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+
+        {planUnfilled.length > 0 && (
+          <Text style={styles.moodInterpretation}>
+            ⚠️ {planUnfilled.length} meal(s) left empty: {planUnfilled[0].reason}
+          </Text>
+        )}
+
+        {mealPlan ? (
+          mealPlan.days.map(({ day, date, mood, totalMinutes, overBudget, meals }) => (
+            <View key={day} style={styles.trendsCard}>
+              <Text style={styles.trendsHeading}>
+                {formatDate(`${date}T00:00:00`)}{mood ? ` · ${moodLabel(mood)}` : ''}
+              </Text>
+              {meals.length === 0 ? (
+                <Text style={styles.trendsText}>Nothing planned</Text>
+              ) : (
+                meals.map(({ meal, recipe }) => (
+                  <TouchableOpacity
+                    key={meal}
+                    style={styles.planMealRow}
+                    onLongPress={() => removePlannedMeal(day, meal)}
+                  >
+                    <Text style={styles.trendsText}>{meal}: {recipe.name}</Text>
+                    <Text style={styles.historyMeta}>{recipe.totalMinutes} min</Text>
+                  </TouchableOpacity>
+                ))
+              )}
+              <Text style={[styles.historyMeta, overBudget && styles.planOverBudget]}>
+                ⏰ {totalMinutes} of {mealPlan.dailyMinutes} min
+              </Text>
+            </View>
+          ))
+        ) : (
+          !loading && (
+            <View style={styles.noRecipesContainer}>
+              <Text style={styles.noRecipesText}>No plan for this week yet.</Text>
+              <Text style={styles.noRecipesSubtext}>Pick your moods and tap Plan my week.</Text>
+            </View>
+          )
+        )}
+      </ScrollView>
+
+      <View style={styles.buttonRow}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => setCurrentScreen('mood')}
+        >
+          <Text style={styles.buttonText}>Back</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={[styles.submitButton, !mealPlan && styles.disabledButton]}
+          onPress={shopForMealPlan}
+          disabled={!mealPlan}
+        >
+          <Text style={styles.buttonText}>🛒 Shop the week</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  // Search independently of the mood/ingredient wizard. `filters` narrows
+  // by a facet ({ mood, ingredient }); page 1 replaces the results, later
+  // pages are appended.
+  const searchRecipes = async (query, filters = {}, page = 1) => {
+    const params = [`q=${encodeURIComponent(query)}`, `page=${page}`];
+    if (filters.mood) params.push(`mood=${encodeURIComponent(filters.mood)}`);
+    if (filters.ingredient) params.push(`ingredient=${encodeURIComponent(filters.ingredient)}`);
 
+    setLoading(true);
     try {
-      const response = await fetch(`${API_BASE_URL}/api/get-recipes`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          mood: finalMood,
-          ingredients: selectedIngredients,
-        }),
-      });
+      const response = await apiFetch(`/api/search?${params.join('&')}`);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
 
       const data = await response.json();
-      setRecipes(data);
-      setCurrentScreen('results');
-      await saveData();
+      setSearch({
+        query,
+        filters,
+        ...data,
+        results: page > 1 ? [...search.results, ...data.results] : data.results,
+      });
+      if (currentScreen !== 'search') {
+        setSearchReturnScreen(currentScreen);
+        setCurrentScreen('search');
+      }
     } catch (error) {
-      console.error('Error fetching recipes:', error);
-      Alert.alert('Error', 'Failed to get recipes. Please check your connection.');
+      console.error('Error searching recipes:', error);
+      Alert.alert('Error', 'Search failed. Please check your connection.');
     } finally {
       setLoading(false);
     }
   };
 
-  const shareRecipe = async (recipe) => {
-    try {
-      const message = `🍽️ ${recipe.name}\n\n${recipe.description}\n\n⏰ Cooking time: ${recipe.cookingTime}\n\nTry this mood-boosting recipe from MoodChef!`;
-      await Share.share({
-        message: message,
-        title: `${recipe.name} - MoodChef Recipe`,
-      });
-    } catch (error) {
-      console.error('Error sharing recipe:', error);
-    }
+  const toggleSearchFilter = (field, value) => {
+    const filters = { ...search.filters, [field]: search.filters[field] === value ? undefined : value };
+    searchRecipes(search.query, filters);
   };
 
-  const MoodScreen = () => (
+  const SearchScreen = () => (
     <View style={styles.screen}>
-      <Text style={styles.title}>How are you feeling today?</Text>
-      
-      <View style={styles.moodGrid}>
-        {moods.map((mood) => (
+      <Text style={styles.title}>
+        {search.total} result(s) for “{search.query}”
+      </Text>
+      {search.corrections.length > 0 && (
+        <Text style={styles.moodInterpretation}>
+          Showing results for “{search.searchedFor}”
+        </Text>
+      )}
+
+      <ScrollView horizontal style={styles.presetRow} showsHorizontalScrollIndicator={false}>
+        {search.facets.moods.map(({ mood, count }) => (
           <TouchableOpacity
-            key={mood.name}
-            style={[
-              styles.moodButton,
-              selectedMood === mood.name && styles.selectedMood
-            ]}
-            onPress={() => handleMoodSelect(mood.name)}
+            key={`mood-${mood}`}
+            style={[styles.planChoice, search.filters.mood === mood && styles.selectedIngredient]}
+            onPress={() => toggleSearchFilter('mood', mood)}
           >
-            <Text style={styles.moodEmoji}>{mood.emoji}</Text>
-            <Text style={styles.moodLabel}>{mood.label}</Text>
+            <Text style={[styles.planChoiceText, search.filters.mood === mood && styles.selectedIngredientText]}>
+              {moodLabel(mood)} ({count})
+            </Text>
           </TouchableOpacity>
         ))}
-      </View>
+        {search.facets.ingredients.map(({ ingredient, count }) => (
+          <TouchableOpacity
+            key={`ingredient-${ingredient}`}
+            style={[styles.planChoice, search.filters.ingredient === ingredient && styles.selectedIngredient]}
+            onPress={() => toggleSearchFilter('ingredient', ingredient)}
+          >
+            <Text style={[styles.planChoiceText, search.filters.ingredient === ingredient && styles.selectedIngredientText]}>
+              {ingredient} ({count})
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
 
-      <Text style={styles.subtitle}>Or describe your mood:</Text>
-      <TextInput
-        style={styles.textInput}
-        placeholder="e.g., excited, tired, hungry..."
-        value={customMood}
-        onChangeText={setCustomMood}
-        onFocus={() => setSelectedMood('')}
-      />
+      <ScrollView style={styles.recipesContainer}>
+        {search.results.length === 0 ? (
+          <View style={styles.noRecipesContainer}>
+            <Text style={styles.noRecipesText}>No recipes found.</Text>
+            <Text style={styles.noRecipesSubtext}>Try another word or fewer filters.</Text>
+          </View>
+        ) : (
+          search.results.map((recipe) => {
+            const nameMatch = recipe.highlights.find(({ field }) => field === 'name');
+            const otherMatches = recipe.highlights.filter(({ field }) => field !== 'name');
+
+            return (
+              <View key={recipe._id} style={styles.recipeCard}>
+                {nameMatch ? (
+                  <HighlightedText text={nameMatch.snippet} matches={nameMatch.matches} style={styles.recipeName} />
+                ) : (
+                  <Text style={styles.recipeName}>{recipe.name}</Text>
+                )}
+                <Text style={styles.recipeTime}>⏰ {recipe.cookingTime} · {recipe.moodTags.map(moodLabel).join(', ')}</Text>
+                {otherMatches.slice(0, 2).map(({ field, snippet, matches }) => (
+                  <View key={field} style={styles.searchSnippet}>
+                    <Text style={styles.historyMeta}>{SEARCH_FIELD_LABELS[field]}</Text>
+                    <HighlightedText text={snippet} matches={matches} style={styles.recipeDescription} />
+                  </View>
+                ))}
+                <View style={styles.recipeActions}>
+                  <TouchableOpacity
+                    style={styles.recipeActionButton}
+                    onPress={() => toggleFavorite(recipe)}
+                  >
+                    <Text style={styles.recipeActionText}>
+                      {isFavorite(recipe) ? '💔 Unsave' : '❤️ Save'}
+                    </Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={styles.recipeActionButton}
+                    onPress={() => logCooked(recipe)}
+                  >
+                    <Text style={styles.recipeActionText}>🍳 I cooked this</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            );
+          })
+        )}
+
+        {search.page < search.totalPages && (
+          <TouchableOpacity
+            style={[styles.shoppingListButton, loading && styles.disabledButton]}
+            onPress={() => searchRecipes(search.query, search.filters, search.page + 1)}
+            disabled={loading}
+          >
+            <Text style={styles.buttonText}>Show more</Text>
+          </TouchableOpacity>
+        )}
+      </ScrollView>
 
       <TouchableOpacity
-        style={styles.nextButton}
-        onPress={() => setCurrentScreen('ingredients')}
+        style={styles.newSearchButton}
+        onPress={() => setCurrentScreen(searchReturnScreen)}
       >
-        <Text style={styles.buttonText}>Next</Text>
+        <Text style={styles.buttonText}>Back</Text>
       </TouchableOpacity>
     </View>
   );
 
-  const IngredientsScreen = () => (
+  const FavoritesScreen = () => (
     <View style={styles.screen}>
-      <Text style={styles.title}>What ingredients do you have?</Text>
-      
-      <ScrollView style={styles.ingredientsContainer}>
-        <View style={styles.ingredientsGrid}>
-          {availableIngredients.map((ingredient) => (
-            <TouchableOpacity
-              key={ingredient}
-              style={[
-                styles.ingredientButton,
-                selectedIngredients.includes(ingredient) && styles.selectedIngredient
-              ]}
-              onPress={() => handleIngredientToggle(ingredient)}
-            >
-              <Text style={[
-                styles.ingredientText,
-                selectedIngredients.includes(ingredient) && styles.selectedIngredientText
-              ]}>
-                {ingredient}
+      <Text style={styles.title}>Your favorites</Text>
+      {syncStatus() && <Text style={styles.syncStatus}>{syncStatus()}</Text>}
+
+      <ScrollView style={styles.recipesContainer}>
+        {favorites.length === 0 ? (
+          <View style={styles.noRecipesContainer}>
+            <Text style={styles.noRecipesText}>No favorites yet.</Text>
+            <Text style={styles.noRecipesSubtext}>Tap ❤️ Save on a recipe you like.</Text>
+          </View>
+        ) : (
+          favorites.map(({ recipe, mood, createdAt }) => (
+            <View key={recipe._id} style={styles.recipeCard}>
+              <Text style={styles.recipeName}>{recipe.name}</Text>
+              <Text style={styles.recipeDescription}>{recipe.description}</Text>
+              <Text style={styles.recipeTime}>⏰ {recipe.cookingTime}</Text>
+              <Text style={styles.historyMeta}>
+                Saved {formatDate(createdAt)}{mood ? ` · feeling ${moodLabel(mood)}` : ''}
               </Text>
-            </TouchableOpacity>
-          ))}
-        </View>
+              <View style={styles.recipeActions}>
+                <TouchableOpacity
+                  style={styles.recipeActionButton}
+                  onPress={() => toggleFavorite(recipe)}
+                >
+                  <Text style={styles.recipeActionText}>💔 Remove</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.recipeActionButton}
+                  onPress={() => logCooked(recipe)}
+                >
+                  <Text style={styles.recipeActionText}>🍳 I cooked this</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          ))
+        )}
       </ScrollView>
 
-      <View style={styles.buttonRow}>
-        <TouchableOpacity
-          style={styles.backButton}
-          onPress={() => setCurrentScreen('mood')}
-        >
-          <Text style={styles.buttonText}>Back</Text>
-        </TouchableOpacity>
-        
-        <TouchableOpacity
-          style={[styles.submitButton, loading && styles.disabledButton]}
-          onPress={submitRequest}
-          disabled={loading}
-        >
-          {loading ? (
-            <ActivityIndicator color="#fff" />
-          ) : (
-            <Text style={styles.buttonText}>Get Recipes!</Text>
-          )}
-        </TouchableOpacity>
-      </View>
+      <TouchableOpacity
+        style={styles.newSearchButton}
+        onPress={() => setCurrentScreen('mood')}
+      >
+        <Text style={styles.buttonText}>Back</Text>
+      </TouchableOpacity>
     </View>
   );
 
-  const ResultsScreen = () => (
+  const HistoryScreen = () => (
     <View style={styles.screen}>
-      <Text style={styles.title}>Perfect recipes for you!</Text>
-      
+      <Text style={styles.title}>What you cooked</Text>
+      {syncStatus() && <Text style={styles.syncStatus}>{syncStatus()}</Text>}
+
       <ScrollView style={styles.recipesContainer}>
-        {recipes.length === 0 ? (
+        {cookingHistory.length === 0 ? (
           <View style={styles.noRecipesContainer}>
-            <Text style={styles.noRecipesText}>No recipes found for your mood and ingredients.</Text>
-            <Text style={styles.noRecipesSubtext}>Try selecting different ingredients!</Text>
+            <Text style={styles.noRecipesText}>Nothing cooked yet.</Text>
+            <Text style={styles.noRecipesSubtext}>Tap 🍳 I cooked this on a recipe card.</Text>
           </View>
         ) : (
-          recipes.map((recipe, index) => (
-            <View key={index} style={styles.recipeCard}>
-              <Text style={styles.recipeName}>{recipe.name}</Text>
-              <Text style={styles.recipeDescription}>{recipe.description}</Text>
-              <Text style={styles.recipeTime}>⏰ {recipe.cookingTime}</Text>
-              <Text style={styles.moodMatch}>💚 {recipe.moodDescription}</Text>
-              
-              <Text style={styles.ingredientsTitle}>Ingredients:</Text>
-              <Text style={styles.ingredientsList}>
-                {recipe.ingredients.join(', ')}
+          cookingHistory.map(({ clientId, recipe, mood, cookedAt }) => (
+            <View key={clientId} style={styles.historyItem}>
+              <Text style={styles.shoppingItemName}>{recipe.name}</Text>
+              <Text style={styles.historyMeta}>
+                {formatDate(cookedAt)}{mood ? ` · feeling ${moodLabel(mood)}` : ''}
               </Text>
-              
-              <Text style={styles.instructionsTitle}>Instructions:</Text>
-              <Text style={styles.instructions}>{recipe.instructions}</Text>
-              
-              <TouchableOpacity
-                style={styles.shareButton}
-                onPress={() => shareRecipe(recipe)}
-              >
-                <Text style={styles.shareButtonText}>Share Recipe 📤</Text>
-              </TouchableOpacity>
             </View>
           ))
         )}
@@ -261,15 +2550,9 @@ const App = () => {
 
       <TouchableOpacity
         style={styles.newSearchButton}
-        onPress={() => {
-          setCurrentScreen('mood');
-          setRecipes([]);
-          setSelectedMood('');
-          setCustomMood('');
-          setSelectedIngredients([]);
-        }}
+        onPress={() => setCurrentScreen('mood')}
       >
-        <Text style={styles.buttonText}>New Search</Text>
+        <Text style={styles.buttonText}>Back</Text>
       </TouchableOpacity>
     </View>
   );
@@ -280,11 +2563,99 @@ const App = () => {
       <View style={styles.header}>
         <Text style={styles.headerTitle}>🍽️ MoodChef</Text>
         <Text style={styles.headerSubtitle}>Recipes that match your mood</Text>
+        <Text style={[styles.connectionStatus, !isOnline && styles.offlineStatus]}>
+          {describeConnection()}
+        </Text>
+        <View style={styles.headerNav}>
+          <TouchableOpacity
+            style={styles.accountButton}
+            onPress={() => setCurrentScreen('favorites')}
+          >
+            <Text style={styles.accountButtonText}>❤️ Favorites</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.accountButton}
+            onPress={() => setCurrentScreen('history')}
+          >
+            <Text style={styles.accountButtonText}>📖 History</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.accountButton}
+            onPress={openTrends}
+          >
+            <Text style={styles.accountButtonText}>📈 Trends</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.accountButton}
+            onPress={openPlanner}
+          >
+            <Text style={styles.accountButtonText}>📅 Planner</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.accountButton}
+            onPress={() => setCurrentScreen('diet')}
+          >
+            <Text style={styles.accountButtonText}>🥗 Diet</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.accountButton}
+            onPress={() => (currentUser ? logout() : setCurrentScreen('login'))}
+          >
+            <Text style={styles.accountButtonText}>
+              {currentUser ? `👤 ${currentUser.name || currentUser.email} · Log out` : '👤 Log in'}
+            </Text>
+          </TouchableOpacity>
+        </View>
       </View>
       
+      <SearchBar onSearch={searchRecipes} />
+
       {currentScreen === 'mood' && <MoodScreen />}
-      {currentScreen === 'ingredients' && <IngredientsScreen />}
+      {currentScreen === 'search' && search && <SearchScreen />}
+      {currentScreen === 'ingredients' && (
+        <IngredientsScreen
+          categories={ingredientCategories}
+          selected={selectedIngredients}
+          presets={pantryPresets}
+          loading={loading}
+          onToggle={handleIngredientToggle}
+          onSelect={setSelectedIngredients}
+          onSavePreset={savePantryPreset}
+          onDeletePreset={deletePantryPreset}
+          onBack={() => setCurrentScreen('mood')}
+          onSubmit={submitRequest}
+        />
+      )}
       {currentScreen === 'results' && <ResultsScreen />}
+      {currentScreen === 'shopping' && <ShoppingListScreen />}
+      {currentScreen === 'favorites' && <FavoritesScreen />}
+      {currentScreen === 'history' && <HistoryScreen />}
+      {currentScreen === 'trends' && moodStats && <TrendsScreen />}
+      {currentScreen === 'diet' && <DietScreen />}
+      {currentScreen === 'planner' && <PlannerScreen />}
+      {currentScreen === 'rate' && ratingEntry && (
+        <RatingForm
+          key={ratingEntry.clientId}
+          recipe={ratingEntry.recipe}
+          mood={ratingEntry.mood}
+          moods={moods}
+          onSubmit={submitRating}
+          onSkip={() => {
+            setRatingEntry(null);
+            setCurrentScreen(ratingReturnScreen);
+          }}
+        />
+      )}
+      {(currentScreen === 'login' || currentScreen === 'register') && (
+        <AuthForm
+          key={currentScreen}
+          mode={currentScreen}
+          loading={loading}
+          onSubmit={(credentials) => authenticate(currentScreen, credentials)}
+          onSwitchMode={() => setCurrentScreen(currentScreen === 'login' ? 'register' : 'login')}
+          onCancel={() => setCurrentScreen('mood')}
+        />
+      )}
     </SafeAreaView>
   );
 };
@@ -310,6 +2681,33 @@ const styles = StyleSheet.create({
     marginTop: 5,
     opacity: 0.9,
   },
+  connectionStatus: {
+    fontSize: 12,
+    color: '#fff',
+    marginTop: 4,
+    opacity: 0.9,
+  },
+  offlineStatus: {
+    fontWeight: 'bold',
+    opacity: 1,
+  },
+  headerNav: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    marginTop: 10,
+  },
+  accountButton: {
+    marginHorizontal: 4,
+    paddingVertical: 4,
+    paddingHorizontal: 12,
+    borderRadius: 12,
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+  },
+  accountButtonText: {
+    fontSize: 14,
+    color: '#fff',
+  },
   screen: {
     flex: 1,
     padding: 20,
@@ -350,6 +2748,39 @@ const styles = StyleSheet.create({
   selectedMood: {
     backgroundColor: '#4CAF50',
   },
+  intensityCard: {
+    backgroundColor: '#fff',
+    padding: 15,
+    borderRadius: 10,
+    marginBottom: 20,
+  },
+  intensityRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  intensityLabel: {
+    width: 100,
+    fontSize: 14,
+    color: '#333',
+  },
+  intensityValue: {
+    width: 45,
+    textAlign: 'right',
+    fontSize: 14,
+    color: '#666',
+  },
+  sliderTrack: {
+    flex: 1,
+    height: 24,
+    borderRadius: 12,
+    backgroundColor: '#eee',
+    overflow: 'hidden',
+  },
+  sliderFill: {
+    height: '100%',
+    borderRadius: 12,
+  },
   moodEmoji: {
     fontSize: 30,
     marginBottom: 5,
@@ -398,6 +2829,62 @@ const styles = StyleSheet.create({
     borderWidth: 2,
     borderColor: '#ddd',
   },
+  categorySection: {
+    marginBottom: 10,
+  },
+  categoryHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  categoryToggle: {
+    flex: 1,
+  },
+  categoryTitle: {
+    fontSize: 17,
+    fontWeight: '600',
+    color: '#333',
+  },
+  categoryAction: {
+    fontSize: 14,
+    color: '#2196F3',
+  },
+  presetRow: {
+    flexGrow: 0,
+    marginTop: -10,
+    marginBottom: 10,
+  },
+  presetChip: {
+    backgroundColor: '#FFF3E0',
+    borderWidth: 1,
+    borderColor: '#FF9800',
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+  },
+  presetChipText: {
+    fontSize: 14,
+    color: '#E65100',
+  },
+  presetForm: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  presetNameInput: {
+    flex: 1,
+    marginBottom: 0,
+    marginRight: 10,
+    padding: 10,
+  },
+  presetSaveButton: {
+    backgroundColor: '#FF9800',
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    borderRadius: 10,
+  },
   selectedIngredient: {
     backgroundColor: '#E8F5E8',
     borderColor: '#4CAF50',
@@ -411,6 +2898,14 @@ const styles = StyleSheet.create({
     color: '#4CAF50',
     fontWeight: 'bold',
   },
+  excludedIngredient: {
+    backgroundColor: '#FFEBEE',
+    borderColor: '#f44336',
+  },
+  excludedIngredientText: {
+    color: '#f44336',
+    fontWeight: 'bold',
+  },
   buttonRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -430,9 +2925,29 @@ const styles = StyleSheet.create({
     flex: 0.45,
     alignItems: 'center',
   },
+  authSubmitButton: {
+    flex: 0,
+    marginBottom: 15,
+  },
+  authSwitch: {
+    alignItems: 'center',
+    marginBottom: 20,
+  },
+  authSwitchText: {
+    fontSize: 15,
+    color: '#2196F3',
+  },
   disabledButton: {
     backgroundColor: '#ccc',
   },
+  moodInterpretation: {
+    fontSize: 15,
+    color: '#666',
+    fontStyle: 'italic',
+    textAlign: 'center',
+    marginTop: -20,
+    marginBottom: 20,
+  },
   recipesContainer: {
     flex: 1,
   },
@@ -470,12 +2985,39 @@ const styles = StyleSheet.create({
     color: '#333',
     marginBottom: 10,
   },
+  rankingExplanation: {
+    fontSize: 14,
+    color: '#2196F3',
+    fontWeight: '600',
+    marginBottom: 10,
+  },
+  substitutionsContainer: {
+    backgroundColor: '#E3F2FD',
+    padding: 10,
+    borderRadius: 8,
+    marginTop: 10,
+  },
+  substitutionHint: {
+    fontSize: 14,
+    color: '#1976D2',
+    marginBottom: 2,
+  },
+  feedbackSummary: {
+    fontSize: 14,
+    color: '#FF9800',
+    marginBottom: 10,
+  },
   recipeDescription: {
     fontSize: 16,
     color: '#666',
     marginBottom: 10,
     lineHeight: 22,
   },
+  nutritionSummary: {
+    fontSize: 13,
+    color: '#795548',
+    marginBottom: 5,
+  },
   recipeTime: {
     fontSize: 16,
     color: '#FF9800',
@@ -499,6 +3041,85 @@ const styles = StyleSheet.create({
     color: '#666',
     marginBottom: 15,
   },
+  missingContainer: {
+    backgroundColor: '#FFF3E0',
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 15,
+  },
+  missingTitle: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#E65100',
+    marginBottom: 4,
+  },
+  missingList: {
+    fontSize: 14,
+    color: '#E65100',
+    marginBottom: 10,
+  },
+  addToListButton: {
+    backgroundColor: '#FF9800',
+    padding: 10,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  addToListButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  unitsToggle: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginBottom: 15,
+  },
+  unitsOption: {
+    paddingVertical: 6,
+    paddingHorizontal: 16,
+    borderWidth: 1,
+    borderColor: '#4CAF50',
+    backgroundColor: '#fff',
+  },
+  selectedUnitsOption: {
+    backgroundColor: '#4CAF50',
+  },
+  unitsOptionText: {
+    fontSize: 14,
+    color: '#4CAF50',
+    fontWeight: '600',
+  },
+  selectedUnitsOptionText: {
+    color: '#fff',
+  },
+  servingsStepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  stepperButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: '#E8F5E8',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  stepperButtonText: {
+    fontSize: 20,
+    color: '#4CAF50',
+    fontWeight: 'bold',
+  },
+  servingsText: {
+    fontSize: 15,
+    color: '#333',
+    marginHorizontal: 12,
+  },
+  ingredientLine: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 3,
+  },
   instructionsTitle: {
     fontSize: 16,
     fontWeight: 'bold',
@@ -511,6 +3132,208 @@ const styles = StyleSheet.create({
     lineHeight: 20,
     marginBottom: 15,
   },
+  instructionStep: {
+    fontSize: 14,
+    color: '#666',
+    lineHeight: 20,
+    marginBottom: 6,
+  },
+  recipeActions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 10,
+  },
+  recipeActionButton: {
+    flex: 0.48,
+    backgroundColor: '#E8F5E8',
+    padding: 10,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  recipeActionText: {
+    fontSize: 15,
+    color: '#4CAF50',
+    fontWeight: '600',
+  },
+  syncStatus: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+    marginTop: -20,
+    marginBottom: 15,
+  },
+  historyItem: {
+    backgroundColor: '#fff',
+    padding: 15,
+    borderRadius: 10,
+    marginBottom: 10,
+    borderWidth: 1,
+    borderColor: '#ddd',
+  },
+  ratingRow: {
+    marginBottom: 20,
+  },
+  ratingLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 10,
+  },
+  ratingOptions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  ratingOption: {
+    width: 52,
+    height: 52,
+    borderRadius: 26,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    backgroundColor: '#fff',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  selectedRatingOption: {
+    borderColor: '#4CAF50',
+    backgroundColor: '#E8F5E8',
+  },
+  ratingOptionText: {
+    fontSize: 24,
+  },
+  ratingHint: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+  },
+  trendsCard: {
+    backgroundColor: '#fff',
+    padding: 15,
+    borderRadius: 10,
+    marginBottom: 10,
+    borderWidth: 1,
+    borderColor: '#ddd',
+  },
+  trendsHeading: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  trendsText: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 4,
+  },
+  trendsBarRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  trendsBarLabel: {
+    width: 100,
+    fontSize: 14,
+    color: '#666',
+  },
+  trendsBarTrack: {
+    flex: 1,
+    flexDirection: 'row',
+    height: 12,
+    borderRadius: 6,
+    backgroundColor: '#f0f0f0',
+    overflow: 'hidden',
+  },
+  trendsBar: {
+    backgroundColor: '#4CAF50',
+  },
+  trendsBarCount: {
+    width: 30,
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'right',
+  },
+  searchBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 12,
+  },
+  searchInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 10,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    fontSize: 16,
+    backgroundColor: '#fff',
+    marginRight: 10,
+  },
+  searchButton: {
+    backgroundColor: '#4CAF50',
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    borderRadius: 10,
+  },
+  searchButtonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  searchHighlight: {
+    fontWeight: 'bold',
+    backgroundColor: '#FFF59D',
+  },
+  searchSnippet: {
+    marginTop: 6,
+  },
+  planWeekRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginBottom: 10,
+  },
+  planChoiceRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 10,
+  },
+  planChoice: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    margin: 4,
+  },
+  planChoiceText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  planGenerateButton: {
+    flex: 0,
+    marginTop: 5,
+  },
+  planMealRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 4,
+  },
+  planOverBudget: {
+    color: '#f44336',
+    fontWeight: '600',
+  },
+  deleteJournalButton: {
+    backgroundColor: '#f44336',
+    padding: 15,
+    borderRadius: 10,
+    flex: 0.45,
+    alignItems: 'center',
+  },
+  historyMeta: {
+    fontSize: 14,
+    color: '#999',
+    marginTop: 4,
+    marginBottom: 10,
+  },
   shareButton: {
     backgroundColor: '#2196F3',
     padding: 12,
@@ -522,6 +3345,38 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '600',
   },
+  shoppingListButton: {
+    backgroundColor: '#2196F3',
+    padding: 15,
+    borderRadius: 10,
+    alignItems: 'center',
+    marginTop: 20,
+  },
+  shoppingItem: {
+    backgroundColor: '#fff',
+    padding: 15,
+    borderRadius: 10,
+    marginBottom: 10,
+    borderWidth: 1,
+    borderColor: '#ddd',
+  },
+  shoppingItemName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  shoppingItemRecipes: {
+    fontSize: 13,
+    color: '#999',
+    marginTop: 4,
+  },
+  shuffleButton: {
+    backgroundColor: '#7E57C2',
+    padding: 15,
+    borderRadius: 10,
+    alignItems: 'center',
+    marginTop: 20,
+  },
   newSearchButton: {
     backgroundColor: '#FF9800',
     padding: 15,
@@ -0,0 +1,17 @@
+// Ingredient tags used for diet and allergen filtering. Each catalog
+// ingredient lists the tags it contains (see models/Ingredient).
+const INGREDIENT_TAGS = ['meat', 'fish', 'dairy', 'egg', 'gluten', 'nuts', 'soy'];
+
+// Ingredient tags each diet rules out
+const dietExclusions = {
+  vegan: ['meat', 'fish', 'dairy', 'egg'],
+  vegetarian: ['meat', 'fish'],
+  'gluten-free': ['gluten'],
+  'dairy-free': ['dairy'],
+  'nut-free': ['nuts'],
+};
+
+module.exports = {
+  INGREDIENT_TAGS,
+  dietExclusions,
+};
@@ -0,0 +1,47 @@
+// Nutrition per 100 g for each catalog ingredient, from standard food
+// composition tables (USDA FoodData Central, rounded). Dry weights for
+// grains, pasta and lentils; cooked/canned for chickpeas and beans.
+//
+// `gramsPerPiece` is the weight of one piece (one egg, one medium onion),
+// or of one clove / slice for ingredients measured that way. `gramsPerCup`
+// converts volume measures; ingredients without one fall back to the
+// kitchen densities in recipeScaling, then to water.
+const nutrition = {
+  tomato: { calories: 18, protein: 0.9, carbs: 3.9, fat: 0.2, fiber: 1.2, gramsPerPiece: 120 },
+  potato: { calories: 77, protein: 2, carbs: 17.5, fat: 0.1, fiber: 2.2, gramsPerPiece: 170 },
+  onion: { calories: 40, protein: 1.1, carbs: 9.3, fat: 0.1, fiber: 1.7, gramsPerPiece: 110 },
+  garlic: { calories: 149, protein: 6.4, carbs: 33, fat: 0.5, fiber: 2.1, gramsPerPiece: 5 },
+  ginger: { calories: 80, protein: 1.8, carbs: 18, fat: 0.8, fiber: 2, gramsPerCup: 96 },
+  spinach: { calories: 23, protein: 2.9, carbs: 3.6, fat: 0.4, fiber: 2.2 },
+  broccoli: { calories: 34, protein: 2.8, carbs: 6.6, fat: 0.4, fiber: 2.6, gramsPerPiece: 300, gramsPerCup: 91 },
+  carrot: { calories: 41, protein: 0.9, carbs: 9.6, fat: 0.2, fiber: 2.8, gramsPerPiece: 60 },
+  'bell pepper': { calories: 31, protein: 1, carbs: 6, fat: 0.3, fiber: 2.1, gramsPerPiece: 150 },
+  mushroom: { calories: 22, protein: 3.1, carbs: 3.3, fat: 0.3, fiber: 1 },
+  cucumber: { calories: 15, protein: 0.7, carbs: 3.6, fat: 0.1, fiber: 0.5, gramsPerPiece: 300 },
+  lettuce: { calories: 15, protein: 1.4, carbs: 2.9, fat: 0.2, fiber: 1.3, gramsPerPiece: 500, gramsPerCup: 47 },
+  rice: { calories: 365, protein: 7.1, carbs: 80, fat: 0.7, fiber: 1.3 },
+  pasta: { calories: 371, protein: 13, carbs: 75, fat: 1.5, fiber: 3.2 },
+  bread: { calories: 265, protein: 9, carbs: 49, fat: 3.2, fiber: 2.7, gramsPerPiece: 30 },
+  quinoa: { calories: 368, protein: 14, carbs: 64, fat: 6, fiber: 7 },
+  oats: { calories: 389, protein: 16.9, carbs: 66, fat: 6.9, fiber: 10.6 },
+  flour: { calories: 364, protein: 10, carbs: 76, fat: 1, fiber: 2.7 },
+  lentils: { calories: 352, protein: 25, carbs: 63, fat: 1.1, fiber: 11 },
+  chickpeas: { calories: 164, protein: 8.9, carbs: 27, fat: 2.6, fiber: 7.6 },
+  beans: { calories: 127, protein: 8.7, carbs: 22.8, fat: 0.5, fiber: 6.4 },
+  tofu: { calories: 76, protein: 8, carbs: 1.9, fat: 4.8, fiber: 0.3, gramsPerPiece: 400, gramsPerCup: 250 },
+  milk: { calories: 61, protein: 3.2, carbs: 4.8, fat: 3.3, fiber: 0, gramsPerCup: 244 },
+  cheese: { calories: 403, protein: 25, carbs: 1.3, fat: 33, fiber: 0, gramsPerPiece: 20 },
+  butter: { calories: 717, protein: 0.9, carbs: 0.1, fat: 81, fiber: 0 },
+  yogurt: { calories: 61, protein: 3.5, carbs: 4.7, fat: 3.3, fiber: 0 },
+  paneer: { calories: 321, protein: 25, carbs: 3.6, fat: 25, fiber: 0, gramsPerCup: 130 },
+  eggs: { calories: 143, protein: 12.6, carbs: 0.7, fat: 9.5, fiber: 0, gramsPerPiece: 50 },
+  'olive oil': { calories: 884, protein: 0, carbs: 0, fat: 100, fiber: 0, gramsPerCup: 216 },
+  'coconut oil': { calories: 862, protein: 0, carbs: 0, fat: 100, fiber: 0, gramsPerCup: 218 },
+  herbs: { calories: 36, protein: 3, carbs: 6.3, fat: 0.8, fiber: 3.3 },
+  spices: { calories: 375, protein: 17.8, carbs: 44, fat: 22, fiber: 10.5, gramsPerCup: 96 },
+  turmeric: { calories: 312, protein: 9.7, carbs: 67, fat: 3.3, fiber: 22.7, gramsPerCup: 144 },
+};
+
+module.exports = {
+  nutrition,
+};
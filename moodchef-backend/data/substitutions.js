@@ -0,0 +1,43 @@
+// Ingredient substitution graph
+//
+// Each edge says `to` can stand in for `from`. Confidence (0-1) depends on
+// how the ingredient is used; `default` covers contexts not listed. Edges
+// are one-way: yogurt works well for milk, milk less so for yogurt.
+const COOKING_CONTEXTS = ['baking', 'sauce', 'soup', 'sauteing', 'raw'];
+
+const substitutions = [
+  { from: 'milk', to: 'yogurt', confidence: { default: 0.6, sauce: 0.7, soup: 0.7, baking: 0.75, raw: 0.8 }, note: 'thin with a little water' },
+  { from: 'yogurt', to: 'milk', confidence: { default: 0.4, baking: 0.5, raw: 0.6 }, note: 'the result will be thinner' },
+  { from: 'butter', to: 'coconut oil', confidence: { default: 0.7, baking: 0.8, sauteing: 0.85, raw: 0.3 } },
+  { from: 'butter', to: 'olive oil', confidence: { default: 0.6, sauteing: 0.9, sauce: 0.6, baking: 0.4, raw: 0.3 }, note: 'use about 3/4 of the amount' },
+  { from: 'coconut oil', to: 'butter', confidence: { default: 0.8, raw: 0.4 } },
+  { from: 'coconut oil', to: 'olive oil', confidence: { default: 0.75, baking: 0.5 } },
+  { from: 'olive oil', to: 'coconut oil', confidence: { default: 0.7, raw: 0.3 } },
+  { from: 'olive oil', to: 'butter', confidence: { default: 0.6, sauteing: 0.8, raw: 0.2 } },
+  { from: 'chickpeas', to: 'lentils', confidence: { default: 0.7, soup: 0.85, sauce: 0.8, raw: 0.4 } },
+  { from: 'chickpeas', to: 'beans', confidence: { default: 0.8 } },
+  { from: 'lentils', to: 'chickpeas', confidence: { default: 0.7, soup: 0.75, raw: 0.6 } },
+  { from: 'lentils', to: 'beans', confidence: { default: 0.7 } },
+  { from: 'beans', to: 'chickpeas', confidence: { default: 0.8 } },
+  { from: 'beans', to: 'lentils', confidence: { default: 0.7, raw: 0.4 } },
+  { from: 'paneer', to: 'tofu', confidence: { default: 0.75, sauce: 0.8 }, note: 'press the tofu first' },
+  { from: 'paneer', to: 'cheese', confidence: { default: 0.5, raw: 0.3 }, note: 'a firm cheese that holds its shape' },
+  { from: 'tofu', to: 'paneer', confidence: { default: 0.75 } },
+  { from: 'cheese', to: 'paneer', confidence: { default: 0.5, sauce: 0.3, baking: 0.4 } },
+  { from: 'cheese', to: 'yogurt', confidence: { default: 0.3, sauce: 0.5 }, note: 'for creaminess rather than melt' },
+  { from: 'rice', to: 'quinoa', confidence: { default: 0.75, baking: 0.5 } },
+  { from: 'quinoa', to: 'rice', confidence: { default: 0.8 } },
+  { from: 'pasta', to: 'rice', confidence: { default: 0.4, soup: 0.6, baking: 0.3 } },
+  { from: 'spinach', to: 'lettuce', confidence: { default: 0.3, raw: 0.7 } },
+  { from: 'lettuce', to: 'spinach', confidence: { default: 0.5, raw: 0.8 } },
+  { from: 'flour', to: 'oats', confidence: { default: 0.4, baking: 0.5, sauce: 0.3 }, note: 'blitz the oats into a flour first' },
+  { from: 'herbs', to: 'spices', confidence: { default: 0.4, raw: 0.2 } },
+  { from: 'spices', to: 'herbs', confidence: { default: 0.4 } },
+  { from: 'turmeric', to: 'spices', confidence: { default: 0.5 } },
+  { from: 'ginger', to: 'spices', confidence: { default: 0.4 } },
+];
+
+module.exports = {
+  COOKING_CONTEXTS,
+  substitutions,
+};
@@ -0,0 +1,84 @@
+// JWT authentication and role checks
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+// Anyone who knows the development secret can forge tokens, admin ones
+// included, so production refuses to start without a real one
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+  throw new Error('JWT_SECRET must be set when NODE_ENV is production');
+}
+if (!process.env.JWT_SECRET) {
+  console.warn('JWT_SECRET is not set; using an insecure development secret');
+}
+
+const JWT_SECRET = process.env.JWT_SECRET || 'moodchef-dev-secret';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+
+const signToken = (user) =>
+  jwt.sign({ sub: user._id.toString(), role: user.role }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+
+const readBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+// Resolve the token to a user. Returns null when there is no token, and
+// throws when there is one but it isn't valid.
+const loadUser = async (req) => {
+  const token = readBearerToken(req);
+  if (!token) return null;
+
+  const payload = jwt.verify(token, JWT_SECRET);
+  const user = await User.findById(payload.sub);
+  if (!user) throw new jwt.JsonWebTokenError('User no longer exists');
+  return user;
+};
+
+// Require a valid token; sets req.user
+const authenticate = async (req, res, next) => {
+  try {
+    const user = await loadUser(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    if (error instanceof jwt.JsonWebTokenError) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+    next(error);
+  }
+};
+
+// Attach req.user when a valid token is sent, but let anonymous requests through
+const optionalAuth = async (req, res, next) => {
+  try {
+    req.user = await loadUser(req);
+    next();
+  } catch (error) {
+    if (error instanceof jwt.JsonWebTokenError) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+    next(error);
+  }
+};
+
+// Use after authenticate
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+  next();
+};
+
+const requireAdmin = [authenticate, requireRole('admin')];
+
+module.exports = {
+  signToken,
+  authenticate,
+  optionalAuth,
+  requireRole,
+  requireAdmin,
+};
@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+
+// Reject malformed ids in req.params[param] before they reach Mongo as a CastError
+const validateObjectId = (param, label = param) => (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params[param])) {
+    return res.status(400).json({ error: `Invalid ${label}`, field: param });
+  }
+  next();
+};
+
+module.exports = validateObjectId;
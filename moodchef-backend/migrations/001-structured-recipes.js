@@ -0,0 +1,82 @@
+// Convert legacy recipe documents to the structured model:
+//   ingredients: ['pasta']          -> [{ name: 'pasta', quantity, unit, notes }]
+//   instructions: '1. ... 2. ...'   -> steps: ['...', '...']
+//   cookingTime: '25 minutes'       -> prepMinutes / cookMinutes
+//
+// Seeded recipes are matched by name and take their slug, quantities, servings
+// and dietary flags from the recipe fixtures; other recipes get a plain
+// conversion and a slug derived from their name.
+//
+// Usage: node migrations/001-structured-recipes.js [--dry-run]
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+
+const mongoose = require('mongoose');
+const Recipe = require('../models/Recipe');
+const { loadRecipeFixtures } = require('../utils/recipeSeeder');
+const { fromLegacyRecipe, isLegacyRecipe, slugify } = require('../utils/recipeFormat');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/moodchef';
+const dryRun = process.argv.includes('--dry-run');
+
+const STRUCTURED_FIELDS = ['slug', 'ingredients', 'steps', 'prepMinutes', 'cookMinutes', 'servings', 'difficulty', 'dietaryFlags'];
+
+const fixtures = loadRecipeFixtures();
+
+const structuredFieldsFor = (doc) => {
+  const sample = fixtures.find(recipe => recipe.name === doc.name);
+  const source = sample || { ...fromLegacyRecipe(doc), slug: slugify(doc.name) };
+  const fields = {};
+
+  STRUCTURED_FIELDS
+    .filter(field => source[field] !== undefined)
+    .forEach(field => { fields[field] = source[field]; });
+
+  return { fields, fromSample: Boolean(sample) };
+};
+
+async function migrate() {
+  // Use the raw collection: legacy documents don't cast to the new schema
+  const docs = await Recipe.collection.find({}).toArray();
+  const legacyDocs = docs.filter(isLegacyRecipe);
+  let enriched = 0;
+
+  console.log(`Found ${legacyDocs.length} of ${docs.length} recipes in legacy format`);
+
+  for (const doc of legacyDocs) {
+    const { fields, fromSample } = structuredFieldsFor(doc);
+    if (fromSample) enriched += 1;
+
+    if (fields.cookMinutes === null || fields.cookMinutes === undefined) {
+      console.warn(`- ${doc.name}: could not parse cooking time "${doc.cookingTime}", using 0`);
+      fields.cookMinutes = 0;
+    }
+
+    console.log(`- ${doc.name}${fromSample ? ' (from fixtures)' : ''}`);
+    if (dryRun) continue;
+
+    await Recipe.collection.updateOne(
+      { _id: doc._id },
+      {
+        $set: { ...fields, updatedAt: new Date() },
+        $unset: { cookingTime: '', instructions: '' },
+      }
+    );
+  }
+
+  console.log(`\n${dryRun ? 'Would migrate' : 'Migrated'} ${legacyDocs.length} recipes (${enriched} from fixtures)`);
+}
+
+mongoose.connect(MONGODB_URI, {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+})
+.then(async () => {
+  console.log('Connected to MongoDB');
+  await migrate();
+  await mongoose.connection.close();
+  process.exit(0);
+})
+.catch((error) => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
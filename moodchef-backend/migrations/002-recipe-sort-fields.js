@@ -0,0 +1,63 @@
+// Backfill the fields GET /api/recipes filters and sorts on:
+//   totalMinutes  - prepMinutes + cookMinutes
+//   ratingSummary - { count, averageStars } from the ratings collection
+// and build the recipe indexes, so large catalogs don't wait for the
+// server's background index build.
+//
+// Safe to run more than once.
+//
+// Usage: node migrations/002-recipe-sort-fields.js [--dry-run]
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+
+const mongoose = require('mongoose');
+const Recipe = require('../models/Recipe');
+const { getRatingStats } = require('../utils/ratingStats');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/moodchef';
+const dryRun = process.argv.includes('--dry-run');
+
+async function migrate() {
+  const docs = await Recipe.collection
+    .find({}, { projection: { name: 1, prepMinutes: 1, cookMinutes: 1, totalMinutes: 1, ratingSummary: 1 } })
+    .toArray();
+  const stats = await getRatingStats(docs.map(({ _id }) => _id));
+  let changed = 0;
+
+  for (const doc of docs) {
+    const { count, averageStars } = stats.get(String(doc._id));
+    const fields = {
+      totalMinutes: (doc.prepMinutes || 0) + (doc.cookMinutes || 0),
+      ratingSummary: { count, averageStars },
+    };
+
+    const current = doc.ratingSummary || {};
+    if (doc.totalMinutes === fields.totalMinutes
+      && current.count === count && current.averageStars === averageStars) continue;
+
+    changed += 1;
+    console.log(`- ${doc.name}: ${fields.totalMinutes} min, ${count} rating(s)`);
+    if (!dryRun) await Recipe.collection.updateOne({ _id: doc._id }, { $set: fields });
+  }
+
+  console.log(`\n${dryRun ? 'Would update' : 'Updated'} ${changed} of ${docs.length} recipes`);
+
+  if (!dryRun) {
+    await Recipe.createIndexes();
+    console.log('Recipe indexes are up to date');
+  }
+}
+
+mongoose.connect(MONGODB_URI, {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+})
+.then(async () => {
+  console.log('Connected to MongoDB');
+  await migrate();
+  await mongoose.connection.close();
+  process.exit(0);
+})
+.catch((error) => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// One "I cooked this" entry
+const cookingHistorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  recipe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe',
+    required: true,
+  },
+  // Kept so the entry still reads sensibly if the recipe is deleted
+  recipeName: {
+    type: String,
+    required: true,
+  },
+  mood: {
+    type: String,
+    default: '',
+  },
+  cookedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Generated by the app so entries logged offline aren't duplicated on sync
+  clientId: {
+    type: String,
+  },
+}, {
+  timestamps: true,
+});
+
+cookingHistorySchema.index({ user: 1, cookedAt: -1 });
+cookingHistorySchema.index(
+  { user: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+);
+
+const CookingHistory = mongoose.model('CookingHistory', cookingHistorySchema);
+
+module.exports = CookingHistory;
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// A recipe a user saved, with the mood they were in when they saved it
+const favoriteSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  recipe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe',
+    required: true,
+  },
+  mood: {
+    type: String,
+    default: '',
+  },
+}, {
+  timestamps: true,
+});
+
+favoriteSchema.index({ user: 1, recipe: 1 }, { unique: true });
+
+const Favorite = mongoose.model('Favorite', favoriteSchema);
+
+module.exports = Favorite;
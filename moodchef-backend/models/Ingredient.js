@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const { INGREDIENT_TAGS } = require('../data/diets');
+
+const CATEGORIES = ['vegetables', 'grains', 'legumes', 'dairy', 'pantry'];
+
+const CATEGORY_LABELS = {
+  vegetables: 'Vegetables',
+  grains: 'Grains & bread',
+  legumes: 'Beans & legumes',
+  dairy: 'Dairy & eggs',
+  pantry: 'Pantry',
+};
+
+// One catalog entry. Recipes refer to ingredients by `name`; `aliases`
+// are other names users and recipe authors may type for the same thing.
+//
+// Oats are tagged gluten because most oats are cross-contaminated unless
+// sold as gluten-free. Coconut is not treated as a tree nut.
+const ingredientSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+  },
+  category: {
+    type: String,
+    enum: CATEGORIES,
+    required: true,
+  },
+  aliases: [{
+    type: String,
+    lowercase: true,
+    trim: true,
+  }],
+  // What the ingredient contains, for diet and allergen filtering
+  tags: [{
+    type: String,
+    enum: INGREDIENT_TAGS,
+  }],
+  // Version of the fixture file a seeded ingredient came from; null for admin-created ones
+  fixtureVersion: {
+    type: Number,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+ingredientSchema.index({ aliases: 1 });
+
+const Ingredient = mongoose.model('Ingredient', ingredientSchema);
+
+module.exports = Ingredient;
+module.exports.CATEGORIES = CATEGORIES;
+module.exports.CATEGORY_LABELS = CATEGORY_LABELS;
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const MEALS = ['breakfast', 'lunch', 'dinner'];
+
+// One recipe in one slot of the week. `day` is 0 for Monday to 6 for Sunday.
+const entrySchema = new mongoose.Schema({
+  day: {
+    type: Number,
+    min: 0,
+    max: 6,
+    required: true,
+  },
+  meal: {
+    type: String,
+    enum: MEALS,
+    required: true,
+  },
+  recipe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe',
+    required: true,
+  },
+  // The mood the recipe was planned for
+  mood: {
+    type: String,
+    default: '',
+  },
+}, {
+  _id: false,
+});
+
+// A user's plan for one week, keyed by the Monday it starts on (UTC midnight)
+const mealPlanSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  weekStart: {
+    type: Date,
+    required: true,
+  },
+  // Cooking time budget per day, in minutes
+  dailyMinutes: {
+    type: Number,
+    min: 1,
+    default: 90,
+  },
+  // Expected mood for each day, Monday first; '' when none was given
+  dayMoods: {
+    type: [String],
+    default: () => Array(7).fill(''),
+  },
+  entries: [entrySchema],
+}, {
+  timestamps: true,
+});
+
+mealPlanSchema.index({ user: 1, weekStart: -1 }, { unique: true });
+
+const MealPlan = mongoose.model('MealPlan', mealPlanSchema);
+
+module.exports = MealPlan;
+module.exports.MEALS = MEALS;
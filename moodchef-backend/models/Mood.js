@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+const DEFAULT_TIME_PREFERENCE = 45;
+
+// One mood users can pick. Recipes tag moods by `name`. `flavors` is the
+// flavor profile the ranker looks for in recipe text; `synonyms` are other
+// words (or phrases, "under the weather") that point at this mood, each
+// with a 0-1 weight for how strongly.
+const synonymSchema = new mongoose.Schema({
+  word: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+  },
+  weight: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1,
+  },
+}, { _id: false });
+
+const moodSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  emoji: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  flavors: [{
+    type: String,
+    lowercase: true,
+    trim: true,
+  }],
+  synonyms: [synonymSchema],
+  // Card colors on the mood screen
+  colors: {
+    background: { type: String, match: HEX_COLOR, default: '#ffffff' },
+    accent: { type: String, match: HEX_COLOR, default: '#4CAF50' },
+  },
+  // Preferred upper bound on cooking time (minutes) in this mood; the
+  // ranker's time budget when the cook doesn't set one
+  timePreference: {
+    type: Number,
+    min: 1,
+    default: DEFAULT_TIME_PREFERENCE,
+  },
+  // Position on the mood screen, lowest first
+  order: {
+    type: Number,
+    default: 0,
+  },
+  // Version of the fixture file a seeded mood came from; null for admin-created ones
+  fixtureVersion: {
+    type: Number,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+moodSchema.index({ order: 1, name: 1 });
+
+const Mood = mongoose.model('Mood', moodSchema);
+
+module.exports = Mood;
+module.exports.HEX_COLOR = HEX_COLOR;
+module.exports.DEFAULT_TIME_PREFERENCE = DEFAULT_TIME_PREFERENCE;
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// One mood journal entry, recorded each time a logged-in user searches
+const moodEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // What the user picked or typed
+  input: {
+    type: String,
+    required: true,
+  },
+  // Canonical mood resolved from `input`; null when it couldn't be read
+  mood: {
+    type: String,
+    default: null,
+  },
+  note: {
+    type: String,
+    default: '',
+    maxlength: 500,
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: true,
+});
+
+moodEntrySchema.index({ user: 1, recordedAt: -1 });
+
+const MoodEntry = mongoose.model('MoodEntry', moodEntrySchema);
+
+module.exports = MoodEntry;
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { UNITS } = require('./Recipe');
+
+// Something in a user's pantry: "500 g rice, bought Monday, best before Friday"
+const pantryItemSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Catalog ingredient name
+  ingredient: {
+    type: String,
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  unit: {
+    type: String,
+    enum: [...UNITS, null],
+    default: null,
+  },
+  purchasedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Last day the item is good for; null for things that keep
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+  // Optional id chosen by the client; a repeated POST with the same clientId returns the existing item
+  clientId: {
+    type: String,
+  },
+}, {
+  timestamps: true,
+});
+
+pantryItemSchema.index({ user: 1, expiresAt: 1 });
+pantryItemSchema.index(
+  { user: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+);
+
+const PantryItem = mongoose.model('PantryItem', pantryItemSchema);
+
+module.exports = PantryItem;
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// A named set of ingredients the user usually has ("weeknight basics")
+const pantryPresetSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Generated by the app so presets created offline can be synced and
+  // edited before the server has seen them
+  clientId: {
+    type: String,
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50,
+  },
+  ingredients: [String],
+}, {
+  timestamps: true,
+});
+
+pantryPresetSchema.index({ user: 1, clientId: 1 }, { unique: true });
+
+const PantryPreset = mongoose.model('PantryPreset', pantryPresetSchema);
+
+module.exports = PantryPreset;
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const moodScore = {
+  type: Number,
+  min: 1,
+  max: 5,
+  default: null,
+};
+
+// A user's verdict on a recipe they cooked: stars, plus how they felt
+// before and after eating it
+const ratingSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  recipe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe',
+    required: true,
+  },
+  // The cooking-history entry being rated; each cook can be rated once.
+  // Ratings from before this was required have none.
+  history: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CookingHistory',
+  },
+  // Canonical mood the recipe was cooked for, resolved from `moodInput`
+  mood: {
+    type: String,
+    required: true,
+  },
+  moodInput: {
+    type: String,
+    default: '',
+  },
+  stars: {
+    type: Number,
+    min: 1,
+    max: 5,
+    required: true,
+  },
+  // 1 (awful) to 5 (great)
+  moodBefore: moodScore,
+  moodAfter: moodScore,
+  // Generated by the app so ratings submitted offline aren't duplicated on sync
+  clientId: {
+    type: String,
+  },
+}, {
+  timestamps: true,
+});
+
+ratingSchema.index({ recipe: 1, mood: 1 });
+ratingSchema.index(
+  { user: 1, history: 1 },
+  { unique: true, partialFilterExpression: { history: { $type: 'objectId' } } }
+);
+ratingSchema.index(
+  { user: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+);
+
+const Rating = mongoose.model('Rating', ratingSchema);
+
+module.exports = Rating;
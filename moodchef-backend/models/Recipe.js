@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const { slugify } = require('../utils/recipeFormat');
+
+const UNITS = ['g', 'kg', 'oz', 'lb', 'ml', 'l', 'cup', 'tbsp', 'tsp', 'piece', 'clove', 'slice', 'pinch'];
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const DIETARY_FLAGS = ['vegetarian', 'vegan', 'gluten-free', 'dairy-free', 'nut-free'];
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snack'];
+const SEASONS = ['spring', 'summer', 'autumn', 'winter'];
+
+// One ingredient line: "200 g pasta (any short shape)"
+const ingredientSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  unit: {
+    type: String,
+    enum: [...UNITS, null],
+    default: null,
+  },
+  notes: {
+    type: String,
+    default: '',
+  },
+}, {
+  _id: false,
+});
+
+// Recipe Schema
+const recipeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+  },
+  // Stable identifier used by the seeder to upsert fixture recipes
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Version of the fixture file a seeded recipe came from; null for user-created recipes
+  fixtureVersion: {
+    type: Number,
+    default: null,
+  },
+  moodTags: [{
+    type: String,
+    required: true,
+  }],
+  ingredients: {
+    type: [ingredientSchema],
+    validate: {
+      validator: (ingredients) => ingredients.length > 0,
+      message: 'ingredients must not be empty',
+    },
+  },
+  description: {
+    type: String,
+    required: true,
+  },
+  steps: {
+    type: [String],
+    validate: {
+      validator: (steps) => steps.length > 0,
+      message: 'steps must not be empty',
+    },
+  },
+  prepMinutes: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  cookMinutes: {
+    type: Number,
+    min: 0,
+    required: true,
+  },
+  servings: {
+    type: Number,
+    min: 1,
+    default: 2,
+  },
+  difficulty: {
+    type: String,
+    enum: DIFFICULTIES,
+    default: 'easy',
+  },
+  dietaryFlags: [{
+    type: String,
+    enum: DIETARY_FLAGS,
+  }],
+  // When the recipe suits; empty means any meal / any time of year
+  mealTypes: [{
+    type: String,
+    enum: MEAL_TYPES,
+  }],
+  seasons: [{
+    type: String,
+    enum: SEASONS,
+  }],
+  moodDescription: {
+    type: String,
+    required: true,
+  },
+  // prepMinutes + cookMinutes, stored so recipes can be filtered and sorted by it
+  totalMinutes: {
+    type: Number,
+    default: 0,
+  },
+  // Kept in step with the ratings collection for sorting by rating
+  ratingSummary: {
+    count: {
+      type: Number,
+      default: 0,
+    },
+    averageStars: {
+      type: Number,
+      default: null,
+    },
+  },
+}, {
+  timestamps: true,
+});
+
+recipeSchema.index({ moodTags: 1 });
+recipeSchema.index({ 'ingredients.name': 1 });
+recipeSchema.index({ name: 1 });
+recipeSchema.index({ totalMinutes: 1 });
+recipeSchema.index({ createdAt: -1 });
+recipeSchema.index({ 'ratingSummary.averageStars': -1, 'ratingSummary.count': -1 });
+// Full-text search (GET /api/search); a collection can only have one text index
+recipeSchema.index(
+  {
+    name: 'text',
+    'ingredients.name': 'text',
+    description: 'text',
+    moodDescription: 'text',
+    steps: 'text',
+  },
+  {
+    name: 'recipe_text',
+    weights: { name: 10, 'ingredients.name': 5, description: 3, moodDescription: 2, steps: 1 },
+  }
+);
+
+recipeSchema.pre('validate', function (next) {
+  if (!this.slug && this.name) this.slug = slugify(this.name);
+  this.totalMinutes = (this.prepMinutes || 0) + (this.cookMinutes || 0);
+  next();
+});
+
+const Recipe = mongoose.model('Recipe', recipeSchema);
+
+module.exports = Recipe;
+module.exports.UNITS = UNITS;
+module.exports.DIFFICULTIES = DIFFICULTIES;
+module.exports.DIETARY_FLAGS = DIETARY_FLAGS;
+module.exports.MEAL_TYPES = MEAL_TYPES;
+module.exports.SEASONS = SEASONS;
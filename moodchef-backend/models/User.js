@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { DIETS } = require('../utils/dietaryFilter');
+
+const ROLES = ['user', 'admin'];
+const PASSWORD_SALT_ROUNDS = 10;
+
+const dietaryProfileSchema = new mongoose.Schema({
+  diets: [{
+    type: String,
+    enum: DIETS,
+  }],
+  // Ingredient names or ingredient tags
+  exclusions: [String],
+}, {
+  _id: false,
+});
+
+// User Schema
+const userSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  passwordHash: {
+    type: String,
+    required: true,
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'user',
+  },
+  // Applied to every recipe search; see utils/dietaryFilter
+  dietaryProfile: {
+    type: dietaryProfileSchema,
+    default: () => ({}),
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.passwordHash;
+      delete ret.__v;
+      return ret;
+    },
+  },
+});
+
+userSchema.methods.setPassword = async function (password) {
+  this.passwordHash = await bcrypt.hash(password, PASSWORD_SALT_ROUNDS);
+};
+
+userSchema.methods.checkPassword = function (password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+const User = mongoose.model('User', userSchema);
+
+module.exports = User;
+module.exports.ROLES = ROLES;
@@ -0,0 +1,79 @@
+const express = require('express');
+const User = require('../models/User');
+const { signToken, authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+const validateCredentials = ({ email, password }) => {
+  const details = [];
+
+  if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+    details.push({ field: 'email', message: 'A valid email is required' });
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    details.push({ field: 'password', message: `password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  return details;
+};
+
+// Register a new account
+router.post('/register', async (req, res) => {
+  try {
+    const { email, password, name } = req.body;
+    const details = validateCredentials({ email, password });
+
+    if (name !== undefined && typeof name !== 'string') {
+      details.push({ field: 'name', message: 'name must be a string' });
+    }
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+
+    if (await User.exists({ email: email.trim().toLowerCase() })) {
+      return res.status(409).json({ error: 'An account with this email already exists', field: 'email' });
+    }
+
+    const user = new User({ email, name });
+    await user.setPassword(password);
+    await user.save();
+
+    res.status(201).json({ token: signToken(user), user });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'An account with this email already exists', field: 'email' });
+    }
+    console.error('Error registering user:', error);
+    res.status(500).json({ error: 'Failed to register' });
+  }
+});
+
+// Log in with email and password
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+    if (!user || !(await user.checkPassword(password))) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    res.json({ token: signToken(user), user });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+// Current user
+router.get('/me', authenticate, (req, res) => {
+  res.json(req.user);
+});
+
+module.exports = router;
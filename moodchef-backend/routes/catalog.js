@@ -0,0 +1,73 @@
+// Offline catalog (mounted at /api/catalog)
+//
+// Everything the app needs to recommend recipes without a connection: the
+// recipes in API shape, the moods, the ingredient catalog and the diet
+// rules. The response carries a `version` (also sent as the ETag), so an
+// app that already has the current catalog gets a 304 for If-None-Match.
+// With ?since=<syncedAt from the last response> only recipes changed since
+// then are sent, plus `recipeIds` so the app can drop deleted ones; the
+// rest is small and always sent whole.
+const crypto = require('crypto');
+const express = require('express');
+const Recipe = require('../models/Recipe');
+const Mood = require('../models/Mood');
+const Ingredient = require('../models/Ingredient');
+const { toApiRecipe } = require('../utils/recipeFormat');
+const { getMoods } = require('../utils/moodCatalog');
+const { getIngredients, groupByCategory } = require('../utils/ingredientCatalog');
+const { dietExclusions } = require('../data/diets');
+
+const router = express.Router();
+
+// Count and latest change of a collection; any insert, update or delete moves one of them
+const collectionState = async (Model) => {
+  const [count, latest] = await Promise.all([
+    Model.countDocuments(),
+    Model.findOne().sort({ updatedAt: -1 }).select('updatedAt').lean(),
+  ]);
+  return `${count}:${latest && latest.updatedAt ? latest.updatedAt.toISOString() : ''}`;
+};
+
+const catalogVersion = async () => {
+  const states = await Promise.all([Recipe, Mood, Ingredient].map(collectionState));
+  return crypto.createHash('sha1')
+    .update([...states, JSON.stringify(dietExclusions)].join('|'))
+    .digest('hex')
+    .slice(0, 16);
+};
+
+router.get('/', async (req, res) => {
+  try {
+    const { since } = req.query;
+    const sinceDate = since === undefined ? null : new Date(since);
+    if (sinceDate && Number.isNaN(sinceDate.getTime())) {
+      return res.status(400).json({ error: 'since must be an ISO date from a previous catalog response', field: 'since' });
+    }
+
+    const syncedAt = new Date();
+    const version = await catalogVersion();
+    res.set('ETag', `"${version}"`);
+    if (req.fresh) return res.status(304).end();
+
+    const [recipes, recipeIds] = await Promise.all([
+      Recipe.find(sinceDate ? { updatedAt: { $gte: sinceDate } } : {}).lean(),
+      Recipe.distinct('_id'),
+    ]);
+
+    res.json({
+      version,
+      syncedAt: syncedAt.toISOString(),
+      full: !sinceDate,
+      recipes: recipes.map(toApiRecipe),
+      recipeIds,
+      moods: getMoods(),
+      ingredientCategories: groupByCategory(getIngredients()),
+      dietExclusions,
+    });
+  } catch (error) {
+    console.error('Error building catalog:', error);
+    res.status(500).json({ error: 'Failed to load catalog' });
+  }
+});
+
+module.exports = router;
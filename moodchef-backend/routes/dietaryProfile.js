@@ -0,0 +1,41 @@
+// Dietary profile for the authenticated user (mounted at /api/me/dietary-profile)
+const express = require('express');
+const { ingredientNames } = require('../utils/ingredientCatalog');
+const { normalizeDietaryProfile } = require('../utils/dietaryFilter');
+
+const router = express.Router();
+
+const toApiProfile = ({ diets = [], exclusions = [] } = {}) => ({ diets, exclusions });
+
+router.get('/', (req, res) => {
+  res.json(toApiProfile(req.user.dietaryProfile));
+});
+
+// Replace the profile: { diets: [...], exclusions: [...] }
+router.put('/', async (req, res) => {
+  try {
+    const { diets = [], exclusions = [], ...unknown } = req.body;
+
+    const unknownFields = Object.keys(unknown);
+    if (unknownFields.length > 0) {
+      return res.status(400).json({ error: `Unknown field: ${unknownFields[0]}`, field: unknownFields[0] });
+    }
+
+    const { profile, details } = normalizeDietaryProfile(
+      { diets, exclusions },
+      { ingredientNames: ingredientNames() }
+    );
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+
+    req.user.dietaryProfile = profile;
+    await req.user.save();
+    res.json(toApiProfile(req.user.dietaryProfile));
+  } catch (error) {
+    console.error('Error saving dietary profile:', error);
+    res.status(500).json({ error: 'Failed to save dietary profile' });
+  }
+});
+
+module.exports = router;
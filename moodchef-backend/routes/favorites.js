@@ -0,0 +1,78 @@
+// Favorites for the authenticated user (mounted at /api/me/favorites)
+const express = require('express');
+const mongoose = require('mongoose');
+const Favorite = require('../models/Favorite');
+const Recipe = require('../models/Recipe');
+const validateObjectId = require('../middleware/validateObjectId');
+const { toApiRecipe } = require('../utils/recipeFormat');
+
+const router = express.Router();
+
+const toApiFavorite = (favorite) => ({
+  _id: favorite._id,
+  recipe: favorite.recipe ? toApiRecipe(favorite.recipe) : null,
+  mood: favorite.mood,
+  createdAt: favorite.createdAt,
+});
+
+// List favorites, newest first
+router.get('/', async (req, res) => {
+  try {
+    const favorites = await Favorite.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .populate('recipe')
+      .lean();
+
+    // Recipes deleted since they were saved are dropped
+    res.json(favorites.filter(favorite => favorite.recipe).map(toApiFavorite));
+  } catch (error) {
+    console.error('Error fetching favorites:', error);
+    res.status(500).json({ error: 'Failed to fetch favorites' });
+  }
+});
+
+// Save a recipe; saving it again just updates the mood
+router.post('/', async (req, res) => {
+  try {
+    const { recipeId, mood = '' } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(recipeId)) {
+      return res.status(400).json({ error: 'Invalid recipe id', field: 'recipeId' });
+    }
+    if (typeof mood !== 'string') {
+      return res.status(400).json({ error: 'mood must be a string', field: 'mood' });
+    }
+
+    const recipe = await Recipe.findById(recipeId);
+    if (!recipe) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+
+    const favorite = await Favorite.findOneAndUpdate(
+      { user: req.user._id, recipe: recipe._id },
+      { $set: { mood: mood.trim().toLowerCase() } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    res.status(201).json(toApiFavorite({ ...favorite, recipe }));
+  } catch (error) {
+    console.error('Error saving favorite:', error);
+    res.status(500).json({ error: 'Failed to save favorite' });
+  }
+});
+
+// Remove a recipe from favorites
+router.delete('/:recipeId', validateObjectId('recipeId', 'recipe id'), async (req, res) => {
+  try {
+    const favorite = await Favorite.findOneAndDelete({ user: req.user._id, recipe: req.params.recipeId });
+    if (!favorite) {
+      return res.status(404).json({ error: 'Favorite not found' });
+    }
+    res.json({ message: 'Favorite removed', recipeId: req.params.recipeId });
+  } catch (error) {
+    console.error('Error removing favorite:', error);
+    res.status(500).json({ error: 'Failed to remove favorite' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,116 @@
+// Cooking history for the authenticated user (mounted at /api/me/history)
+const express = require('express');
+const mongoose = require('mongoose');
+const CookingHistory = require('../models/CookingHistory');
+const Recipe = require('../models/Recipe');
+const validateObjectId = require('../middleware/validateObjectId');
+const { toApiRecipe } = require('../utils/recipeFormat');
+
+const router = express.Router();
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const toApiEntry = (entry) => ({
+  _id: entry._id,
+  clientId: entry.clientId || null,
+  recipe: entry.recipe && entry.recipe.name ? toApiRecipe(entry.recipe) : null,
+  recipeName: entry.recipeName,
+  mood: entry.mood,
+  cookedAt: entry.cookedAt,
+});
+
+// List history, most recent first. ?since=<ISO date>&limit=N
+router.get('/', async (req, res) => {
+  try {
+    const { since, limit } = req.query;
+    const query = { user: req.user._id };
+
+    if (since !== undefined) {
+      const sinceDate = new Date(since);
+      if (Number.isNaN(sinceDate.getTime())) {
+        return res.status(400).json({ error: 'since must be an ISO date', field: 'since' });
+      }
+      query.cookedAt = { $gte: sinceDate };
+    }
+
+    const pageSize = limit === undefined ? DEFAULT_LIMIT : Number(limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_LIMIT) {
+      return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_LIMIT}`, field: 'limit' });
+    }
+
+    const entries = await CookingHistory.find(query)
+      .sort({ cookedAt: -1 })
+      .limit(pageSize)
+      .populate('recipe')
+      .lean();
+
+    res.json(entries.map(toApiEntry));
+  } catch (error) {
+    console.error('Error fetching history:', error);
+    res.status(500).json({ error: 'Failed to fetch history' });
+  }
+});
+
+// Log that a recipe was cooked. Re-posting the same clientId returns the
+// existing entry instead of creating a duplicate.
+router.post('/', async (req, res) => {
+  try {
+    const { recipeId, mood = '', cookedAt, clientId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(recipeId)) {
+      return res.status(400).json({ error: 'Invalid recipe id', field: 'recipeId' });
+    }
+    if (typeof mood !== 'string') {
+      return res.status(400).json({ error: 'mood must be a string', field: 'mood' });
+    }
+    if (clientId !== undefined && (typeof clientId !== 'string' || clientId === '')) {
+      return res.status(400).json({ error: 'clientId must be a non-empty string', field: 'clientId' });
+    }
+
+    const cookedDate = cookedAt === undefined ? new Date() : new Date(cookedAt);
+    if (Number.isNaN(cookedDate.getTime()) || cookedDate > new Date(Date.now() + 60 * 1000)) {
+      return res.status(400).json({ error: 'cookedAt must be an ISO date that is not in the future', field: 'cookedAt' });
+    }
+
+    if (clientId) {
+      const existing = await CookingHistory.findOne({ user: req.user._id, clientId }).populate('recipe').lean();
+      if (existing) return res.json(toApiEntry(existing));
+    }
+
+    const recipe = await Recipe.findById(recipeId);
+    if (!recipe) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+
+    const entry = await CookingHistory.create({
+      user: req.user._id,
+      recipe: recipe._id,
+      recipeName: recipe.name,
+      mood: mood.trim().toLowerCase(),
+      cookedAt: cookedDate,
+      clientId,
+    });
+
+    res.status(201).json(toApiEntry({ ...entry.toObject(), recipe }));
+  } catch (error) {
+    console.error('Error saving history entry:', error);
+    res.status(500).json({ error: 'Failed to save history entry' });
+  }
+});
+
+// Delete a history entry
+router.delete('/:id', validateObjectId('id', 'history entry id'), async (req, res) => {
+  try {
+    const entry = await CookingHistory.findOneAndDelete({ user: req.user._id, _id: req.params.id });
+    if (!entry) {
+      return res.status(404).json({ error: 'History entry not found' });
+    }
+    res.json({ message: 'History entry deleted', id: entry._id });
+  } catch (error) {
+    console.error('Error deleting history entry:', error);
+    res.status(500).json({ error: 'Failed to delete history entry' });
+  }
+});
+
+module.exports = router;
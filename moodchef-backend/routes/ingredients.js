@@ -0,0 +1,229 @@
+// Ingredient catalog (mounted at /api/ingredients). Reads are public;
+// changes are admin only.
+const express = require('express');
+const Ingredient = require('../models/Ingredient');
+const Recipe = require('../models/Recipe');
+const { requireAdmin } = require('../middleware/auth');
+const validateObjectId = require('../middleware/validateObjectId');
+const { INGREDIENT_TAGS } = require('../data/diets');
+const {
+  getIngredients,
+  refreshCatalog,
+  resolveIngredient,
+  searchIngredients,
+  groupByCategory,
+  checkCatalogConsistency,
+} = require('../utils/ingredientCatalog');
+
+const { CATEGORIES } = Ingredient;
+
+const router = express.Router();
+
+const validateIngredientId = validateObjectId('id', 'ingredient id');
+
+const EDITABLE_FIELDS = ['name', 'category', 'aliases', 'tags'];
+
+const normalizeName = (value) => (typeof value === 'string' ? value.trim().toLowerCase().replace(/\s+/g, ' ') : value);
+
+const normalizeIngredientInput = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return input;
+
+  const normalized = { ...input };
+  if ('name' in normalized) normalized.name = normalizeName(normalized.name);
+  if ('category' in normalized) normalized.category = normalizeName(normalized.category);
+  ['aliases', 'tags'].forEach(field => {
+    if (Array.isArray(normalized[field])) normalized[field] = normalized[field].map(normalizeName);
+  });
+  return normalized;
+};
+
+// Same { field, message, values? } details as recipe validation. With
+// `partial`, only the fields present are checked, for PATCH.
+const validateIngredientInput = (input, { partial = false } = {}) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return [{ field: null, message: 'Request body must be a JSON object' }];
+  }
+
+  const details = [];
+  const has = (field) => field in input;
+
+  Object.keys(input)
+    .filter(field => !EDITABLE_FIELDS.includes(field))
+    .forEach(field => details.push({ field, message: `Unknown field: ${field}` }));
+
+  ['name', 'category']
+    .filter(field => !partial && !has(field))
+    .forEach(field => details.push({ field, message: `${field} is required` }));
+
+  if (has('name') && (typeof input.name !== 'string' || input.name === '')) {
+    details.push({ field: 'name', message: 'name must be a non-empty string' });
+  }
+
+  if (has('category') && !CATEGORIES.includes(input.category)) {
+    details.push({ field: 'category', message: `category must be one of: ${CATEGORIES.join(', ')}` });
+  }
+
+  if (has('aliases')) {
+    const { aliases } = input;
+    if (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== 'string' || alias === '')) {
+      details.push({ field: 'aliases', message: 'aliases must be an array of non-empty strings' });
+    } else if (has('name') && aliases.includes(input.name)) {
+      details.push({ field: 'aliases', message: 'aliases must not repeat the name', values: [input.name] });
+    }
+  }
+
+  if (has('tags')) {
+    if (!Array.isArray(input.tags)) {
+      details.push({ field: 'tags', message: 'tags must be an array' });
+    } else {
+      const unknown = input.tags.filter(tag => !INGREDIENT_TAGS.includes(tag));
+      if (unknown.length > 0) {
+        details.push({ field: 'tags', message: `Unknown tags: ${unknown.join(', ')}. Use: ${INGREDIENT_TAGS.join(', ')}`, values: unknown });
+      }
+    }
+  }
+
+  return details;
+};
+
+// Names or aliases of `ingredient` already used by another catalog entry
+const findNameClashes = async (ingredient) => {
+  const names = [ingredient.name, ...ingredient.aliases];
+  const others = await Ingredient.find({
+    _id: { $ne: ingredient._id },
+    $or: [{ name: { $in: names } }, { aliases: { $in: names } }],
+  }).lean();
+
+  return names.filter(name => others.some(other => other.name === name || other.aliases.includes(name)));
+};
+
+// Validate, check for clashes with other entries, save and refresh the catalog
+const saveIngredient = async (ingredient, res, status) => {
+  ingredient.aliases = [...new Set(ingredient.aliases)];
+  ingredient.tags = [...new Set(ingredient.tags)];
+
+  const clashes = await findNameClashes(ingredient);
+  if (clashes.length > 0) {
+    return res.status(409).json({
+      error: `Already in the catalog: ${clashes.join(', ')}`,
+      field: clashes.includes(ingredient.name) ? 'name' : 'aliases',
+      values: clashes,
+    });
+  }
+
+  await ingredient.save();
+  await refreshCatalog();
+  res.status(status).json(ingredient);
+};
+
+// Recipes that would be left pointing at an ingredient that no longer exists
+const recipesUsing = (name) =>
+  Recipe.find({ 'ingredients.name': name }).select('name slug').lean();
+
+const inUseResponse = (res, name, recipes) => res.status(409).json({
+  error: `${name} is used by ${recipes.length} recipe(s); update them first`,
+  recipes,
+});
+
+// Grouped by category. ?q=<search> matches names and aliases ("tomatoes"),
+// ?category=<category> narrows to one group.
+router.get('/', (req, res) => {
+  const { q, category } = req.query;
+
+  if (category !== undefined && !CATEGORIES.includes(category)) {
+    return res.status(400).json({ error: `category must be one of: ${CATEGORIES.join(', ')}`, field: 'category' });
+  }
+
+  const inCategory = category === undefined
+    ? getIngredients()
+    : getIngredients().filter(ingredient => ingredient.category === category);
+  const matches = searchIngredients(q || '', inCategory);
+
+  res.json({
+    query: q || null,
+    total: matches.length,
+    // Best match for a plural or alias query, e.g. "tomatoes" -> "tomato"
+    resolved: q ? resolveIngredient(q) : null,
+    categories: groupByCategory(matches),
+  });
+});
+
+// Recipe ingredients missing from the catalog (admin only)
+router.get('/consistency', requireAdmin, async (req, res) => {
+  try {
+    res.json(await checkCatalogConsistency());
+  } catch (error) {
+    console.error('Error checking ingredient catalog:', error);
+    res.status(500).json({ error: 'Failed to check ingredient catalog' });
+  }
+});
+
+// Add an ingredient (admin only)
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const input = normalizeIngredientInput(req.body);
+    const details = validateIngredientInput(input);
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+
+    await saveIngredient(new Ingredient(input), res, 201);
+  } catch (error) {
+    console.error('Error creating ingredient:', error);
+    res.status(500).json({ error: 'Failed to create ingredient' });
+  }
+});
+
+// Update an ingredient (admin only). PUT replaces every editable field,
+// PATCH only those given.
+const updateIngredient = (partial) => async (req, res) => {
+  try {
+    const input = normalizeIngredientInput(req.body);
+    const details = validateIngredientInput(input, { partial });
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+
+    const ingredient = await Ingredient.findById(req.params.id);
+    if (!ingredient) {
+      return res.status(404).json({ error: 'Ingredient not found' });
+    }
+
+    // Recipes store ingredient names, so renaming one in use would orphan them
+    if (input.name !== undefined && input.name !== ingredient.name) {
+      const recipes = await recipesUsing(ingredient.name);
+      if (recipes.length > 0) return inUseResponse(res, ingredient.name, recipes);
+    }
+
+    ingredient.set(partial ? input : { aliases: [], tags: [], ...input });
+    await saveIngredient(ingredient, res, 200);
+  } catch (error) {
+    console.error('Error updating ingredient:', error);
+    res.status(500).json({ error: 'Failed to update ingredient' });
+  }
+};
+
+router.put('/:id', requireAdmin, validateIngredientId, updateIngredient(false));
+router.patch('/:id', requireAdmin, validateIngredientId, updateIngredient(true));
+
+// Remove an ingredient no recipe uses (admin only)
+router.delete('/:id', requireAdmin, validateIngredientId, async (req, res) => {
+  try {
+    const ingredient = await Ingredient.findById(req.params.id);
+    if (!ingredient) {
+      return res.status(404).json({ error: 'Ingredient not found' });
+    }
+
+    const recipes = await recipesUsing(ingredient.name);
+    if (recipes.length > 0) return inUseResponse(res, ingredient.name, recipes);
+
+    await ingredient.deleteOne();
+    await refreshCatalog();
+    res.json({ message: 'Ingredient deleted', id: ingredient._id });
+  } catch (error) {
+    console.error('Error deleting ingredient:', error);
+    res.status(500).json({ error: 'Failed to delete ingredient' });
+  }
+});
+
+module.exports = router;
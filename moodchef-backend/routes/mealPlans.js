@@ -0,0 +1,248 @@
+// Weekly meal plans for the authenticated user (mounted at /api/meal-plans).
+// A plan is addressed by any date in its week ("2026-10-21"); it is stored
+// under that week's Monday.
+const express = require('express');
+const mongoose = require('mongoose');
+const MealPlan = require('../models/MealPlan');
+const { MEALS } = require('../models/MealPlan');
+const Recipe = require('../models/Recipe');
+const PantryItem = require('../models/PantryItem');
+const { moodFlavorMap, moodSynonyms } = require('../utils/moodCatalog');
+const { toApiRecipe } = require('../utils/recipeFormat');
+const { applyDietaryProfile } = require('../utils/dietaryFilter');
+const { getRatingStats } = require('../utils/ratingStats');
+const { summarizePantry } = require('../utils/pantry');
+const { buildShoppingList } = require('../utils/shoppingList');
+const { resolveIngredient } = require('../utils/ingredientCatalog');
+const {
+  weekStartOf,
+  dateKey,
+  parseDay,
+  expandExpectedMoods,
+  generateMealPlan,
+  toApiMealPlan,
+} = require('../utils/mealPlanner');
+
+const router = express.Router();
+
+const MIN_DAILY_MINUTES = 10;
+const MAX_DAILY_MINUTES = 600;
+
+const RECIPE_FIELDS = 'name moodTags ingredients prepMinutes cookMinutes';
+
+// Resolve :weekStart once for every route below
+router.param('weekStart', (req, res, next, value) => {
+  req.weekStart = weekStartOf(value);
+  if (!req.weekStart) {
+    return res.status(400).json({ error: 'weekStart must be a date in YYYY-MM-DD form', field: 'weekStart' });
+  }
+  next();
+});
+
+const findPlan = (req) =>
+  MealPlan.findOne({ user: req.user._id, weekStart: req.weekStart }).populate('entries.recipe', RECIPE_FIELDS);
+
+// Validate :day and :meal for the slot routes
+const parseSlot = (req, res, next) => {
+  const day = parseDay(req.params.day);
+  if (day === null) {
+    return res.status(400).json({ error: 'day must be 0-6 (Monday first) or a day name', field: 'day' });
+  }
+  if (!MEALS.includes(req.params.meal)) {
+    return res.status(400).json({ error: `meal must be one of: ${MEALS.join(', ')}`, field: 'meal' });
+  }
+  req.slot = { day, meal: req.params.meal };
+  next();
+};
+
+// Pantry ingredients that are still in date
+const pantryIngredients = async (userId) =>
+  summarizePantry(await PantryItem.find({ user: userId }).lean()).ingredients;
+
+// List plans, most recent week first
+router.get('/', async (req, res) => {
+  try {
+    const plans = await MealPlan.find({ user: req.user._id }).sort({ weekStart: -1 }).lean();
+    res.json(plans.map(plan => ({
+      weekStart: dateKey(plan.weekStart),
+      dailyMinutes: plan.dailyMinutes,
+      meals: plan.entries.length,
+      updatedAt: plan.updatedAt,
+    })));
+  } catch (error) {
+    console.error('Error fetching meal plans:', error);
+    res.status(500).json({ error: 'Failed to fetch meal plans' });
+  }
+});
+
+router.get('/:weekStart', async (req, res) => {
+  try {
+    const plan = await findPlan(req);
+    if (!plan) {
+      return res.status(404).json({ error: 'No meal plan for this week', weekStart: dateKey(req.weekStart) });
+    }
+    res.json(toApiMealPlan(plan));
+  } catch (error) {
+    console.error('Error fetching meal plan:', error);
+    res.status(500).json({ error: 'Failed to fetch meal plan' });
+  }
+});
+
+// Auto-fill the week: { moods?, dailyMinutes?, meals?, ingredients? }.
+// `moods` is like { "weekdays": "stressed", "weekend": "happy" }; without
+// `ingredients` the user's pantry is used. Slots for other meals are kept.
+router.post('/:weekStart/generate', async (req, res) => {
+  try {
+    const { moods, dailyMinutes = 90, meals = ['dinner'], ingredients } = req.body;
+
+    const { dayMoods, error } = expandExpectedMoods(moods);
+    if (error) return res.status(400).json({ error, field: 'moods' });
+
+    if (!Number.isInteger(dailyMinutes) || dailyMinutes < MIN_DAILY_MINUTES || dailyMinutes > MAX_DAILY_MINUTES) {
+      return res.status(400).json({
+        error: `dailyMinutes must be an integer between ${MIN_DAILY_MINUTES} and ${MAX_DAILY_MINUTES}`,
+        field: 'dailyMinutes',
+      });
+    }
+
+    if (!Array.isArray(meals) || meals.length === 0 || meals.some(meal => !MEALS.includes(meal))) {
+      return res.status(400).json({ error: `meals must be a non-empty array of: ${MEALS.join(', ')}`, field: 'meals' });
+    }
+
+    if (ingredients !== undefined && !Array.isArray(ingredients)) {
+      return res.status(400).json({ error: 'ingredients must be an array', field: 'ingredients' });
+    }
+
+    const available = ingredients === undefined
+      ? await pantryIngredients(req.user._id)
+      : ingredients.map(ingredient => resolveIngredient(ingredient) || ingredient);
+
+    const plan = await MealPlan.findOne({ user: req.user._id, weekStart: req.weekStart })
+      || new MealPlan({ user: req.user._id, weekStart: req.weekStart });
+
+    const { diets = [], exclusions = [] } = req.user.dietaryProfile || {};
+    const { recipes, dietaryFilter } = applyDietaryProfile(
+      (await Recipe.find().lean()).map(toApiRecipe),
+      { diets, exclusions }
+    );
+    const ratingStats = await getRatingStats(recipes.map(({ _id }) => _id));
+
+    const { entries, unfilled } = generateMealPlan(recipes, {
+      dayMoods,
+      meals: MEALS.filter(meal => meals.includes(meal)),
+      dailyMinutes,
+      ingredients: available,
+      kept: plan.entries.filter(entry => !meals.includes(entry.meal)).map(entry => entry.toObject()),
+      moodFlavorMap: moodFlavorMap(),
+      moodSynonyms: moodSynonyms(),
+      ratingStats,
+      dietaryProfile: { diets, exclusions },
+    });
+
+    const created = plan.isNew;
+    plan.set({ dailyMinutes, dayMoods, entries });
+    await plan.save();
+    await plan.populate('entries.recipe', RECIPE_FIELDS);
+
+    res.status(created ? 201 : 200).json({ ...toApiMealPlan(plan), unfilled, dietaryFilter });
+  } catch (error) {
+    console.error('Error generating meal plan:', error);
+    res.status(500).json({ error: 'Failed to generate meal plan' });
+  }
+});
+
+// One combined shopping list for the week, minus what is in the pantry.
+// ?ingredients=a,b overrides the pantry.
+router.get('/:weekStart/shopping-list', async (req, res) => {
+  try {
+    const plan = await MealPlan.findOne({ user: req.user._id, weekStart: req.weekStart }).populate('entries.recipe');
+    if (!plan) {
+      return res.status(404).json({ error: 'No meal plan for this week', weekStart: dateKey(req.weekStart) });
+    }
+
+    const have = req.query.ingredients === undefined
+      ? await pantryIngredients(req.user._id)
+      : String(req.query.ingredients).split(',').map(name => name.trim()).filter(Boolean)
+        .map(ingredient => resolveIngredient(ingredient) || ingredient);
+
+    const recipes = plan.entries.filter(({ recipe }) => recipe).map(({ recipe }) => toApiRecipe(recipe));
+
+    res.json({
+      weekStart: dateKey(plan.weekStart),
+      items: buildShoppingList(recipes, have),
+      recipes: recipes.map(({ _id, name }) => ({ _id, name })),
+    });
+  } catch (error) {
+    console.error('Error building meal plan shopping list:', error);
+    res.status(500).json({ error: 'Failed to build shopping list' });
+  }
+});
+
+// Put a recipe in a slot: { recipeId, mood? }. Creates the plan if needed.
+router.put('/:weekStart/:day/:meal', parseSlot, async (req, res) => {
+  try {
+    const { recipeId, mood = '' } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(recipeId)) {
+      return res.status(400).json({ error: 'Invalid recipe id', field: 'recipeId' });
+    }
+    if (typeof mood !== 'string') {
+      return res.status(400).json({ error: 'mood must be a string', field: 'mood' });
+    }
+
+    const recipe = await Recipe.exists({ _id: recipeId });
+    if (!recipe) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+
+    const { day, meal } = req.slot;
+    const plan = await MealPlan.findOne({ user: req.user._id, weekStart: req.weekStart })
+      || new MealPlan({ user: req.user._id, weekStart: req.weekStart });
+
+    plan.entries = [
+      ...plan.entries.filter(entry => !(entry.day === day && entry.meal === meal)),
+      { day, meal, recipe: recipe._id, mood: mood.trim() || plan.dayMoods[day] || '' },
+    ];
+    await plan.save();
+    await plan.populate('entries.recipe', RECIPE_FIELDS);
+
+    res.json(toApiMealPlan(plan));
+  } catch (error) {
+    console.error('Error updating meal plan:', error);
+    res.status(500).json({ error: 'Failed to update meal plan' });
+  }
+});
+
+// Empty a slot
+router.delete('/:weekStart/:day/:meal', parseSlot, async (req, res) => {
+  try {
+    const { day, meal } = req.slot;
+    const plan = await findPlan(req);
+    if (!plan || !plan.entries.some(entry => entry.day === day && entry.meal === meal)) {
+      return res.status(404).json({ error: 'Nothing planned in that slot' });
+    }
+
+    plan.entries = plan.entries.filter(entry => !(entry.day === day && entry.meal === meal));
+    await plan.save();
+    res.json(toApiMealPlan(plan));
+  } catch (error) {
+    console.error('Error updating meal plan:', error);
+    res.status(500).json({ error: 'Failed to update meal plan' });
+  }
+});
+
+// Delete the whole week's plan
+router.delete('/:weekStart', async (req, res) => {
+  try {
+    const plan = await MealPlan.findOneAndDelete({ user: req.user._id, weekStart: req.weekStart });
+    if (!plan) {
+      return res.status(404).json({ error: 'No meal plan for this week', weekStart: dateKey(req.weekStart) });
+    }
+    res.json({ message: 'Meal plan deleted', weekStart: dateKey(req.weekStart) });
+  } catch (error) {
+    console.error('Error deleting meal plan:', error);
+    res.status(500).json({ error: 'Failed to delete meal plan' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+// Mood journal for the authenticated user (mounted at /api/me/mood-journal).
+// Entries are recorded by POST /api/get-recipes; here they can be read and deleted.
+const express = require('express');
+const MoodEntry = require('../models/MoodEntry');
+const validateObjectId = require('../middleware/validateObjectId');
+
+const router = express.Router();
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const toApiEntry = (entry) => ({
+  _id: entry._id,
+  input: entry.input,
+  mood: entry.mood,
+  note: entry.note,
+  recordedAt: entry.recordedAt,
+});
+
+// List entries, most recent first. ?since=<ISO date>&limit=N
+router.get('/', async (req, res) => {
+  try {
+    const { since, limit } = req.query;
+    const query = { user: req.user._id };
+
+    if (since !== undefined) {
+      const sinceDate = new Date(since);
+      if (Number.isNaN(sinceDate.getTime())) {
+        return res.status(400).json({ error: 'since must be an ISO date', field: 'since' });
+      }
+      query.recordedAt = { $gte: sinceDate };
+    }
+
+    const pageSize = limit === undefined ? DEFAULT_LIMIT : Number(limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_LIMIT) {
+      return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_LIMIT}`, field: 'limit' });
+    }
+
+    const entries = await MoodEntry.find(query)
+      .sort({ recordedAt: -1 })
+      .limit(pageSize)
+      .lean();
+
+    res.json(entries.map(toApiEntry));
+  } catch (error) {
+    console.error('Error fetching mood journal:', error);
+    res.status(500).json({ error: 'Failed to fetch mood journal' });
+  }
+});
+
+// Delete the whole journal
+router.delete('/', async (req, res) => {
+  try {
+    const { deletedCount } = await MoodEntry.deleteMany({ user: req.user._id });
+    res.json({ message: 'Mood journal deleted', deletedCount });
+  } catch (error) {
+    console.error('Error deleting mood journal:', error);
+    res.status(500).json({ error: 'Failed to delete mood journal' });
+  }
+});
+
+// Delete one entry
+router.delete('/:id', validateObjectId('id', 'journal entry id'), async (req, res) => {
+  try {
+    const entry = await MoodEntry.findOneAndDelete({ user: req.user._id, _id: req.params.id });
+    if (!entry) {
+      return res.status(404).json({ error: 'Journal entry not found' });
+    }
+    res.json({ message: 'Journal entry deleted', id: entry._id });
+  } catch (error) {
+    console.error('Error deleting journal entry:', error);
+    res.status(500).json({ error: 'Failed to delete journal entry' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,35 @@
+// Mood trends for the authenticated user (mounted at /api/me/mood-stats)
+const express = require('express');
+const { getMoodStats } = require('../utils/moodStats');
+
+const router = express.Router();
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+
+// Largest real-world UTC offset is +14:00
+const MAX_TZ_OFFSET = 14 * 60;
+
+// ?days=N&tzOffset=<minutes, as from Date#getTimezoneOffset>
+router.get('/', async (req, res) => {
+  try {
+    const { days, tzOffset } = req.query;
+
+    const rangeDays = days === undefined ? DEFAULT_DAYS : Number(days);
+    if (!Number.isInteger(rangeDays) || rangeDays < 1 || rangeDays > MAX_DAYS) {
+      return res.status(400).json({ error: `days must be an integer between 1 and ${MAX_DAYS}`, field: 'days' });
+    }
+
+    const offset = tzOffset === undefined ? 0 : Number(tzOffset);
+    if (!Number.isInteger(offset) || Math.abs(offset) > MAX_TZ_OFFSET) {
+      return res.status(400).json({ error: `tzOffset must be an integer number of minutes between -${MAX_TZ_OFFSET} and ${MAX_TZ_OFFSET}`, field: 'tzOffset' });
+    }
+
+    res.json(await getMoodStats(req.user._id, { days: rangeDays, tzOffset: offset }));
+  } catch (error) {
+    console.error('Error fetching mood stats:', error);
+    res.status(500).json({ error: 'Failed to fetch mood stats' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,226 @@
+// Mood catalog (mounted at /api/moods). Reads are public; changes are
+// admin only.
+const express = require('express');
+const Mood = require('../models/Mood');
+const Recipe = require('../models/Recipe');
+const { requireAdmin } = require('../middleware/auth');
+const validateObjectId = require('../middleware/validateObjectId');
+const { getMoods, refreshMoods, toApiMood } = require('../utils/moodCatalog');
+
+const { HEX_COLOR, DEFAULT_TIME_PREFERENCE } = Mood;
+
+const router = express.Router();
+
+const validateMoodId = validateObjectId('id', 'mood id');
+
+const EDITABLE_FIELDS = ['name', 'label', 'emoji', 'flavors', 'synonyms', 'colors', 'timePreference', 'order'];
+
+const COLOR_FIELDS = ['background', 'accent'];
+
+const normalizeWord = (value) => (typeof value === 'string' ? value.trim().toLowerCase().replace(/\s+/g, ' ') : value);
+
+const normalizeMoodInput = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return input;
+
+  const normalized = { ...input };
+  if ('name' in normalized) normalized.name = normalizeWord(normalized.name);
+  ['label', 'emoji'].forEach(field => {
+    if (typeof normalized[field] === 'string') normalized[field] = normalized[field].trim();
+  });
+  if (Array.isArray(normalized.flavors)) normalized.flavors = normalized.flavors.map(normalizeWord);
+  if (Array.isArray(normalized.synonyms)) {
+    normalized.synonyms = normalized.synonyms.map(synonym => (
+      synonym && typeof synonym === 'object' ? { ...synonym, word: normalizeWord(synonym.word) } : synonym
+    ));
+  }
+  return normalized;
+};
+
+// Same { field, message, values? } details as recipe validation. With
+// `partial`, only the fields present are checked, for PATCH.
+const validateMoodInput = (input, { partial = false } = {}) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return [{ field: null, message: 'Request body must be a JSON object' }];
+  }
+
+  const details = [];
+  const has = (field) => field in input;
+
+  Object.keys(input)
+    .filter(field => !EDITABLE_FIELDS.includes(field))
+    .forEach(field => details.push({ field, message: `Unknown field: ${field}` }));
+
+  ['name', 'label', 'emoji']
+    .filter(field => !partial && !has(field))
+    .forEach(field => details.push({ field, message: `${field} is required` }));
+
+  ['label', 'emoji']
+    .filter(field => has(field) && (typeof input[field] !== 'string' || input[field] === ''))
+    .forEach(field => details.push({ field, message: `${field} must be a non-empty string` }));
+
+  // Names end up in recipe moodTags and query strings (?mood=sad,lazy)
+  if (has('name') && (typeof input.name !== 'string' || !/^[a-z][a-z-]*$/.test(input.name))) {
+    details.push({ field: 'name', message: 'name must be a lower-case word (letters and hyphens)' });
+  }
+
+  if (has('flavors')) {
+    const { flavors } = input;
+    if (!Array.isArray(flavors) || flavors.some(flavor => typeof flavor !== 'string' || flavor === '')) {
+      details.push({ field: 'flavors', message: 'flavors must be an array of non-empty strings' });
+    }
+  }
+
+  if (has('synonyms')) {
+    const { synonyms } = input;
+    if (!Array.isArray(synonyms)) {
+      details.push({ field: 'synonyms', message: 'synonyms must be an array of { word, weight }' });
+    } else {
+      synonyms.forEach((synonym, index) => {
+        const field = `synonyms.${index}`;
+        if (!synonym || typeof synonym !== 'object' || typeof synonym.word !== 'string' || synonym.word === '') {
+          details.push({ field: `${field}.word`, message: 'word must be a non-empty string' });
+        }
+        if (!(synonym && typeof synonym.weight === 'number' && synonym.weight >= 0 && synonym.weight <= 1)) {
+          details.push({ field: `${field}.weight`, message: 'weight must be a number from 0 to 1' });
+        }
+      });
+
+      const words = synonyms.filter(synonym => synonym && typeof synonym === 'object').map(({ word }) => word);
+      const duplicates = words.filter((word, index) => words.indexOf(word) !== index);
+      if (duplicates.length > 0) {
+        details.push({ field: 'synonyms', message: `Duplicate synonyms: ${[...new Set(duplicates)].join(', ')}`, values: duplicates });
+      }
+    }
+  }
+
+  if (has('colors')) {
+    const { colors } = input;
+    if (!colors || typeof colors !== 'object' || Array.isArray(colors)) {
+      details.push({ field: 'colors', message: `colors must be an object with ${COLOR_FIELDS.join(' and ')}` });
+    } else {
+      Object.keys(colors)
+        .filter(field => !COLOR_FIELDS.includes(field))
+        .forEach(field => details.push({ field: `colors.${field}`, message: `Unknown field: colors.${field}` }));
+      COLOR_FIELDS
+        .filter(field => field in colors && !(typeof colors[field] === 'string' && HEX_COLOR.test(colors[field])))
+        .forEach(field => details.push({ field: `colors.${field}`, message: `colors.${field} must be a hex color like #5C6BC0` }));
+    }
+  }
+
+  if (has('timePreference') && !(Number.isInteger(input.timePreference) && input.timePreference >= 1)) {
+    details.push({ field: 'timePreference', message: 'timePreference must be a positive whole number of minutes' });
+  }
+
+  if (has('order') && !Number.isInteger(input.order)) {
+    details.push({ field: 'order', message: 'order must be an integer' });
+  }
+
+  return details;
+};
+
+// Recipes that would be left tagged with a mood that no longer exists
+const recipesTagged = (name) =>
+  Recipe.find({ moodTags: name }).select('name slug').lean();
+
+const inUseResponse = (res, name, recipes) => res.status(409).json({
+  error: `${name} is used by ${recipes.length} recipe(s); update them first`,
+  recipes,
+});
+
+// Check the name is free, save and refresh the catalog
+const saveMood = async (mood, res, status) => {
+  mood.flavors = [...new Set(mood.flavors)];
+
+  if (await Mood.exists({ _id: { $ne: mood._id }, name: mood.name })) {
+    return res.status(409).json({ error: `Already a mood: ${mood.name}`, field: 'name', values: [mood.name] });
+  }
+
+  await mood.save();
+  await refreshMoods();
+  res.status(status).json(toApiMood(mood.toObject()));
+};
+
+// Every mood in display order, with its emoji, colors, flavors and synonyms
+router.get('/', (req, res) => {
+  res.json(getMoods());
+});
+
+// Add a mood (admin only)
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const input = normalizeMoodInput(req.body);
+    const details = validateMoodInput(input);
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+
+    await saveMood(new Mood(input), res, 201);
+  } catch (error) {
+    console.error('Error creating mood:', error);
+    res.status(500).json({ error: 'Failed to create mood' });
+  }
+});
+
+// Update a mood (admin only). PUT replaces every editable field, PATCH only
+// those given.
+const updateMood = (partial) => async (req, res) => {
+  try {
+    const input = normalizeMoodInput(req.body);
+    const details = validateMoodInput(input, { partial });
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+
+    const mood = await Mood.findById(req.params.id);
+    if (!mood) {
+      return res.status(404).json({ error: 'Mood not found' });
+    }
+
+    // Recipes store mood names, so renaming one in use would orphan them
+    if (input.name !== undefined && input.name !== mood.name) {
+      const recipes = await recipesTagged(mood.name);
+      if (recipes.length > 0) return inUseResponse(res, mood.name, recipes);
+    }
+
+    if (partial && input.colors) {
+      input.colors = { ...mood.toObject().colors, ...input.colors };
+    }
+    mood.set(partial ? input : {
+      flavors: [],
+      synonyms: [],
+      colors: {},
+      timePreference: DEFAULT_TIME_PREFERENCE,
+      order: 0,
+      ...input,
+    });
+    await saveMood(mood, res, 200);
+  } catch (error) {
+    console.error('Error updating mood:', error);
+    res.status(500).json({ error: 'Failed to update mood' });
+  }
+};
+
+router.put('/:id', requireAdmin, validateMoodId, updateMood(false));
+router.patch('/:id', requireAdmin, validateMoodId, updateMood(true));
+
+// Remove a mood no recipe is tagged with (admin only)
+router.delete('/:id', requireAdmin, validateMoodId, async (req, res) => {
+  try {
+    const mood = await Mood.findById(req.params.id);
+    if (!mood) {
+      return res.status(404).json({ error: 'Mood not found' });
+    }
+
+    const recipes = await recipesTagged(mood.name);
+    if (recipes.length > 0) return inUseResponse(res, mood.name, recipes);
+
+    await mood.deleteOne();
+    await refreshMoods();
+    res.json({ message: 'Mood deleted', id: mood._id });
+  } catch (error) {
+    console.error('Error deleting mood:', error);
+    res.status(500).json({ error: 'Failed to delete mood' });
+  }
+});
+
+module.exports = router;
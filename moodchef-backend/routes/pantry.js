@@ -0,0 +1,172 @@
+// Pantry inventory for the authenticated user (mounted at /api/pantry)
+const express = require('express');
+const PantryItem = require('../models/PantryItem');
+const { UNITS } = require('../models/Recipe');
+const validateObjectId = require('../middleware/validateObjectId');
+const { resolveIngredient } = require('../utils/ingredientCatalog');
+const { EXPIRING_SOON_DAYS, toApiPantryItem } = require('../utils/pantry');
+
+const router = express.Router();
+
+const MAX_ITEMS = 500;
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Validate and normalize an item body. With `partial`, only the fields
+// present are checked, for PATCH. Returns { item } or { error } (a 400 body).
+const parsePantryItem = (body, { partial = false } = {}) => {
+  const { ingredient, quantity, unit, purchasedAt, expiresAt } = body;
+  const item = {};
+
+  if (!partial || ingredient !== undefined) {
+    const name = typeof ingredient === 'string' ? resolveIngredient(ingredient) : null;
+    if (!name) {
+      return { error: { error: 'ingredient must be a catalog ingredient', field: 'ingredient', values: [ingredient] } };
+    }
+    item.ingredient = name;
+  }
+
+  if (quantity !== undefined) {
+    if (quantity !== null && !(typeof quantity === 'number' && quantity >= 0)) {
+      return { error: { error: 'quantity must be a non-negative number or null', field: 'quantity' } };
+    }
+    item.quantity = quantity;
+  }
+
+  if (unit !== undefined) {
+    if (unit !== null && !UNITS.includes(unit)) {
+      return { error: { error: `unit must be one of: ${UNITS.join(', ')}`, field: 'unit' } };
+    }
+    item.unit = unit;
+  }
+
+  if (purchasedAt !== undefined) {
+    const date = parseDate(purchasedAt);
+    if (!date || date > new Date(Date.now() + 60 * 1000)) {
+      return { error: { error: 'purchasedAt must be an ISO date that is not in the future', field: 'purchasedAt' } };
+    }
+    item.purchasedAt = date;
+  }
+
+  if (expiresAt !== undefined) {
+    const date = expiresAt === null ? null : parseDate(expiresAt);
+    if (expiresAt !== null && !date) {
+      return { error: { error: 'expiresAt must be an ISO date or null', field: 'expiresAt' } };
+    }
+    item.expiresAt = date;
+  }
+
+  return { item };
+};
+
+// An expiry date before the purchase date is almost always a typo
+const checkDates = ({ purchasedAt, expiresAt }) =>
+  (purchasedAt && expiresAt && expiresAt < new Date(purchasedAt).setUTCHours(0, 0, 0, 0)
+    ? { error: 'expiresAt must not be before purchasedAt', field: 'expiresAt' }
+    : null);
+
+// List the pantry, soonest expiry first; items without one come last.
+// ?expiringWithin=N only returns items expiring in the next N days (or already expired).
+router.get('/', async (req, res) => {
+  try {
+    const { expiringWithin } = req.query;
+    const query = { user: req.user._id };
+
+    if (expiringWithin !== undefined) {
+      const days = Number(expiringWithin);
+      if (!Number.isInteger(days) || days < 0) {
+        return res.status(400).json({ error: 'expiringWithin must be a non-negative integer', field: 'expiringWithin' });
+      }
+      const cutoff = new Date();
+      cutoff.setUTCHours(0, 0, 0, 0);
+      cutoff.setUTCDate(cutoff.getUTCDate() + days);
+      query.expiresAt = { $ne: null, $lte: cutoff };
+    }
+
+    const items = await PantryItem.find(query).sort({ ingredient: 1 }).lean();
+    const now = new Date();
+    const sorted = items.sort((a, b) =>
+      (a.expiresAt === null) - (b.expiresAt === null) || (a.expiresAt || 0) - (b.expiresAt || 0));
+
+    res.json({
+      expiringSoonDays: EXPIRING_SOON_DAYS,
+      items: sorted.map(item => toApiPantryItem(item, now)),
+    });
+  } catch (error) {
+    console.error('Error fetching pantry:', error);
+    res.status(500).json({ error: 'Failed to fetch pantry' });
+  }
+});
+
+// Add an item: { ingredient, quantity?, unit?, purchasedAt?, expiresAt?, clientId? }
+router.post('/', async (req, res) => {
+  try {
+    const { clientId } = req.body;
+    const { item, error } = parsePantryItem(req.body);
+    if (error) return res.status(400).json(error);
+
+    if (clientId !== undefined && (typeof clientId !== 'string' || clientId === '')) {
+      return res.status(400).json({ error: 'clientId must be a non-empty string', field: 'clientId' });
+    }
+
+    const dateError = checkDates({ purchasedAt: item.purchasedAt || new Date(), expiresAt: item.expiresAt });
+    if (dateError) return res.status(400).json(dateError);
+
+    if (clientId) {
+      const existing = await PantryItem.findOne({ user: req.user._id, clientId }).lean();
+      if (existing) return res.json(toApiPantryItem(existing));
+    }
+
+    if (await PantryItem.countDocuments({ user: req.user._id }) >= MAX_ITEMS) {
+      return res.status(409).json({ error: `Your pantry can hold at most ${MAX_ITEMS} items` });
+    }
+
+    const created = await PantryItem.create({ ...item, user: req.user._id, clientId });
+    res.status(201).json(toApiPantryItem(created.toObject()));
+  } catch (error) {
+    console.error('Error adding pantry item:', error);
+    res.status(500).json({ error: 'Failed to add pantry item' });
+  }
+});
+
+// Update an item's fields, e.g. { quantity: 200 } after cooking
+router.patch('/:id', validateObjectId('id', 'pantry item id'), async (req, res) => {
+  try {
+    const { item: changes, error } = parsePantryItem(req.body, { partial: true });
+    if (error) return res.status(400).json(error);
+
+    const item = await PantryItem.findOne({ _id: req.params.id, user: req.user._id });
+    if (!item) {
+      return res.status(404).json({ error: 'Pantry item not found' });
+    }
+
+    item.set(changes);
+    const dateError = checkDates(item);
+    if (dateError) return res.status(400).json(dateError);
+
+    await item.save();
+    res.json(toApiPantryItem(item.toObject()));
+  } catch (error) {
+    console.error('Error updating pantry item:', error);
+    res.status(500).json({ error: 'Failed to update pantry item' });
+  }
+});
+
+// Remove an item (used up or thrown away)
+router.delete('/:id', validateObjectId('id', 'pantry item id'), async (req, res) => {
+  try {
+    const item = await PantryItem.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!item) {
+      return res.status(404).json({ error: 'Pantry item not found' });
+    }
+    res.json({ message: 'Pantry item removed', id: req.params.id });
+  } catch (error) {
+    console.error('Error removing pantry item:', error);
+    res.status(500).json({ error: 'Failed to remove pantry item' });
+  }
+});
+
+module.exports = router;
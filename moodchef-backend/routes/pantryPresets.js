@@ -0,0 +1,87 @@
+// Pantry presets for the authenticated user (mounted at /api/me/pantry-presets).
+// Presets are addressed by the app-generated clientId so they can be
+// created and edited offline.
+const express = require('express');
+const PantryPreset = require('../models/PantryPreset');
+const { resolveIngredient } = require('../utils/ingredientCatalog');
+
+const router = express.Router();
+
+const MAX_PRESETS = 20;
+const MAX_NAME_LENGTH = 50;
+
+const toApiPreset = (preset) => ({
+  clientId: preset.clientId,
+  name: preset.name,
+  ingredients: preset.ingredients,
+  updatedAt: preset.updatedAt,
+});
+
+// List presets, oldest first so they keep their order in the app
+router.get('/', async (req, res) => {
+  try {
+    const presets = await PantryPreset.find({ user: req.user._id }).sort({ createdAt: 1 }).lean();
+    res.json(presets.map(toApiPreset));
+  } catch (error) {
+    console.error('Error fetching pantry presets:', error);
+    res.status(500).json({ error: 'Failed to fetch pantry presets' });
+  }
+});
+
+// Create or replace a preset: { name, ingredients }
+router.put('/:clientId', async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { name, ingredients } = req.body;
+
+    if (typeof name !== 'string' || name.trim() === '' || name.trim().length > MAX_NAME_LENGTH) {
+      return res.status(400).json({ error: `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`, field: 'name' });
+    }
+    if (!Array.isArray(ingredients) || ingredients.length === 0
+      || ingredients.some(ingredient => typeof ingredient !== 'string')) {
+      return res.status(400).json({ error: 'ingredients must be a non-empty array of strings', field: 'ingredients' });
+    }
+
+    const unknown = ingredients.filter(ingredient => !resolveIngredient(ingredient));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown ingredients: ${unknown.join(', ')}`, field: 'ingredients', values: unknown });
+    }
+
+    const existing = await PantryPreset.exists({ user: req.user._id, clientId });
+    if (!existing && await PantryPreset.countDocuments({ user: req.user._id }) >= MAX_PRESETS) {
+      return res.status(409).json({ error: `You can keep at most ${MAX_PRESETS} pantry presets` });
+    }
+
+    const preset = await PantryPreset.findOneAndUpdate(
+      { user: req.user._id, clientId },
+      {
+        $set: {
+          name: name.trim(),
+          ingredients: [...new Set(ingredients.map(resolveIngredient))],
+        },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    res.status(existing ? 200 : 201).json(toApiPreset(preset));
+  } catch (error) {
+    console.error('Error saving pantry preset:', error);
+    res.status(500).json({ error: 'Failed to save pantry preset' });
+  }
+});
+
+// Delete a preset
+router.delete('/:clientId', async (req, res) => {
+  try {
+    const preset = await PantryPreset.findOneAndDelete({ user: req.user._id, clientId: req.params.clientId });
+    if (!preset) {
+      return res.status(404).json({ error: 'Pantry preset not found' });
+    }
+    res.json({ message: 'Pantry preset deleted', clientId: preset.clientId });
+  } catch (error) {
+    console.error('Error deleting pantry preset:', error);
+    res.status(500).json({ error: 'Failed to delete pantry preset' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,126 @@
+// Ratings for one recipe (mounted at /api/recipes/:id/ratings)
+const express = require('express');
+const mongoose = require('mongoose');
+const Rating = require('../models/Rating');
+const Recipe = require('../models/Recipe');
+const CookingHistory = require('../models/CookingHistory');
+const { authenticate } = require('../middleware/auth');
+const { moodFlavorMap, moodSynonyms } = require('../utils/moodCatalog');
+const { canonicalMood } = require('../utils/moodResolver');
+const { getRatingStats, refreshRatingSummary } = require('../utils/ratingStats');
+
+const router = express.Router({ mergeParams: true });
+
+const isScore = (value) => Number.isInteger(value) && value >= 1 && value <= 5;
+
+const toApiRating = (rating) => ({
+  _id: rating._id,
+  clientId: rating.clientId || null,
+  recipe: rating.recipe,
+  history: rating.history || null,
+  mood: rating.mood,
+  moodInput: rating.moodInput,
+  stars: rating.stars,
+  moodBefore: rating.moodBefore,
+  moodAfter: rating.moodAfter,
+  createdAt: rating.createdAt,
+});
+
+// Aggregate stats for the recipe
+router.get('/', async (req, res) => {
+  try {
+    const recipe = await Recipe.findById(req.params.id).select('_id').lean();
+    if (!recipe) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+
+    const stats = await getRatingStats([recipe._id]);
+    res.json(stats.get(String(recipe._id)));
+  } catch (error) {
+    console.error('Error fetching ratings:', error);
+    res.status(500).json({ error: 'Failed to fetch ratings' });
+  }
+});
+
+// Rate a cooked recipe: { historyId, mood, stars, moodBefore?, moodAfter?, clientId? }
+// where historyId is the cooking-history entry (its clientId or _id). Each
+// entry holds one rating, so rating the same cook again updates it rather
+// than adding another vote to the recipe's stats.
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const { historyId, mood, stars, moodBefore = null, moodAfter = null, clientId } = req.body;
+
+    if (typeof historyId !== 'string' || historyId === '') {
+      return res.status(400).json({ error: 'historyId must be the cooking-history entry being rated', field: 'historyId' });
+    }
+
+    if (typeof mood !== 'string' || mood.trim() === '') {
+      return res.status(400).json({ error: 'mood is required', field: 'mood' });
+    }
+    if (!isScore(stars)) {
+      return res.status(400).json({ error: 'stars must be an integer from 1 to 5', field: 'stars' });
+    }
+    if ((moodBefore === null) !== (moodAfter === null)) {
+      return res.status(400).json({ error: 'moodBefore and moodAfter must be given together', field: moodBefore === null ? 'moodBefore' : 'moodAfter' });
+    }
+    const badCheckIn = ['moodBefore', 'moodAfter']
+      .find(field => req.body[field] !== undefined && req.body[field] !== null && !isScore(req.body[field]));
+    if (badCheckIn) {
+      return res.status(400).json({ error: `${badCheckIn} must be an integer from 1 to 5`, field: badCheckIn });
+    }
+    if (clientId !== undefined && (typeof clientId !== 'string' || clientId === '')) {
+      return res.status(400).json({ error: 'clientId must be a non-empty string', field: 'clientId' });
+    }
+
+    const resolvedMood = canonicalMood(mood, moodFlavorMap(), moodSynonyms());
+    if (!resolvedMood) {
+      return res.status(400).json({ error: 'Could not match mood to a known mood', field: 'mood' });
+    }
+
+    const recipe = await Recipe.findById(req.params.id).select('_id').lean();
+    if (!recipe) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+
+    const entry = await CookingHistory.findOne({
+      user: req.user._id,
+      $or: [
+        { clientId: historyId },
+        ...(mongoose.Types.ObjectId.isValid(historyId) ? [{ _id: historyId }] : []),
+      ],
+    }).select('recipe').lean();
+    if (!entry) {
+      return res.status(404).json({ error: 'Cooking-history entry not found', field: 'historyId' });
+    }
+    if (!entry.recipe.equals(recipe._id)) {
+      return res.status(400).json({ error: 'That cooking-history entry is for a different recipe', field: 'historyId' });
+    }
+
+    const verdict = { mood: resolvedMood, moodInput: mood.trim(), stars, moodBefore, moodAfter };
+    let rating = await Rating.findOne({ user: req.user._id, history: entry._id });
+    const created = !rating;
+
+    if (created) {
+      rating = await Rating.create({
+        user: req.user._id,
+        recipe: recipe._id,
+        history: entry._id,
+        ...verdict,
+        clientId,
+      });
+    } else {
+      rating.set(verdict);
+      await rating.save();
+    }
+
+    res.status(created ? 201 : 200).json({
+      rating: toApiRating(rating),
+      ratingStats: await refreshRatingSummary(recipe._id),
+    });
+  } catch (error) {
+    console.error('Error saving rating:', error);
+    res.status(500).json({ error: 'Failed to save rating' });
+  }
+});
+
+module.exports = router;
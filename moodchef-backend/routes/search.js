@@ -0,0 +1,126 @@
+// Full-text recipe search (mounted at /api/search)
+//
+// GET /api/search?q=creamy soup&mood=sad&ingredient=potato&page=1&limit=10
+// returns the matching recipes by relevance, with highlighted snippets, and
+// counts by mood and ingredient across all matches for narrowing the search.
+const express = require('express');
+const Recipe = require('../models/Recipe');
+const { moodNames } = require('../utils/moodCatalog');
+const { toApiRecipe } = require('../utils/recipeFormat');
+const { resolveIngredient } = require('../utils/ingredientCatalog');
+const {
+  MAX_QUERY_LENGTH,
+  tokenize,
+  getVocabulary,
+  correctTerms,
+  highlightRecipe,
+} = require('../utils/recipeSearch');
+
+const router = express.Router();
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+const INGREDIENT_FACETS = 15;
+
+const QUERY_PARAMS = ['q', 'mood', 'ingredient', 'page', 'limit'];
+
+router.get('/', async (req, res) => {
+  try {
+    const { q, mood, ingredient, page = '1', limit = String(DEFAULT_LIMIT) } = req.query;
+    const details = [];
+
+    Object.keys(req.query)
+      .filter(param => !QUERY_PARAMS.includes(param))
+      .forEach(param => details.push({ field: param, message: `Unknown query parameter: ${param}` }));
+
+    if (typeof q !== 'string' || q.trim() === '' || q.length > MAX_QUERY_LENGTH) {
+      details.push({ field: 'q', message: `q must be a search of 1 to ${MAX_QUERY_LENGTH} characters` });
+    }
+
+    const knownMoods = moodNames();
+    if (mood !== undefined && !knownMoods.includes(String(mood).toLowerCase())) {
+      details.push({ field: 'mood', message: `mood must be one of: ${knownMoods.join(', ')}`, values: [mood] });
+    }
+
+    const ingredientName = ingredient === undefined ? null : resolveIngredient(String(ingredient));
+    if (ingredient !== undefined && !ingredientName) {
+      details.push({ field: 'ingredient', message: 'ingredient must be a catalog ingredient', values: [ingredient] });
+    }
+
+    const pageNumber = Number(page);
+    const pageSize = Number(limit);
+    if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+      details.push({ field: 'page', message: 'page must be an integer from 1 up' });
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_LIMIT) {
+      details.push({ field: 'limit', message: `limit must be an integer from 1 to ${MAX_LIMIT}` });
+    }
+
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Invalid query', details });
+    }
+
+    const words = tokenize(q);
+    if (words.length === 0) {
+      return res.status(400).json({ error: 'Invalid query', details: [{ field: 'q', message: 'q must contain at least one word' }] });
+    }
+
+    const { terms, corrections } = correctTerms(words, await getVocabulary());
+
+    const match = { $text: { $search: terms.join(' ') } };
+    if (mood !== undefined) match.moodTags = String(mood).toLowerCase();
+    if (ingredientName) match['ingredients.name'] = ingredientName;
+
+    const [{ results, total, byMood, byIngredient }] = await Recipe.aggregate([
+      { $match: match },
+      { $addFields: { relevance: { $meta: 'textScore' } } },
+      {
+        $facet: {
+          results: [
+            { $sort: { relevance: -1, name: 1 } },
+            { $skip: (pageNumber - 1) * pageSize },
+            { $limit: pageSize },
+          ],
+          total: [{ $count: 'count' }],
+          byMood: [
+            { $unwind: '$moodTags' },
+            { $group: { _id: '$moodTags', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+          ],
+          byIngredient: [
+            { $unwind: '$ingredients' },
+            { $group: { _id: '$ingredients.name', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: INGREDIENT_FACETS },
+          ],
+        },
+      },
+    ]);
+
+    const totalCount = total.length > 0 ? total[0].count : 0;
+
+    res.json({
+      query: q.trim(),
+      searchedFor: terms.join(' '),
+      corrections,
+      page: pageNumber,
+      limit: pageSize,
+      total: totalCount,
+      totalPages: Math.ceil(totalCount / pageSize),
+      results: results.map(recipe => ({
+        ...toApiRecipe(recipe),
+        relevance: Math.round(recipe.relevance * 100) / 100,
+        highlights: highlightRecipe(recipe, terms),
+      })),
+      facets: {
+        moods: byMood.map(({ _id, count }) => ({ mood: _id, count })),
+        ingredients: byIngredient.map(({ _id, count }) => ({ ingredient: _id, count })),
+      },
+    });
+  } catch (error) {
+    console.error('Error searching recipes:', error);
+    res.status(500).json({ error: 'Failed to search recipes' });
+  }
+});
+
+module.exports = router;
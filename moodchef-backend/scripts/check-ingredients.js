@@ -0,0 +1,41 @@
+// Report recipe ingredients that aren't in the ingredient catalog.
+// Exits with status 1 when any are found, so it can gate a deploy. Catalog
+// ingredients missing from the nutrition table are listed as a warning.
+//
+// Usage: node scripts/check-ingredients.js
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+
+const mongoose = require('mongoose');
+const { refreshCatalog, checkCatalogConsistency, ingredientNames } = require('../utils/ingredientCatalog');
+const { ingredientsWithoutNutrition } = require('../utils/nutrition');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/moodchef';
+
+mongoose.connect(MONGODB_URI, {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+})
+.then(async () => {
+  await refreshCatalog();
+  const { ok, uncatalogued, unused } = await checkCatalogConsistency();
+
+  uncatalogued.forEach(({ ingredient, suggestion, recipes }) => {
+    const hint = suggestion ? ` (did you mean "${suggestion}"?)` : '';
+    console.log(`✗ ${ingredient}${hint} - used by ${recipes.map(({ name }) => name).join(', ')}`);
+  });
+  if (unused.length > 0) {
+    console.log(`Catalog ingredients no recipe uses: ${unused.join(', ')}`);
+  }
+  const withoutNutrition = ingredientsWithoutNutrition(ingredientNames());
+  if (withoutNutrition.length > 0) {
+    console.log(`Catalog ingredients without nutrition data: ${withoutNutrition.join(', ')}`);
+  }
+  console.log(ok ? 'All recipe ingredients are in the catalog' : `${uncatalogued.length} ingredient(s) missing from the catalog`);
+
+  await mongoose.connection.close();
+  process.exit(ok ? 0 : 1);
+})
+.catch((error) => {
+  console.error('MongoDB connection error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,34 @@
+// Give an existing account the admin role.
+//
+// Usage: node scripts/make-admin.js <email>
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/moodchef';
+const email = (process.argv[2] || '').trim().toLowerCase();
+
+if (!email) {
+  console.error('Usage: node scripts/make-admin.js <email>');
+  process.exit(1);
+}
+
+mongoose.connect(MONGODB_URI, {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+})
+.then(async () => {
+  const user = await User.findOneAndUpdate({ email }, { role: 'admin' }, { new: true });
+  if (!user) {
+    console.error(`No user with email ${email}`);
+    process.exit(1);
+  }
+  console.log(`${user.email} is now an admin`);
+  await mongoose.connection.close();
+  process.exit(0);
+})
+.catch((error) => {
+  console.error('MongoDB connection error:', error);
+  process.exit(1);
+});
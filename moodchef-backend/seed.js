@@ -1,4 +1,19 @@
+// Seed the database from the fixture files in data/fixtures/moods,
+// data/fixtures/ingredients and data/fixtures/recipes.
+//
+// Usage: node seed.js [--dry-run] [--reset]
+//   --dry-run  report what would change without writing anything
+//   --reset    delete ALL recipes (including user-created ones) before seeding;
+//              the mood and ingredient catalogs are only ever upserted
+require('dotenv').config({ path: require('path').join(__dirname, '.env') });
+
 const mongoose = require('mongoose');
+const { seedRecipes } = require('./utils/recipeSeeder');
+const { seedIngredients } = require('./utils/ingredientCatalog');
+const { seedMoods } = require('./utils/moodCatalog');
+
+const dryRun = process.argv.includes('--dry-run');
+const reset = process.argv.includes('--reset');
 
 // MongoDB connection
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/moodchef';
@@ -16,203 +31,30 @@ mongoose.connect(MONGODB_URI, {
   process.exit(1);
 });
 
-// Recipe Schema
-const recipeSchema = new mongoose.Schema({
-  name: {
-    type: String,
-    required: true,
-  },
-  moodTags: [{
-    type: String,
-    required: true,
-  }],
-  ingredients: [{
-    type: String,
-    required: true,
-  }],
-  description: {
-    type: String,
-    required: true,
-  },
-  cookingTime: {
-    type: String,
-    required: true,
-  },
-  instructions: {
-    type: String,
-    required: true,
-  },
-  moodDescription: {
-    type: String,
-    required: true,
-  },
-}, {
-  timestamps: true,
-});
-
-const Recipe = mongoose.model('Recipe', recipeSchema);
-
-const seedRecipes = [
-  {
-    name: "Comfort Mac and Cheese",
-    moodTags: ["sad", "stressed"],
-    ingredients: ["pasta", "cheese", "milk", "butter", "flour"],
-    description: "Creamy, comforting mac and cheese that warms your heart and soul.",
-    cookingTime: "25 minutes",
-    instructions: "1. Cook pasta according to package directions. 2. Make cheese sauce with butter, flour, milk, and cheese. 3. Mix pasta with sauce. 4. Bake until golden and bubbly.",
-    moodDescription: "Perfect comfort food to lift your spirits"
-  },
-  {
-    name: "Rainbow Veggie Stir-Fry",
-    moodTags: ["happy", "bored"],
-    ingredients: ["bell pepper", "broccoli", "carrot", "garlic", "ginger", "rice"],
-    description: "Colorful and vibrant stir-fry packed with fresh vegetables and bold flavors.",
-    cookingTime: "15 minutes",
-    instructions: "1. Heat oil in wok. 2. Add garlic and ginger. 3. Stir-fry vegetables until crisp-tender. 4. Season with soy sauce and serve over rice.",
-    moodDescription: "Bright colors and fresh flavors to match your happy mood"
-  },
-  {
-    name: "Soothing Tomato Basil Soup",
-    moodTags: ["stressed", "sick"],
-    ingredients: ["tomato", "onion", "garlic", "herbs", "milk"],
-    description: "Warm and soothing soup that calms your nerves and nourishes your body.",
-    cookingTime: "30 minutes",
-    instructions: "1. Sauté onion and garlic. 2. Add tomatoes and herbs. 3. Simmer and blend until smooth. 4. Stir in milk and season to taste.",
-    moodDescription: "Gentle and calming, perfect for stress relief"
-  },
-  {
-    name: "Quick Avocado Toast",
-    moodTags: ["lazy", "happy"],
-    ingredients: ["bread", "cheese", "tomato", "herbs"],
-    description: "Simple and satisfying toast that requires minimal effort but maximum flavor.",
-    cookingTime: "5 minutes",
-    instructions: "1. Toast bread. 2. Mash avocado with seasonings. 3. Spread on toast. 4. Top with tomato and herbs.",
-    moodDescription: "Easy and quick when you don't feel like cooking"
-  },
-  {
-    name: "Romantic Mushroom Risotto",
-    moodTags: ["love", "happy"],
-    ingredients: ["rice", "mushroom", "onion", "garlic", "cheese"],
-    description: "Creamy, elegant risotto perfect for a romantic dinner at home.",
-    cookingTime: "45 minutes",
-    instructions: "1. Sauté mushrooms and set aside. 2. Cook onion and garlic. 3. Add rice and cook until creamy. 4. Stir in mushrooms and cheese.",
-    moodDescription: "Elegant and romantic, perfect for date night"
-  },
-  {
-    name: "Healing Ginger Lentil Soup",
-    moodTags: ["sick", "stressed"],
-    ingredients: ["lentils", "ginger", "garlic", "onion", "carrot"],
-    description: "Nourishing soup packed with healing spices and protein-rich lentils.",
-    cookingTime: "35 minutes",
-    instructions: "1. Sauté aromatics. 2. Add lentils and water. 3. Simmer until tender. 4. Season with healing spices.",
-    moodDescription: "Healing and nourishing for when you're under the weather"
-  },
-  {
-    name: "Spicy Chickpea Curry",
-    moodTags: ["bored", "happy"],
-    ingredients: ["chickpeas", "tomato", "onion", "garlic", "ginger", "spices"],
-    description: "Bold and flavorful curry that awakens your taste buds and fights boredom.",
-    cookingTime: "40 minutes",
-    instructions: "1. Build spice base with onion, garlic, ginger. 2. Add tomatoes and spices. 3. Add chickpeas and simmer. 4. Garnish with fresh herbs.",
-    moodDescription: "Exciting flavors to spice up your day"
-  },
-  {
-    name: "Lazy Day Pasta Primavera",
-    moodTags: ["lazy", "happy"],
-    ingredients: ["pasta", "broccoli", "bell pepper", "garlic", "olive oil"],
-    description: "Simple pasta dish with fresh vegetables that's easy to make but delicious.",
-    cookingTime: "20 minutes",
-    instructions: "1. Cook pasta and vegetables together. 2. Toss with olive oil and garlic. 3. Season simply. 4. Serve immediately.",
-    moodDescription: "Minimal effort, maximum satisfaction"
-  },
-  {
-    name: "Mood-Boosting Smoothie Bowl",
-    moodTags: ["sad", "happy"],
-    ingredients: ["oats", "milk", "yogurt"],
-    description: "Creamy and nutritious bowl topped with mood-boosting ingredients.",
-    cookingTime: "10 minutes",
-    instructions: "1. Blend frozen fruits with yogurt. 2. Pour into bowl. 3. Top with granola and fresh fruits. 4. Drizzle with honey.",
-    moodDescription: "Nutritious and colorful to brighten your mood"
-  },
-  {
-    name: "Comforting Potato Soup",
-    moodTags: ["sad", "stressed", "sick"],
-    ingredients: ["potato", "onion", "garlic", "milk", "butter"],
-    description: "Creamy, hearty soup that provides ultimate comfort and warmth.",
-    cookingTime: "30 minutes",
-    instructions: "1. Sauté onion and garlic. 2. Add potatoes and broth. 3. Simmer until tender. 4. Blend partially and add cream.",
-    moodDescription: "Warm and comforting, like a hug in a bowl"
-  },
-  {
-    name: "Energizing Quinoa Salad",
-    moodTags: ["happy", "bored"],
-    ingredients: ["quinoa", "cucumber", "tomato", "herbs", "olive oil"],
-    description: "Fresh and energizing salad packed with protein and vibrant vegetables.",
-    cookingTime: "25 minutes",
-    instructions: "1. Cook quinoa and let cool. 2. Chop fresh vegetables. 3. Mix with herbs and dressing. 4. Let flavors meld before serving.",
-    moodDescription: "Fresh and energizing to boost your vitality"
-  },
-  {
-    name: "Love-Filled Stuffed Bell Peppers",
-    moodTags: ["love", "happy"],
-    ingredients: ["bell pepper", "rice", "mushroom", "cheese", "herbs"],
-    description: "Beautiful stuffed peppers that show love through every colorful bite.",
-    cookingTime: "50 minutes",
-    instructions: "1. Hollow out bell peppers. 2. Prepare rice and mushroom filling. 3. Stuff peppers and top with cheese. 4. Bake until tender.",
-    moodDescription: "Made with love, perfect for sharing with someone special"
-  },
-  {
-    name: "Simple Herb Omelette",
-    moodTags: ["lazy", "happy"],
-    ingredients: ["eggs", "herbs", "cheese", "butter"],
-    description: "Fluffy omelette with fresh herbs that's quick and satisfying.",
-    cookingTime: "8 minutes",
-    instructions: "1. Beat eggs with herbs. 2. Heat butter in pan. 3. Cook omelette until set. 4. Add cheese and fold.",
-    moodDescription: "Quick and easy comfort food"
-  },
-  {
-    name: "Warming Golden Turmeric Rice",
-    moodTags: ["sick", "stressed"],
-    ingredients: ["rice", "turmeric", "ginger", "garlic", "coconut oil"],
-    description: "Anti-inflammatory golden rice that soothes and heals from within.",
-    cookingTime: "25 minutes",
-    instructions: "1. Heat coconut oil and add spices. 2. Add rice and toast briefly. 3. Add water and simmer. 4. Let steam and fluff.",
-    moodDescription: "Healing golden goodness to restore your energy"
-  },
-  {
-    name: "Adventure Spice Mix Roasted Vegetables",
-    moodTags: ["bored", "happy"],
-    ingredients: ["potato", "carrot", "broccoli", "spices", "olive oil"],
-    description: "Exciting roasted vegetables with bold spice combinations to cure boredom.",
-    cookingTime: "35 minutes",
-    instructions: "1. Cut vegetables uniformly. 2. Toss with oil and spice mix. 3. Roast until caramelized. 4. Garnish with fresh herbs.",
-    moodDescription: "Bold flavors and textures to excite your palate"
-  }
-];
-
 async function seedDatabase() {
   try {
-    // Clear existing recipes
-    await Recipe.deleteMany({});
-    console.log('Cleared existing recipes');
+    if (dryRun) console.log('Dry run: no changes will be written');
 
-    // Insert new recipes
-    const insertedRecipes = await Recipe.insertMany(seedRecipes);
-    console.log(`Successfully seeded ${insertedRecipes.length} recipes`);
+    // Recipes are checked against the catalogs, so they go first
+    const moodReport = await seedMoods({ dryRun });
+    const ingredientReport = await seedIngredients({ dryRun });
+    const report = await seedRecipes({ dryRun, reset });
 
     // Display summary
     console.log('\n=== SEEDING COMPLETE ===');
-    console.log('Recipes by mood:');
-    
-    const moodCounts = {};
-    seedRecipes.forEach(recipe => {
-      recipe.moodTags.forEach(mood => {
-        moodCounts[mood] = (moodCounts[mood] || 0) + 1;
-      });
+    console.log(`Moods inserted: ${moodReport.inserted}, updated: ${moodReport.updated}, unchanged: ${moodReport.unchanged}`);
+    console.log(`Ingredients inserted: ${ingredientReport.inserted}, updated: ${ingredientReport.updated}, unchanged: ${ingredientReport.unchanged}`);
+    if (reset) {
+      console.log(`${dryRun ? 'Would delete' : 'Deleted'} ${report.deleted} existing recipes`);
+    }
+    console.log(`Inserted: ${report.inserted}, updated: ${report.updated}, unchanged: ${report.unchanged}, skipped: ${report.skipped}`);
+    report.skippedRecipes.forEach(({ slug, reason }) => {
+      console.log(`- skipped ${slug}: ${reason}`);
     });
+    console.log('Recipes by mood:');
 
-    Object.entries(moodCounts).forEach(([mood, count]) => {
-      console.log(`- ${mood}: ${count} recipes`);
+    Object.entries(report.byMood).forEach(([mood, counts]) => {
+      console.log(`- ${mood}: ${counts.inserted} inserted, ${counts.updated} updated, ${counts.unchanged} unchanged, ${counts.skipped} skipped`);
     });
 
     console.log('\nDatabase seeding completed successfully!');
@@ -231,4 +73,4 @@ process.on('SIGINT', () => {
     console.log('Database connection closed.');
     process.exit(0);
   });
-});
\ No newline at end of file
+});
@@ -1,7 +1,74 @@
+require('dotenv').config();
+
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const bodyParser = require('body-parser');
+const Recipe = require('./models/Recipe');
+const MoodEntry = require('./models/MoodEntry');
+const PantryItem = require('./models/PantryItem');
+const CookingHistory = require('./models/CookingHistory');
+const { resolveMood, blendMoods } = require('./utils/moodResolver');
+const { rankRecipes } = require('./utils/recipeRanker');
+const { buildShoppingList } = require('./utils/shoppingList');
+const { toApiRecipe } = require('./utils/recipeFormat');
+const { UNIT_SYSTEMS, scaleIngredients } = require('./utils/recipeScaling');
+const { seedRecipes } = require('./utils/recipeSeeder');
+const {
+  ensureCatalog,
+  seedIngredients,
+  ingredientNames,
+  resolveIngredient,
+} = require('./utils/ingredientCatalog');
+const {
+  ensureMoods,
+  seedMoods,
+  moodNames,
+  moodFlavorMap,
+  moodSynonyms,
+  moodTimePreferences,
+} = require('./utils/moodCatalog');
+const { getRatingStats } = require('./utils/ratingStats');
+const { parseRecipeQuery } = require('./utils/recipeQuery');
+const { parseContext } = require('./utils/recipeContext');
+const {
+  noveltyWindowStart,
+  noveltyPenalties,
+  applyNovelty,
+  pickDiverse,
+} = require('./utils/recipeDiversity');
+const { NUTRITION_GOALS, unmetNutritionGoals } = require('./utils/nutrition');
+const { SORT_MODES, summarizePantry, sortByUseItUp } = require('./utils/pantry');
+const { authenticate, optionalAuth, requireAdmin } = require('./middleware/auth');
+const validateObjectId = require('./middleware/validateObjectId');
+const authRoutes = require('./routes/auth');
+const favoritesRoutes = require('./routes/favorites');
+const historyRoutes = require('./routes/history');
+const ratingsRoutes = require('./routes/ratings');
+const moodJournalRoutes = require('./routes/moodJournal');
+const moodStatsRoutes = require('./routes/moodStats');
+const dietaryProfileRoutes = require('./routes/dietaryProfile');
+const ingredientsRoutes = require('./routes/ingredients');
+const pantryPresetsRoutes = require('./routes/pantryPresets');
+const pantryRoutes = require('./routes/pantry');
+const mealPlansRoutes = require('./routes/mealPlans');
+const searchRoutes = require('./routes/search');
+const moodsRoutes = require('./routes/moods');
+const catalogRoutes = require('./routes/catalog');
+const {
+  normalizeRecipeInput,
+  validateRecipeInput,
+  formatValidationError,
+} = require('./utils/recipeValidation');
+const {
+  emptyProfile,
+  isEmptyProfile,
+  normalizeDietaryProfile,
+  mergeProfiles,
+  excludedIngredientNames,
+  applyDietaryProfile,
+  findDietaryFlagConflicts,
+} = require('./utils/dietaryFilter');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -18,149 +85,523 @@ mongoose.connect(MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => {
+.then(async () => {
   console.log('Connected to MongoDB');
+  try {
+    await ensureCatalog();
+  } catch (error) {
+    console.error('Error loading ingredient catalog:', error);
+  }
+  try {
+    await ensureMoods();
+  } catch (error) {
+    console.error('Error loading mood catalog:', error);
+  }
 })
 .catch((error) => {
   console.error('MongoDB connection error:', error);
 });
 
-// Recipe Schema
-const recipeSchema = new mongoose.Schema({
-  name: {
-    type: String,
-    required: true,
-  },
-  moodTags: [{
-    type: String,
-    required: true,
-  }],
-  ingredients: [{
-    type: String,
-    required: true,
-  }],
-  description: {
-    type: String,
-    required: true,
-  },
-  cookingTime: {
-    type: String,
-    required: true,
-  },
-  instructions: {
-    type: String,
-    required: true,
-  },
-  moodDescription: {
-    type: String,
-    required: true,
-  },
-}, {
-  timestamps: true,
+const recipeValidationOptions = () => ({
+  moodNames: moodNames(),
+  ingredientNames: ingredientNames(),
 });
 
-const Recipe = mongoose.model('Recipe', recipeSchema);
-
-// Mood mapping for better recipe matching
-const moodFlavorMap = {
-  sad: ['comfort', 'warm', 'hearty', 'creamy'],
-  happy: ['fresh', 'colorful', 'light', 'vibrant'],
-  stressed: ['calming', 'simple', 'soothing', 'herbal'],
-  lazy: ['easy', 'quick', 'simple', 'minimal'],
-  love: ['romantic', 'special', 'indulgent', 'elegant'],
-  sick: ['healing', 'gentle', 'nourishing', 'warm'],
-  bored: ['exciting', 'flavorful', 'creative', 'spicy'],
+const validateRecipeId = validateObjectId('id', 'recipe id');
+
+// The logged-in user's dietary profile plus any `diets` / `exclude` sent
+// with the request. Returns { profile, details } like normalizeDietaryProfile.
+const requestDietaryProfile = (req, { diets, exclude }) => {
+  const { profile, details } = normalizeDietaryProfile(
+    { diets, exclusions: exclude },
+    { ingredientNames: ingredientNames() }
+  );
+  if (details.length > 0) {
+    return {
+      profile,
+      details: details.map(detail => (detail.field === 'exclusions' ? { ...detail, field: 'exclude' } : detail)),
+    };
+  }
+
+  const saved = req.user && req.user.dietaryProfile
+    ? { diets: req.user.dietaryProfile.diets, exclusions: req.user.dietaryProfile.exclusions }
+    : emptyProfile();
+  return { profile: mergeProfiles(saved, profile), details };
 };
 
-// Available ingredients list
-const availableIngredients = [
-  'tomato', 'potato', 'onion', 'garlic', 'ginger', 'spinach', 'broccoli',
-  'carrot', 'bell pepper', 'mushroom', 'cucumber', 'lettuce', 'rice',
-  'pasta', 'bread', 'tofu', 'paneer', 'cheese', 'milk', 'yogurt',
-  'beans', 'lentils', 'chickpeas', 'quinoa', 'oats', 'olive oil',
-  'coconut oil', 'butter', 'flour', 'eggs', 'herbs', 'spices'
-];
+// Validate against recipeSchema, check for a name clash and save
+const saveRecipe = async (recipe, res, status) => {
+  try {
+    await recipe.validate();
+  } catch (validationError) {
+    if (validationError.name !== 'ValidationError') throw validationError;
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: formatValidationError(validationError),
+    });
+  }
+
+  const dietaryConflicts = findDietaryFlagConflicts(recipe);
+  if (dietaryConflicts.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', details: dietaryConflicts });
+  }
+
+  const nameTaken = await Recipe.exists({ _id: { $ne: recipe._id }, name: recipe.name })
+    .collation({ locale: 'en', strength: 2 });
+  if (nameTaken) {
+    return res.status(409).json({ error: 'A recipe with this name already exists', field: 'name' });
+  }
+
+  try {
+    await recipe.save();
+  } catch (error) {
+    // Two names that differ only in punctuation share a slug
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A recipe with a similar name already exists', field: 'name' });
+    }
+    throw error;
+  }
+  res.status(status).json(toApiRecipe(recipe));
+};
 
 // Routes
 
-// Get all available ingredients
-app.get('/api/ingredients', (req, res) => {
-  res.json(availableIngredients);
+app.use('/api/auth', authRoutes);
+app.use('/api/me/favorites', authenticate, favoritesRoutes);
+app.use('/api/me/history', authenticate, historyRoutes);
+app.use('/api/me/mood-journal', authenticate, moodJournalRoutes);
+app.use('/api/me/mood-stats', authenticate, moodStatsRoutes);
+app.use('/api/me/dietary-profile', authenticate, dietaryProfileRoutes);
+app.use('/api/me/pantry-presets', authenticate, pantryPresetsRoutes);
+app.use('/api/pantry', authenticate, pantryRoutes);
+app.use('/api/meal-plans', authenticate, mealPlansRoutes);
+app.use('/api/ingredients', ingredientsRoutes);
+app.use('/api/moods', moodsRoutes);
+app.use('/api/catalog', catalogRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/recipes/:id/ratings', validateRecipeId, ratingsRoutes);
+
+
+// List recipes, a page at a time. Filters: ?mood=sad,lazy &include=rice
+// (must contain all) &maxTime=30 plus the dietary ?diets=vegan &exclude=mushroom,
+// which also apply the logged-in user's saved profile. ?sort=name|newest|time|rating,
+// ?page=1 &limit=20. Returns { recipes, page, limit, total, totalPages, sort },
+// with dietaryFilter when a profile applied.
+app.get('/api/recipes', optionalAuth, async (req, res) => {
+  try {
+    const { profile, details: dietaryDetails } = requestDietaryProfile(req, {
+      diets: req.query.diets,
+      exclude: req.query.exclude,
+    });
+    if (dietaryDetails.length > 0) {
+      return res.status(400).json({ error: 'Invalid dietary filter', details: dietaryDetails });
+    }
+
+    const dietaryApplies = !isEmptyProfile(profile);
+    const excluded = dietaryApplies ? excludedIngredientNames(profile, ingredientNames()) : [];
+    const { filter, sort, sortName, page, limit, details } = parseRecipeQuery(req.query, {
+      moodNames: moodNames(),
+      excluded,
+    });
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Invalid query', details });
+    }
+
+    const [recipes, total] = await Promise.all([
+      Recipe.find(filter).sort(sort).skip((page - 1) * limit).limit(limit).lean(),
+      Recipe.countDocuments(filter),
+    ]);
+
+    const response = {
+      recipes: recipes.map(toApiRecipe),
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      sort: sortName,
+    };
+
+    // How many recipes the other filters matched that the diet ruled out
+    if (dietaryApplies) {
+      const { filter: withoutDiet } = parseRecipeQuery(req.query, { moodNames: moodNames() });
+      response.dietaryFilter = {
+        diets: profile.diets,
+        exclusions: profile.exclusions,
+        excludedCount: (await Recipe.countDocuments(withoutDiet)) - total,
+      };
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Error fetching recipes:', error);
+    res.status(500).json({ error: 'Failed to fetch recipes' });
+  }
+});
+
+const MAX_SERVINGS = 100;
+
+// Get a single recipe, optionally scaled (?servings=N) and converted (?units=metric|imperial)
+app.get('/api/recipes/:id', validateRecipeId, async (req, res) => {
+  try {
+    const { servings, units } = req.query;
+
+    if (servings !== undefined && !(/^\d+$/.test(servings) && Number(servings) >= 1 && Number(servings) <= MAX_SERVINGS)) {
+      return res.status(400).json({ error: `servings must be an integer between 1 and ${MAX_SERVINGS}`, field: 'servings' });
+    }
+
+    if (units !== undefined && !UNIT_SYSTEMS.includes(units)) {
+      return res.status(400).json({ error: `units must be one of: ${UNIT_SYSTEMS.join(', ')}`, field: 'units' });
+    }
+
+    const recipe = await Recipe.findById(req.params.id);
+    if (!recipe) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+
+    const ratingStats = (await getRatingStats([recipe._id])).get(String(recipe._id));
+    const apiRecipe = { ...toApiRecipe(recipe), ratingStats };
+    if (servings === undefined && units === undefined) {
+      return res.json(apiRecipe);
+    }
+
+    const targetServings = servings === undefined ? apiRecipe.servings : Number(servings);
+    res.json({
+      ...apiRecipe,
+      ingredientDetails: scaleIngredients(apiRecipe.ingredientDetails, apiRecipe.servings, targetServings, units),
+      servings: targetServings,
+      baseServings: apiRecipe.servings,
+      units: units || null,
+    });
+  } catch (error) {
+    console.error('Error fetching recipe:', error);
+    res.status(500).json({ error: 'Failed to fetch recipe' });
+  }
+});
+
+// Create a recipe (admin only)
+app.post('/api/recipes', requireAdmin, async (req, res) => {
+  try {
+    const input = normalizeRecipeInput(req.body);
+    const details = validateRecipeInput(input, recipeValidationOptions());
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+
+    await saveRecipe(new Recipe(input), res, 201);
+  } catch (error) {
+    console.error('Error creating recipe:', error);
+    res.status(500).json({ error: 'Failed to create recipe' });
+  }
 });
 
-// Get all mood types
-app.get('/api/moods', (req, res) => {
-  const moods = [
-    { name: 'sad', label: 'Sad', emoji: '😔' },
-    { name: 'happy', label: 'Happy', emoji: '😄' },
-    { name: 'stressed', label: 'Stressed', emoji: '😤' },
-    { name: 'lazy', label: 'Lazy', emoji: '🥱' },
-    { name: 'love', label: 'In Love', emoji: '😍' },
-    { name: 'sick', label: 'Sick', emoji: '🤢' },
-    { name: 'bored', label: 'Bored', emoji: '😩' },
-  ];
-  res.json(moods);
+// Replace a recipe (admin only)
+app.put('/api/recipes/:id', requireAdmin, validateRecipeId, async (req, res) => {
+  try {
+    const input = normalizeRecipeInput(req.body);
+    const details = validateRecipeInput(input, recipeValidationOptions());
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+
+    const recipe = await Recipe.findById(req.params.id);
+    if (!recipe) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+
+    recipe.set(input);
+    await saveRecipe(recipe, res, 200);
+  } catch (error) {
+    console.error('Error updating recipe:', error);
+    res.status(500).json({ error: 'Failed to update recipe' });
+  }
 });
 
-// Get all recipes
-app.get('/api/recipes', async (req, res) => {
+// Update some fields of a recipe (admin only)
+app.patch('/api/recipes/:id', requireAdmin, validateRecipeId, async (req, res) => {
   try {
-    const recipes = await Recipe.find();
-    res.json(recipes);
+    const input = normalizeRecipeInput(req.body);
+    const details = validateRecipeInput(input, { ...recipeValidationOptions(), partial: true });
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+
+    if (Object.keys(input).length === 0) {
+      return res.status(400).json({ error: 'Validation failed', details: [{ field: null, message: 'No fields to update' }] });
+    }
+
+    const recipe = await Recipe.findById(req.params.id);
+    if (!recipe) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+
+    recipe.set(input);
+    await saveRecipe(recipe, res, 200);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch recipes' });
+    console.error('Error updating recipe:', error);
+    res.status(500).json({ error: 'Failed to update recipe' });
+  }
+});
+
+// Delete a recipe (admin only)
+app.delete('/api/recipes/:id', requireAdmin, validateRecipeId, async (req, res) => {
+  try {
+    const recipe = await Recipe.findByIdAndDelete(req.params.id);
+    if (!recipe) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+    res.json({ message: 'Recipe deleted', id: recipe._id });
+  } catch (error) {
+    console.error('Error deleting recipe:', error);
+    res.status(500).json({ error: 'Failed to delete recipe' });
   }
 });
 
-// Get recipes based on mood and ingredients
-app.post('/api/get-recipes', async (req, res) => {
+const MAX_NOTE_LENGTH = 500;
+
+const RESULT_COUNT = 3;
+
+// Recipe ids a shuffle can pass over; more than a whole session would show
+const MAX_SEEN = 200;
+
+// `moods` for a blend: [{ mood, intensity }] with intensity in (0, 1].
+// Returns [{ field, message }] like the other validators.
+const validateMoodBlend = (moods) => {
+  if (!Array.isArray(moods) || moods.length === 0) {
+    return [{ field: 'moods', message: 'moods must be a non-empty array of { mood, intensity }' }];
+  }
+
+  const details = [];
+  moods.forEach((pick, index) => {
+    if (!pick || typeof pick !== 'object' || typeof pick.mood !== 'string' || pick.mood.trim() === '') {
+      details.push({ field: `moods.${index}.mood`, message: 'mood must be a non-empty string' });
+    }
+    if (!(pick && typeof pick.intensity === 'number' && pick.intensity > 0 && pick.intensity <= 1)) {
+      details.push({ field: `moods.${index}.intensity`, message: 'intensity must be a number above 0 and at most 1' });
+    }
+  });
+  return details;
+};
+
+// Get recipes based on mood and ingredients. Send either `mood` (free text,
+// "tired and a bit sad") or `moods` with intensities ([{ mood: 'sad', intensity: 0.7 }, ...]).
+// An optional `context` (time of day, meal, season, time available) is
+// described in utils/recipeContext. For "show me something else", `seen`
+// lists the recipe ids already shown for this search.
+app.post('/api/get-recipes', optionalAuth, async (req, res) => {
   try {
-    const { mood, ingredients } = req.body;
+    const {
+      mood,
+      moods,
+      ingredients: requestedIngredients,
+      maxCookingTime,
+      maxMissing,
+      note = '',
+      diets,
+      exclude,
+      sort = 'relevance',
+      nutritionGoals = [],
+      maxCalories,
+      minProtein,
+      context: requestContext,
+      seen = [],
+    } = req.body;
+
+    // Logged-in users can leave out ingredients to cook from their pantry
+    const usePantry = requestedIngredients === undefined || (Array.isArray(requestedIngredients) && requestedIngredients.length === 0);
+
+    const blended = moods !== undefined;
+
+    if (blended && mood !== undefined) {
+      return res.status(400).json({ error: 'Send either mood or moods, not both', field: 'moods' });
+    }
 
-    if (!mood || !ingredients || ingredients.length === 0) {
+    if ((!mood && !blended) || (!Array.isArray(requestedIngredients) && !usePantry) || (usePantry && !req.user)) {
       return res.status(400).json({ error: 'Mood and ingredients are required' });
     }
 
-    console.log('Received request:', { mood, ingredients });
+    // Checked up front: both end up in the mood journal, which needs real text
+    if (!blended && (typeof mood !== 'string' || mood.trim() === '')) {
+      return res.status(400).json({ error: 'mood must be a non-empty string', field: 'mood' });
+    }
 
-    // Find recipes that match the mood and have at least one ingredient
-    const query = {
-      $and: [
-        { moodTags: { $in: [mood.toLowerCase()] } },
-        { ingredients: { $in: ingredients } }
-      ]
-    };
+    if (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH) {
+      return res.status(400).json({ error: `note must be a string of at most ${MAX_NOTE_LENGTH} characters`, field: 'note' });
+    }
+
+    if (blended) {
+      const blendDetails = validateMoodBlend(moods);
+      if (blendDetails.length > 0) {
+        return res.status(400).json({ error: 'Invalid moods', details: blendDetails });
+      }
+    }
 
-    let recipes = await Recipe.find(query).limit(10);
+    if (!SORT_MODES.includes(sort)) {
+      return res.status(400).json({ error: `sort must be one of: ${SORT_MODES.join(', ')}`, field: 'sort' });
+    }
 
-    // If no exact mood match, try broader search
-    if (recipes.length === 0) {
-      const broadQuery = {
-        ingredients: { $in: ingredients }
-      };
-      recipes = await Recipe.find(broadQuery).limit(10);
-    }
-
-    // Score and sort recipes based on ingredient matches
-    const scoredRecipes = recipes.map(recipe => {
-      const matchingIngredients = recipe.ingredients.filter(ingredient => 
-        ingredients.includes(ingredient)
-      );
-      
-      return {
-        ...recipe.toObject(),
-        matchScore: matchingIngredients.length,
-        matchingIngredients: matchingIngredients
-      };
+    if (sort === 'use-it-up' && !req.user) {
+      return res.status(401).json({ error: 'Log in to sort by what is expiring in your pantry', field: 'sort' });
+    }
+
+    // Expiry dates only come from the pantry, so it is read for either feature
+    const pantry = req.user && (usePantry || sort === 'use-it-up')
+      ? summarizePantry(await PantryItem.find({ user: req.user._id }).lean())
+      : null;
+
+    if (usePantry && pantry.ingredients.length === 0) {
+      return res.status(400).json({
+        error: 'Your pantry has nothing in date; send ingredients or add some to your pantry',
+        field: 'ingredients',
+        expired: pantry.expired,
+      });
+    }
+
+    // "tomatoes" -> "tomato"; names the catalog doesn't know are kept as sent
+    const ingredients = usePantry
+      ? pantry.ingredients
+      : requestedIngredients.map(ingredient => resolveIngredient(ingredient) || ingredient);
+
+    if (maxCookingTime !== undefined && !(Number(maxCookingTime) > 0)) {
+      return res.status(400).json({ error: 'maxCookingTime must be a positive number of minutes' });
+    }
+
+    if (maxMissing !== undefined && !(Number.isInteger(maxMissing) && maxMissing >= 0)) {
+      return res.status(400).json({ error: 'maxMissing must be a non-negative integer' });
+    }
+
+    if (!Array.isArray(nutritionGoals) || nutritionGoals.some(goal => !NUTRITION_GOALS[goal])) {
+      return res.status(400).json({
+        error: `nutritionGoals must be an array of: ${Object.keys(NUTRITION_GOALS).join(', ')}`,
+        field: 'nutritionGoals',
+      });
+    }
+
+    if (maxCalories !== undefined && !(typeof maxCalories === 'number' && maxCalories > 0)) {
+      return res.status(400).json({ error: 'maxCalories must be a positive number of kcal per serving', field: 'maxCalories' });
+    }
+
+    if (minProtein !== undefined && !(typeof minProtein === 'number' && minProtein >= 0)) {
+      return res.status(400).json({ error: 'minProtein must be a non-negative number of grams per serving', field: 'minProtein' });
+    }
+
+    const { profile, details } = requestDietaryProfile(req, { diets, exclude });
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Invalid dietary filter', details });
+    }
+
+    if (!Array.isArray(seen) || seen.length > MAX_SEEN || seen.some(id => typeof id !== 'string')) {
+      return res.status(400).json({ error: `seen must be an array of at most ${MAX_SEEN} recipe ids`, field: 'seen' });
+    }
+
+    const { context, details: contextDetails } = parseContext(requestContext);
+    if (contextDetails.length > 0) {
+      return res.status(400).json({ error: 'Invalid context', details: contextDetails });
+    }
+
+    // Interpret free-text moods ("exhausted") as known moods ("lazy", "stressed")
+    let moodInterpretation;
+    if (blended) {
+      const { unknown, ...blend } = blendMoods(moods, moodFlavorMap(), moodSynonyms());
+      if (unknown.length > 0) {
+        return res.status(400).json({ error: `Could not match to a known mood: ${unknown.join(', ')}`, field: 'moods', values: unknown });
+      }
+      moodInterpretation = blend;
+    } else {
+      moodInterpretation = resolveMood(mood, moodFlavorMap(), moodSynonyms());
+    }
+
+    console.log('Received request:', { mood: moodInterpretation.input, ingredients, fromPantry: usePantry });
+
+    // Logged-in searches go into the user's mood journal; a blend is filed
+    // under its strongest mood. A shuffle is the same search again.
+    if (req.user && seen.length === 0) {
+      await MoodEntry.create({
+        user: req.user._id,
+        input: moodInterpretation.input.trim(),
+        mood: moodInterpretation.moods.length > 0 ? moodInterpretation.moods[0].mood : null,
+        note: note.trim(),
+      });
+    }
+
+    // Every recipe sharing at least one ingredient is a candidate; mood fit
+    // is weighed by the ranker rather than used as a hard filter
+    const candidates = await Recipe.find({ 'ingredients.name': { $in: ingredients } }).lean();
+
+    // Recipes the dietary profile rules out never reach the ranker
+    const { recipes: allowedRecipes, dietaryFilter } = applyDietaryProfile(candidates.map(toApiRecipe), profile);
+
+    // "I have 15 minutes" rules out anything longer
+    const availableMinutes = context ? context.availableMinutes : null;
+    const timelyRecipes = availableMinutes
+      ? allowedRecipes.filter(recipe => recipe.totalMinutes <= availableMinutes)
+      : allowedRecipes;
+
+    // How well each candidate has worked for these moods in the past
+    const ratingStats = await getRatingStats(timelyRecipes.map(({ _id }) => _id));
+
+    const rankedRecipes = rankRecipes(timelyRecipes, {
+      ingredients,
+      moodInterpretation,
+      moodFlavorMap: moodFlavorMap(),
+      moodTimePreferences: moodTimePreferences(),
+      rawMood: blended ? null : mood,
+      maxCookingTime: maxCookingTime || availableMinutes,
+      ratingStats,
+      dietaryProfile: profile,
+      context,
     });
 
-    // Sort by match score and take top 3
-    const topRecipes = scoredRecipes
-      .sort((a, b) => b.matchScore - a.matchScore)
-      .slice(0, 3);
+    // Recipes cooked in the last couple of weeks make way for others
+    const recentHistory = req.user
+      ? await CookingHistory.find({
+        user: req.user._id,
+        cookedAt: { $gte: noveltyWindowStart() },
+      }).select('recipe cookedAt').lean()
+      : [];
+    const freshRecipes = applyNovelty(rankedRecipes, noveltyPenalties(recentHistory));
+
+    // "Use it up": recipes using soon-to-expire pantry items first
+    const sortedRecipes = sort === 'use-it-up'
+      ? sortByUseItUp(freshRecipes, pantry.soonestExpiry)
+      : freshRecipes;
+
+    // Near-miss mode: only recipes needing at most `maxMissing` extra items.
+    // Ingredients with a suggested substitute don't count as missing.
+    const nearMissRecipes = maxMissing === undefined
+      ? sortedRecipes
+      : sortedRecipes.filter(recipe => recipe.missingIngredients.length <= maxMissing);
+
+    // Nutrition goals ("high-protein", "under 500 kcal") are per serving
+    const nutritionLimits = { goals: nutritionGoals, maxCalories, minProtein };
+    const nutritionApplies = nutritionGoals.length > 0 || maxCalories !== undefined || minProtein !== undefined;
+    const eligibleRecipes = nutritionApplies
+      ? nearMissRecipes.filter(recipe => unmetNutritionGoals(recipe.nutrition, nutritionLimits).length === 0)
+      : nearMissRecipes;
+
+    // Shuffle: recipes already shown for this search are passed over
+    const seenIds = new Set(seen);
+    const unseenRecipes = eligibleRecipes.filter(recipe => !seenIds.has(String(recipe._id)));
+
+    // Take the top 3, skipping near-duplicates (a second soup) where there's something else
+    const { recipes: topRecipes, skippedSimilar } = pickDiverse(unseenRecipes, RESULT_COUNT);
 
-    console.log(`Found ${topRecipes.length} recipes`);
-    res.json(topRecipes);
+    console.log(`Ranked ${rankedRecipes.length} candidates, returning ${topRecipes.length}`);
+    res.json({
+      moodInterpretation,
+      dietaryFilter,
+      ...(nutritionApplies && {
+        nutritionFilter: { ...nutritionLimits, excludedCount: nearMissRecipes.length - eligibleRecipes.length },
+      }),
+      ...(context && {
+        context: { ...context, excludedCount: allowedRecipes.length - timelyRecipes.length },
+      }),
+      sort,
+      ...(usePantry && { pantry: { ingredients, expired: pantry.expired } }),
+      skippedSimilar,
+      // How many more a shuffle can still show
+      alternativesLeft: unseenRecipes.length - topRecipes.length,
+      recipes: topRecipes,
+    });
 
   } catch (error) {
     console.error('Error fetching recipes:', error);
@@ -168,153 +609,63 @@ app.post('/api/get-recipes', async (req, res) => {
   }
 });
 
-// Seed database with sample recipes
-app.post('/api/seed-recipes', async (req, res) => {
+// Build a consolidated shopping list for a set of chosen recipes
+app.post('/api/shopping-list', async (req, res) => {
   try {
-    // Clear existing recipes
-    await Recipe.deleteMany({});
-
-    const sampleRecipes = [
-      {
-        name: "Comfort Mac and Cheese",
-        moodTags: ["sad", "stressed"],
-        ingredients: ["pasta", "cheese", "milk", "butter", "flour"],
-        description: "Creamy, comforting mac and cheese that warms your heart and soul.",
-        cookingTime: "25 minutes",
-        instructions: "1. Cook pasta according to package directions. 2. Make cheese sauce with butter, flour, milk, and cheese. 3. Mix pasta with sauce. 4. Bake until golden and bubbly.",
-        moodDescription: "Perfect comfort food to lift your spirits"
-      },
-      {
-        name: "Rainbow Veggie Stir-Fry",
-        moodTags: ["happy", "bored"],
-        ingredients: ["bell pepper", "broccoli", "carrot", "garlic", "ginger", "rice"],
-        description: "Colorful and vibrant stir-fry packed with fresh vegetables and bold flavors.",
-        cookingTime: "15 minutes",
-        instructions: "1. Heat oil in wok. 2. Add garlic and ginger. 3. Stir-fry vegetables until crisp-tender. 4. Season with soy sauce and serve over rice.",
-        moodDescription: "Bright colors and fresh flavors to match your happy mood"
-      },
-      {
-        name: "Soothing Tomato Basil Soup",
-        moodTags: ["stressed", "sick"],
-        ingredients: ["tomato", "onion", "garlic", "herbs", "milk"],
-        description: "Warm and soothing soup that calms your nerves and nourishes your body.",
-        cookingTime: "30 minutes",
-        instructions: "1. Sauté onion and garlic. 2. Add tomatoes and herbs. 3. Simmer and blend until smooth. 4. Stir in milk and season to taste.",
-        moodDescription: "Gentle and calming, perfect for stress relief"
-      },
-      {
-        name: "Quick Avocado Toast",
-        moodTags: ["lazy", "happy"],
-        ingredients: ["bread", "cheese", "tomato", "herbs"],
-        description: "Simple and satisfying toast that requires minimal effort but maximum flavor.",
-        cookingTime: "5 minutes",
-        instructions: "1. Toast bread. 2. Mash avocado with seasonings. 3. Spread on toast. 4. Top with tomato and herbs.",
-        moodDescription: "Easy and quick when you don't feel like cooking"
-      },
-      {
-        name: "Romantic Mushroom Risotto",
-        moodTags: ["love", "happy"],
-        ingredients: ["rice", "mushroom", "onion", "garlic", "cheese"],
-        description: "Creamy, elegant risotto perfect for a romantic dinner at home.",
-        cookingTime: "45 minutes",
-        instructions: "1. Sauté mushrooms and set aside. 2. Cook onion and garlic. 3. Add rice and cook until creamy. 4. Stir in mushrooms and cheese.",
-        moodDescription: "Elegant and romantic, perfect for date night"
-      },
-      {
-        name: "Healing Ginger Lentil Soup",
-        moodTags: ["sick", "stressed"],
-        ingredients: ["lentils", "ginger", "garlic", "onion", "carrot"],
-        description: "Nourishing soup packed with healing spices and protein-rich lentils.",
-        cookingTime: "35 minutes",
-        instructions: "1. Sauté aromatics. 2. Add lentils and water. 3. Simmer until tender. 4. Season with healing spices.",
-        moodDescription: "Healing and nourishing for when you're under the weather"
-      },
-      {
-        name: "Spicy Chickpea Curry",
-        moodTags: ["bored", "happy"],
-        ingredients: ["chickpeas", "tomato", "onion", "garlic", "ginger", "spices"],
-        description: "Bold and flavorful curry that awakens your taste buds and fights boredom.",
-        cookingTime: "40 minutes",
-        instructions: "1. Build spice base with onion, garlic, ginger. 2. Add tomatoes and spices. 3. Add chickpeas and simmer. 4. Garnish with fresh herbs.",
-        moodDescription: "Exciting flavors to spice up your day"
-      },
-      {
-        name: "Lazy Day Pasta Primavera",
-        moodTags: ["lazy", "happy"],
-        ingredients: ["pasta", "broccoli", "bell pepper", "garlic", "olive oil"],
-        description: "Simple pasta dish with fresh vegetables that's easy to make but delicious.",
-        cookingTime: "20 minutes",
-        instructions: "1. Cook pasta and vegetables together. 2. Toss with olive oil and garlic. 3. Season simply. 4. Serve immediately.",
-        moodDescription: "Minimal effort, maximum satisfaction"
-      },
-      {
-        name: "Mood-Boosting Smoothie Bowl",
-        moodTags: ["sad", "happy"],
-        ingredients: ["oats", "milk", "yogurt"],
-        description: "Creamy and nutritious bowl topped with mood-boosting ingredients.",
-        cookingTime: "10 minutes",
-        instructions: "1. Blend frozen fruits with yogurt. 2. Pour into bowl. 3. Top with granola and fresh fruits. 4. Drizzle with honey.",
-        moodDescription: "Nutritious and colorful to brighten your mood"
-      },
-      {
-        name: "Comforting Potato Soup",
-        moodTags: ["sad", "stressed", "sick"],
-        ingredients: ["potato", "onion", "garlic", "milk", "butter"],
-        description: "Creamy, hearty soup that provides ultimate comfort and warmth.",
-        cookingTime: "30 minutes",
-        instructions: "1. Sauté onion and garlic. 2. Add potatoes and broth. 3. Simmer until tender. 4. Blend partially and add cream.",
-        moodDescription: "Warm and comforting, like a hug in a bowl"
-      },
-      {
-        name: "Energizing Quinoa Salad",
-        moodTags: ["happy", "bored"],
-        ingredients: ["quinoa", "cucumber", "tomato", "herbs", "olive oil"],
-        description: "Fresh and energizing salad packed with protein and vibrant vegetables.",
-        cookingTime: "25 minutes",
-        instructions: "1. Cook quinoa and let cool. 2. Chop fresh vegetables. 3. Mix with herbs and dressing. 4. Let flavors meld before serving.",
-        moodDescription: "Fresh and energizing to boost your vitality"
-      },
-      {
-        name: "Love-Filled Stuffed Bell Peppers",
-        moodTags: ["love", "happy"],
-        ingredients: ["bell pepper", "rice", "mushroom", "cheese", "herbs"],
-        description: "Beautiful stuffed peppers that show love through every colorful bite.",
-        cookingTime: "50 minutes",
-        instructions: "1. Hollow out bell peppers. 2. Prepare rice and mushroom filling. 3. Stuff peppers and top with cheese. 4. Bake until tender.",
-        moodDescription: "Made with love, perfect for sharing with someone special"
-      },
-      {
-        name: "Simple Herb Omelette",
-        moodTags: ["lazy", "happy"],
-        ingredients: ["eggs", "herbs", "cheese", "butter"],
-        description: "Fluffy omelette with fresh herbs that's quick and satisfying.",
-        cookingTime: "8 minutes",
-        instructions: "1. Beat eggs with herbs. 2. Heat butter in pan. 3. Cook omelette until set. 4. Add cheese and fold.",
-        moodDescription: "Quick and easy comfort food"
-      },
-      {
-        name: "Warming Golden Turmeric Rice",
-        moodTags: ["sick", "stressed"],
-        ingredients: ["rice", "turmeric", "ginger", "garlic", "coconut oil"],
-        description: "Anti-inflammatory golden rice that soothes and heals from within.",
-        cookingTime: "25 minutes",
-        instructions: "1. Heat coconut oil and add spices. 2. Add rice and toast briefly. 3. Add water and simmer. 4. Let steam and fluff.",
-        moodDescription: "Healing golden goodness to restore your energy"
-      },
-      {
-        name: "Adventure Spice Mix Roasted Vegetables",
-        moodTags: ["bored", "happy"],
-        ingredients: ["potato", "carrot", "broccoli", "spices", "olive oil"],
-        description: "Exciting roasted vegetables with bold spice combinations to cure boredom.",
-        cookingTime: "35 minutes",
-        instructions: "1. Cut vegetables uniformly. 2. Toss with oil and spice mix. 3. Roast until caramelized. 4. Garnish with fresh herbs.",
-        moodDescription: "Bold flavors and textures to excite your palate"
-      }
-    ];
+    const { recipeIds, ingredients = [] } = req.body;
+
+    if (!Array.isArray(recipeIds) || recipeIds.length === 0) {
+      return res.status(400).json({ error: 'recipeIds must be a non-empty array' });
+    }
+
+    if (!Array.isArray(ingredients)) {
+      return res.status(400).json({ error: 'ingredients must be an array' });
+    }
 
-    await Recipe.insertMany(sampleRecipes);
-    console.log('Sample recipes seeded successfully');
-    res.json({ message: 'Database seeded successfully', count: sampleRecipes.length });
+    const invalidIds = recipeIds.filter(id => !mongoose.Types.ObjectId.isValid(id));
+    if (invalidIds.length > 0) {
+      return res.status(400).json({ error: 'Invalid recipe ids', invalidIds });
+    }
+
+    const recipes = await Recipe.find({ _id: { $in: recipeIds } }).lean();
+    const foundIds = recipes.map(recipe => recipe._id.toString());
+    const notFound = recipeIds.filter(id => !foundIds.includes(id));
+
+    if (recipes.length === 0) {
+      return res.status(404).json({ error: 'No recipes found', notFound });
+    }
+
+    res.json({
+      items: buildShoppingList(
+        recipes.map(toApiRecipe),
+        ingredients.map(ingredient => resolveIngredient(ingredient) || ingredient)
+      ),
+      recipes: recipes.map(({ _id, name }) => ({ _id, name })),
+      notFound,
+    });
+
+  } catch (error) {
+    console.error('Error building shopping list:', error);
+    res.status(500).json({ error: 'Failed to build shopping list' });
+  }
+});
+
+// Seed database with the fixture recipes (admin only). Upserts by slug, so
+// recipes created through the API are never removed. ?dryRun=true reports only.
+app.post('/api/seed-recipes', requireAdmin, async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+    // Recipes are checked against the catalogs, so they go first
+    const moodReport = await seedMoods({ dryRun });
+    const ingredientReport = await seedIngredients({ dryRun });
+    const report = await seedRecipes({ dryRun });
+    console.log('Sample recipes seeded:', report);
+    res.json({
+      message: report.dryRun ? 'Dry run complete' : 'Database seeded successfully',
+      ...report,
+      moods: moodReport,
+      ingredients: ingredientReport,
+    });
 
   } catch (error) {
     console.error('Error seeding database:', error);
@@ -333,6 +684,9 @@ app.get('/api/health', (req, res) => {
 
 // Error handling middleware
 app.use((error, req, res, next) => {
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Malformed JSON body' });
+  }
   console.error('Error:', error);
   res.status(500).json({ error: 'Internal server error' });
 });
@@ -347,9 +701,29 @@ app.listen(PORT, () => {
   console.log(`MoodChef server is running on http://localhost:${PORT}`);
   console.log('Available endpoints:');
   console.log('- GET /api/health');
-  console.log('- GET /api/ingredients');
-  console.log('- GET /api/moods');
+  console.log('- POST /api/auth/register');
+  console.log('- POST /api/auth/login');
+  console.log('- GET /api/auth/me');
+  console.log('- GET/POST /api/me/favorites, DELETE /api/me/favorites/:recipeId');
+  console.log('- GET/POST /api/me/history, DELETE /api/me/history/:id');
+  console.log('- GET/DELETE /api/me/mood-journal, DELETE /api/me/mood-journal/:id');
+  console.log('- GET /api/me/mood-stats');
+  console.log('- GET/PUT /api/me/dietary-profile');
+  console.log('- GET /api/me/pantry-presets, PUT/DELETE /api/me/pantry-presets/:clientId');
+  console.log('- GET/POST /api/pantry, PATCH/DELETE /api/pantry/:id');
+  console.log('- GET /api/meal-plans, GET/DELETE /api/meal-plans/:weekStart');
+  console.log('- POST /api/meal-plans/:weekStart/generate, GET /api/meal-plans/:weekStart/shopping-list');
+  console.log('- PUT/DELETE /api/meal-plans/:weekStart/:day/:meal');
+  console.log('- GET/POST /api/ingredients, PUT/PATCH/DELETE /api/ingredients/:id');
+  console.log('- GET /api/ingredients/consistency');
+  console.log('- GET/POST /api/moods, PUT/PATCH/DELETE /api/moods/:id');
+  console.log('- GET /api/catalog');
   console.log('- GET /api/recipes');
+  console.log('- POST /api/recipes');
+  console.log('- GET/PUT/PATCH/DELETE /api/recipes/:id');
+  console.log('- GET/POST /api/recipes/:id/ratings');
+  console.log('- GET /api/search');
   console.log('- POST /api/get-recipes');
+  console.log('- POST /api/shopping-list');
   console.log('- POST /api/seed-recipes');
 });
\ No newline at end of file
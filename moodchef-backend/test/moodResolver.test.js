@@ -0,0 +1,26 @@
+// Checks for the free-text mood resolver against the fixture mood catalog.
+//
+// Usage: node test/moodResolver.test.js (or npm test)
+const assert = require('assert');
+const { resolveMood } = require('../utils/moodResolver');
+const { moodFlavorMap, moodSynonyms } = require('../utils/moodCatalog');
+
+const moodsOf = (input) =>
+  resolveMood(input, moodFlavorMap(), moodSynonyms()).moods.map(({ mood }) => mood);
+
+const cases = [
+  ['sad', ['sad']],
+  ['not sad', []],
+  ['I dont feel good', []],
+  ['feeling under the weather', ['sick']],
+  ['not under the weather', []],
+  ['burnt out', ['stressed', 'lazy']],
+  ['not burnt out', []],
+  ['not hungry but sad', ['sad']],
+  ['I am not sad, I am happy', ['happy']],
+];
+
+cases.forEach(([input, expected]) => {
+  assert.deepStrictEqual(moodsOf(input), expected, `"${input}"`);
+  console.log(`ok - "${input}" -> [${expected.join(', ')}]`);
+});
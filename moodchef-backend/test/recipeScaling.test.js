@@ -0,0 +1,23 @@
+// Checks for serving-size scaling and rounding.
+//
+// Usage: node test/recipeScaling.test.js (or npm test)
+const assert = require('assert');
+const { scaleIngredient } = require('../utils/recipeScaling');
+
+// [ingredient, fromServings, toServings, expected displayQuantity and unit]
+const cases = [
+  [{ name: 'milk', quantity: 1, unit: 'cup' }, 3, 1, '1/3', 'cup'],
+  [{ name: 'milk', quantity: 2, unit: 'cup' }, 3, 1, '2/3', 'cup'],
+  [{ name: 'milk', quantity: 1, unit: 'cup' }, 2, 1, '1/2', 'cup'],
+  [{ name: 'milk', quantity: 1, unit: 'cup' }, 4, 3, '3/4', 'cup'],
+  [{ name: 'milk', quantity: 1, unit: 'cup' }, 3, 5, '1 2/3', 'cup'],
+  [{ name: 'milk', quantity: 1, unit: 'cup' }, 1, 2, '2', 'cup'],
+  [{ name: 'eggs', quantity: 3, unit: 'piece' }, 3, 1, '1', 'piece'],
+  [{ name: 'pasta', quantity: 300, unit: 'g' }, 3, 1, '100', 'g'],
+];
+
+cases.forEach(([ingredient, from, to, quantity, unit]) => {
+  const scaled = scaleIngredient(ingredient, from, to);
+  assert.deepStrictEqual([scaled.displayQuantity, scaled.unit], [quantity, unit], `${ingredient.quantity} ${ingredient.unit} ${ingredient.name} for ${from} -> ${to}`);
+  console.log(`ok - ${ingredient.quantity} ${ingredient.unit} ${ingredient.name}, ${from} -> ${to} servings: ${quantity} ${unit}`);
+});
@@ -0,0 +1,154 @@
+// Dietary profile enforcement
+//
+// A profile is { diets: ['vegan', ...], exclusions: [...] } where each
+// exclusion is either an ingredient name ("mushroom") or an ingredient tag
+// ("soy"). Recipes are judged by their ingredients' catalog tags, not by
+// their self-declared dietaryFlags.
+const { INGREDIENT_TAGS, dietExclusions } = require('../data/diets');
+const { tagsOf } = require('./ingredientCatalog');
+
+const DIETS = Object.keys(dietExclusions);
+
+const MAX_EXCLUSIONS = 50;
+
+const emptyProfile = () => ({ diets: [], exclusions: [] });
+
+const isEmptyProfile = ({ diets, exclusions }) => diets.length === 0 && exclusions.length === 0;
+
+// "Vegan, gluten-free" or ['vegan', 'gluten-free'] -> ['vegan', 'gluten-free']
+const toList = (value) => {
+  if (value === undefined || value === null) return [];
+  const items = typeof value === 'string' ? value.split(',') : value;
+  return Array.isArray(items)
+    ? items.map(item => (typeof item === 'string' ? item.trim().toLowerCase() : item)).filter(item => item !== '')
+    : value;
+};
+
+// Validate and normalize { diets, exclusions }. Returns { profile, details }
+// where details uses the same { field, message, values? } shape as recipe validation.
+const normalizeDietaryProfile = ({ diets, exclusions }, { ingredientNames }) => {
+  const profile = { diets: toList(diets), exclusions: toList(exclusions) };
+  const details = [];
+
+  if (!Array.isArray(profile.diets) || profile.diets.some(diet => typeof diet !== 'string')) {
+    details.push({ field: 'diets', message: 'diets must be an array of strings' });
+  } else {
+    const unknown = profile.diets.filter(diet => !DIETS.includes(diet));
+    if (unknown.length > 0) {
+      details.push({ field: 'diets', message: `Unknown diets: ${unknown.join(', ')}. Use: ${DIETS.join(', ')}`, values: unknown });
+    }
+  }
+
+  if (!Array.isArray(profile.exclusions) || profile.exclusions.some(item => typeof item !== 'string')) {
+    details.push({ field: 'exclusions', message: 'exclusions must be an array of strings' });
+  } else if (profile.exclusions.length > MAX_EXCLUSIONS) {
+    details.push({ field: 'exclusions', message: `exclusions can list at most ${MAX_EXCLUSIONS} items` });
+  } else {
+    const unknown = profile.exclusions
+      .filter(item => !ingredientNames.includes(item) && !INGREDIENT_TAGS.includes(item));
+    if (unknown.length > 0) {
+      details.push({
+        field: 'exclusions',
+        message: `Unknown exclusions: ${unknown.join(', ')}. Use ingredient names or: ${INGREDIENT_TAGS.join(', ')}`,
+        values: unknown,
+      });
+    }
+  }
+
+  if (details.length > 0) return { profile: null, details };
+  return {
+    profile: { diets: [...new Set(profile.diets)], exclusions: [...new Set(profile.exclusions)] },
+    details,
+  };
+};
+
+const mergeProfiles = (...profiles) => ({
+  diets: [...new Set(profiles.flatMap(({ diets }) => diets))],
+  exclusions: [...new Set(profiles.flatMap(({ exclusions }) => exclusions))],
+});
+
+// Rules a recipe breaks: [{ rule: 'vegan' | 'exclude:mushroom', ingredients: [...] }]
+const findViolations = (ingredientNames, { diets, exclusions }) => {
+  const violations = [];
+
+  diets.forEach(diet => {
+    const offending = ingredientNames
+      .filter(ingredient => tagsOf(ingredient).some(tag => dietExclusions[diet].includes(tag)));
+    if (offending.length > 0) violations.push({ rule: diet, ingredients: offending });
+  });
+
+  exclusions.forEach(exclusion => {
+    const offending = ingredientNames
+      .filter(ingredient => ingredient === exclusion || tagsOf(ingredient).includes(exclusion));
+    if (offending.length > 0) violations.push({ rule: `exclude:${exclusion}`, ingredients: offending });
+  });
+
+  return violations;
+};
+
+// Catalog ingredients a profile rules out, for filtering in a database query
+// rather than in memory. Matches findViolations for catalog ingredients.
+const excludedIngredientNames = (profile, ingredientNames) =>
+  ingredientNames.filter(ingredient => findViolations([ingredient], profile).length > 0);
+
+// Split recipes (API shape) into those the profile allows and a summary of
+// the rest: { recipes, dietaryFilter: { diets, exclusions, excludedCount, reasons } }
+// where reasons is [{ rule, count, ingredients }], most common first.
+const applyDietaryProfile = (recipes, profile) => {
+  const reasons = new Map();
+  let excludedCount = 0;
+
+  const allowed = recipes.filter(recipe => {
+    const violations = findViolations(recipe.ingredients, profile);
+    if (violations.length === 0) return true;
+
+    excludedCount += 1;
+    violations.forEach(({ rule, ingredients }) => {
+      const reason = reasons.get(rule) || { rule, count: 0, ingredients: new Set() };
+      reason.count += 1;
+      ingredients.forEach(ingredient => reason.ingredients.add(ingredient));
+      reasons.set(rule, reason);
+    });
+    return false;
+  });
+
+  return {
+    recipes: allowed,
+    dietaryFilter: {
+      diets: profile.diets,
+      exclusions: profile.exclusions,
+      excludedCount,
+      reasons: [...reasons.values()]
+        .map(reason => ({ ...reason, ingredients: [...reason.ingredients] }))
+        .sort((a, b) => b.count - a.count),
+    },
+  };
+};
+
+// dietaryFlags a recipe claims but its ingredients contradict, as
+// validation details
+const findDietaryFlagConflicts = ({ dietaryFlags = [], ingredients = [] }) => {
+  const names = ingredients.map(ingredient => (typeof ingredient === 'string' ? ingredient : ingredient.name));
+
+  return dietaryFlags
+    .filter(flag => dietExclusions[flag])
+    .map(flag => ({ flag, violations: findViolations(names, { diets: [flag], exclusions: [] }) }))
+    .filter(({ violations }) => violations.length > 0)
+    .map(({ flag, violations }) => ({
+      field: 'dietaryFlags',
+      message: `Recipe is marked ${flag} but contains ${violations[0].ingredients.join(', ')}`,
+      values: [flag],
+    }));
+};
+
+module.exports = {
+  DIETS,
+  emptyProfile,
+  isEmptyProfile,
+  normalizeDietaryProfile,
+  mergeProfiles,
+  findViolations,
+  excludedIngredientNames,
+  applyDietaryProfile,
+  findDietaryFlagConflicts,
+};
@@ -0,0 +1,215 @@
+// Ingredient catalog
+//
+// The catalog lives in the ingredients collection and is seeded from the
+// versioned files in data/fixtures/ingredients. Lookups are synchronous
+// against an in-memory copy: it starts out as the fixtures, is replaced by
+// the database contents once connected (refreshCatalog) and is refreshed
+// after every admin change.
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const Ingredient = require('../models/Ingredient');
+const Recipe = require('../models/Recipe');
+const { CATEGORIES, CATEGORY_LABELS } = Ingredient;
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'data', 'fixtures', 'ingredients');
+
+const FIXTURE_FIELDS = ['name', 'category', 'aliases', 'tags', 'fixtureVersion'];
+
+const pick = (source, fields) =>
+  fields.reduce((picked, field) => ({ ...picked, [field]: source[field] }), {});
+
+const normalizeName = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Read every fixture file; a later file's ingredient replaces an earlier
+// one with the same name. Returns [{ ...ingredient, fixtureVersion }].
+const loadIngredientFixtures = (dir = FIXTURES_DIR) => {
+  const byName = new Map();
+
+  fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .forEach(file => {
+      const fixture = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      if (!Number.isInteger(fixture.version) || !Array.isArray(fixture.ingredients)) {
+        throw new Error(`${file}: fixture must have an integer "version" and an "ingredients" array`);
+      }
+      fixture.ingredients.forEach(ingredient => {
+        byName.set(ingredient.name, { aliases: [], tags: [], ...ingredient, fixtureVersion: fixture.version });
+      });
+    });
+
+  return [...byName.values()];
+};
+
+const toEntry = ({ _id, name, category, aliases = [], tags = [] }) => ({
+  ...(_id ? { _id } : {}),
+  name,
+  category,
+  aliases: [...aliases],
+  tags: [...tags],
+});
+
+const buildIndex = (ingredients) => {
+  const entries = ingredients.map(toEntry).sort((a, b) => a.name.localeCompare(b.name));
+  const byName = new Map(entries.map(entry => [entry.name, entry]));
+  const byAlias = new Map();
+  entries.forEach(entry => entry.aliases.forEach(alias => byAlias.set(alias, entry.name)));
+  return { entries, byName, byAlias };
+};
+
+let catalog = buildIndex(loadIngredientFixtures());
+
+// Reload the in-memory catalog from the database. An empty collection
+// (not seeded yet) leaves the fixture copy in place.
+const refreshCatalog = async () => {
+  const ingredients = await Ingredient.find().lean();
+  if (ingredients.length > 0) catalog = buildIndex(ingredients);
+  return catalog.entries;
+};
+
+const getIngredients = () => catalog.entries;
+
+const ingredientNames = () => catalog.entries.map(({ name }) => name);
+
+const findIngredient = (name) => catalog.byName.get(name) || null;
+
+// Diet/allergen tags for an ingredient name; unknown ingredients have none
+const tagsOf = (name) => (catalog.byName.has(name) ? catalog.byName.get(name).tags : []);
+
+// "Tomatoes", "garbanzo beans", "egg" -> catalog name, or null.
+// Tries the name, its aliases, then simple English plurals.
+const resolveIngredient = (input) => {
+  const name = normalizeName(input);
+  const lookup = (candidate) => {
+    if (catalog.byName.has(candidate)) return candidate;
+    return catalog.byAlias.get(candidate) || null;
+  };
+
+  const candidates = [name];
+  if (name.endsWith('ies')) candidates.push(`${name.slice(0, -3)}y`);
+  if (name.endsWith('es')) candidates.push(name.slice(0, -2));
+  if (name.endsWith('s')) candidates.push(name.slice(0, -1));
+  candidates.push(`${name}s`);
+
+  return candidates.map(lookup).find(Boolean) || null;
+};
+
+// Names, aliases or categories containing `query`, best matches first:
+// exact name (or alias/plural of it), then name prefix, then alias, then
+// anywhere in the name
+const searchIngredients = (query, entries = catalog.entries) => {
+  const text = normalizeName(query);
+  if (!text) return entries;
+  const resolved = resolveIngredient(text);
+
+  const rank = ({ name, aliases, category }) => {
+    if (name === resolved) return 0;
+    if (name.startsWith(text)) return 1;
+    if (aliases.some(alias => alias.startsWith(text))) return 2;
+    if (name.includes(text) || aliases.some(alias => alias.includes(text))) return 3;
+    if (category.startsWith(text) || CATEGORY_LABELS[category].toLowerCase().includes(text)) return 4;
+    return null;
+  };
+
+  return entries
+    .map(entry => ({ entry, score: rank(entry) }))
+    .filter(({ score }) => score !== null)
+    .sort((a, b) => a.score - b.score || a.entry.name.localeCompare(b.entry.name))
+    .map(({ entry }) => entry);
+};
+
+// [{ category, label, ingredients }] in catalog category order, empty groups dropped
+const groupByCategory = (entries) =>
+  CATEGORIES
+    .map(category => ({
+      category,
+      label: CATEGORY_LABELS[category],
+      ingredients: entries.filter(entry => entry.category === category),
+    }))
+    .filter(({ ingredients }) => ingredients.length > 0);
+
+// Upsert the fixture ingredients by name. Ingredients added through the
+// API are left alone. Returns { inserted, updated, unchanged, dryRun }.
+const seedIngredients = async ({ dryRun = false } = {}) => {
+  const fixtures = loadIngredientFixtures();
+  const report = { inserted: 0, updated: 0, unchanged: 0, dryRun };
+
+  for (const fixture of fixtures) {
+    const existing = await Ingredient.findOne({ name: fixture.name });
+
+    if (!existing) {
+      report.inserted += 1;
+      if (!dryRun) await Ingredient.create(fixture);
+    } else if (isDeepStrictEqual(
+      pick(new Ingredient(fixture).toObject(), FIXTURE_FIELDS),
+      pick(existing.toObject(), FIXTURE_FIELDS)
+    )) {
+      report.unchanged += 1;
+    } else {
+      report.updated += 1;
+      if (!dryRun) {
+        existing.set(fixture);
+        await existing.save();
+      }
+    }
+  }
+
+  if (!dryRun) await refreshCatalog();
+  return report;
+};
+
+// Seed an empty catalog on startup, then load it
+const ensureCatalog = async () => {
+  if (!(await Ingredient.exists({}))) {
+    const report = await seedIngredients();
+    console.log(`Ingredient catalog seeded with ${report.inserted} ingredients`);
+  }
+  return refreshCatalog();
+};
+
+// Recipes using each ingredient name: Map(name -> [{ _id, name, slug }])
+const recipesByIngredient = async () => {
+  const recipes = await Recipe.find().select('name slug ingredients.name').lean();
+  const usage = new Map();
+  recipes.forEach(recipe => {
+    new Set(recipe.ingredients.map(({ name }) => name)).forEach(name => {
+      usage.set(name, [...(usage.get(name) || []), { _id: recipe._id, name: recipe.name, slug: recipe.slug }]);
+    });
+  });
+  return usage;
+};
+
+// Compare recipes against the catalog:
+//   uncatalogued - recipe ingredients missing from the catalog, with the
+//                  catalog name they probably mean (via aliases/plurals)
+//   unused       - catalog ingredients no recipe uses (informational)
+const checkCatalogConsistency = async () => {
+  const usage = await recipesByIngredient();
+
+  const uncatalogued = [...usage.entries()]
+    .filter(([name]) => !catalog.byName.has(name))
+    .map(([name, recipes]) => ({ ingredient: name, suggestion: resolveIngredient(name), recipes }))
+    .sort((a, b) => a.ingredient.localeCompare(b.ingredient));
+
+  const unused = ingredientNames().filter(name => !usage.has(name));
+
+  return { ok: uncatalogued.length === 0, uncatalogued, unused };
+};
+
+module.exports = {
+  FIXTURES_DIR,
+  loadIngredientFixtures,
+  refreshCatalog,
+  ensureCatalog,
+  seedIngredients,
+  getIngredients,
+  ingredientNames,
+  findIngredient,
+  tagsOf,
+  resolveIngredient,
+  searchIngredients,
+  groupByCategory,
+  recipesByIngredient,
+  checkCatalogConsistency,
+};
@@ -0,0 +1,179 @@
+// Weekly meal plan generation
+//
+// Slots are filled day by day, meal by meal, with the best-ranked recipe for
+// that day's expected mood that hasn't been used yet this week and still fits
+// in what is left of the day's cooking time budget.
+const { MEALS } = require('../models/MealPlan');
+const { resolveMood } = require('./moodResolver');
+const { rankRecipes } = require('./recipeRanker');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DAY_NAMES = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// Keys accepted in an expected-moods spec, least to most specific
+const MOOD_GROUPS = {
+  default: [0, 1, 2, 3, 4, 5, 6],
+  weekdays: [0, 1, 2, 3, 4],
+  weekend: [5, 6],
+};
+
+// "2026-10-21" -> Date for Monday 2026-10-19 00:00 UTC; null if not a date
+const weekStartOf = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+
+  const date = new Date(`${value}T00:00:00Z`);
+  if (Number.isNaN(date.getTime())) return null;
+  return new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS);
+};
+
+const dateKey = (date) => date.toISOString().slice(0, 10);
+
+// "tuesday" or "1" -> 1; null for anything else
+const parseDay = (value) => {
+  const text = String(value).toLowerCase();
+  if (DAY_NAMES.includes(text)) return DAY_NAMES.indexOf(text);
+  return /^[0-6]$/.test(text) ? Number(text) : null;
+};
+
+// { weekdays: 'stressed', friday: 'happy' } -> one mood per day, Monday
+// first. Day names win over weekdays/weekend, which win over default.
+// Returns { dayMoods } or { error } naming the offending key.
+const expandExpectedMoods = (spec = {}) => {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    return { error: 'moods must be an object such as { "weekdays": "stressed", "weekend": "happy" }' };
+  }
+
+  const keys = Object.keys(spec);
+  const unknown = keys.find(key => !(key in MOOD_GROUPS) && !DAY_NAMES.includes(key));
+  if (unknown) {
+    return { error: `Unknown moods key: ${unknown}. Use default, weekdays, weekend or a day name` };
+  }
+
+  const invalid = keys.find(key => typeof spec[key] !== 'string' || spec[key].trim().length > 100);
+  if (invalid) return { error: `moods.${invalid} must be a string of at most 100 characters` };
+
+  const dayMoods = Array(7).fill('');
+  ['default', 'weekdays', 'weekend'].filter(key => spec[key] !== undefined).forEach(key => {
+    MOOD_GROUPS[key].forEach(day => { dayMoods[day] = spec[key].trim(); });
+  });
+  DAY_NAMES.forEach((name, day) => {
+    if (spec[name] !== undefined) dayMoods[day] = spec[name].trim();
+  });
+
+  return { dayMoods };
+};
+
+// Fill the `meals` slots of every day. `recipes` are candidates in API shape
+// (already dietary-filtered); `kept` are entries to leave as they are, whose
+// recipes count as used and against the day's budget.
+// Returns { entries, unfilled: [{ day, meal, reason }] } with `kept` included.
+const generateMealPlan = (recipes, options) => {
+  const {
+    dayMoods,
+    meals,
+    dailyMinutes,
+    ingredients,
+    kept = [],
+    moodFlavorMap,
+    moodSynonyms,
+    ratingStats,
+    dietaryProfile,
+  } = options;
+
+  const minutesOf = new Map(recipes.map(recipe => [String(recipe._id), recipe.totalMinutes || 0]));
+  const used = new Set(kept.map(({ recipe }) => String(recipe)));
+  const entries = [...kept];
+  const unfilled = [];
+
+  dayMoods.forEach((mood, day) => {
+    const moodInterpretation = mood ? resolveMood(mood, moodFlavorMap, moodSynonyms) : null;
+    let remaining = dailyMinutes - kept
+      .filter(entry => entry.day === day)
+      .reduce((sum, { recipe }) => sum + (minutesOf.get(String(recipe)) || 0), 0);
+
+    meals.forEach(meal => {
+      if (kept.some(entry => entry.day === day && entry.meal === meal)) return;
+
+      const unused = recipes.filter(recipe => !used.has(String(recipe._id)));
+      const ranked = rankRecipes(unused.filter(recipe => recipe.totalMinutes <= remaining), {
+        ingredients,
+        moodInterpretation,
+        moodFlavorMap,
+        rawMood: mood,
+        maxCookingTime: remaining,
+        ratingStats,
+        dietaryProfile,
+        context: { mealType: meal },
+      });
+
+      if (ranked.length === 0) {
+        unfilled.push({
+          day,
+          meal,
+          reason: unused.length === 0
+            ? 'Every recipe is already planned this week'
+            : `No unused recipe fits the ${Math.max(0, remaining)} minutes left that day`,
+        });
+        return;
+      }
+
+      const [best] = ranked;
+      used.add(String(best._id));
+      remaining -= best.totalMinutes;
+      entries.push({ day, meal, recipe: best._id, mood });
+    });
+  });
+
+  return { entries, unfilled };
+};
+
+// Shape a plan whose entries have their recipes populated
+const toApiMealPlan = (plan) => {
+  const entries = plan.entries.filter(({ recipe }) => recipe);
+
+  const days = DAY_NAMES.map((name, day) => {
+    const dayEntries = entries
+      .filter(entry => entry.day === day)
+      .sort((a, b) => MEALS.indexOf(a.meal) - MEALS.indexOf(b.meal));
+    const totalMinutes = dayEntries
+      .reduce((sum, { recipe }) => sum + (recipe.prepMinutes || 0) + (recipe.cookMinutes || 0), 0);
+
+    return {
+      day,
+      name,
+      date: dateKey(new Date(plan.weekStart.getTime() + day * DAY_MS)),
+      mood: plan.dayMoods[day] || '',
+      totalMinutes,
+      overBudget: totalMinutes > plan.dailyMinutes,
+      meals: dayEntries.map(({ meal, mood, recipe }) => ({
+        meal,
+        mood,
+        recipe: {
+          _id: recipe._id,
+          name: recipe.name,
+          totalMinutes: (recipe.prepMinutes || 0) + (recipe.cookMinutes || 0),
+          moodTags: recipe.moodTags,
+        },
+      })),
+    };
+  });
+
+  return {
+    weekStart: dateKey(plan.weekStart),
+    dailyMinutes: plan.dailyMinutes,
+    totalMinutes: days.reduce((sum, { totalMinutes }) => sum + totalMinutes, 0),
+    days,
+    updatedAt: plan.updatedAt,
+  };
+};
+
+module.exports = {
+  DAY_NAMES,
+  weekStartOf,
+  dateKey,
+  parseDay,
+  expandExpectedMoods,
+  generateMealPlan,
+  toApiMealPlan,
+};
@@ -0,0 +1,157 @@
+// Mood catalog
+//
+// Moods live in the moods collection and are seeded from the versioned files
+// in data/fixtures/moods, the same way as the ingredient catalog. Lookups are
+// synchronous against an in-memory copy: it starts out as the fixtures, is
+// replaced by the database contents once connected (refreshMoods) and is
+// refreshed after every admin change.
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const Mood = require('../models/Mood');
+
+const { DEFAULT_TIME_PREFERENCE } = Mood;
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'data', 'fixtures', 'moods');
+
+const FIXTURE_FIELDS = ['name', 'label', 'emoji', 'flavors', 'synonyms', 'colors', 'timePreference', 'order', 'fixtureVersion'];
+
+const pick = (source, fields) =>
+  fields.reduce((picked, field) => ({ ...picked, [field]: source[field] }), {});
+
+// Read every fixture file; a later file's mood replaces an earlier one with
+// the same name. Returns [{ ...mood, fixtureVersion }].
+const loadMoodFixtures = (dir = FIXTURES_DIR) => {
+  const byName = new Map();
+
+  fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .forEach(file => {
+      const fixture = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      if (!Number.isInteger(fixture.version) || !Array.isArray(fixture.moods)) {
+        throw new Error(`${file}: fixture must have an integer "version" and a "moods" array`);
+      }
+      fixture.moods.forEach(mood => {
+        byName.set(mood.name, { flavors: [], synonyms: [], ...mood, fixtureVersion: fixture.version });
+      });
+    });
+
+  return [...byName.values()];
+};
+
+// What the API returns for a mood, and what the in-memory catalog holds
+const toApiMood = ({
+  _id,
+  name,
+  label,
+  emoji,
+  flavors = [],
+  synonyms = [],
+  colors = {},
+  timePreference = DEFAULT_TIME_PREFERENCE,
+  order = 0,
+}) => ({
+  ...(_id ? { _id } : {}),
+  name,
+  label,
+  emoji,
+  flavors: [...flavors],
+  synonyms: synonyms.map(({ word, weight }) => ({ word, weight })),
+  colors: { background: '#ffffff', accent: '#4CAF50', ...colors },
+  timePreference,
+  order,
+});
+
+const buildIndex = (moods) => {
+  const entries = moods.map(toApiMood)
+    .sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+  const byName = new Map(entries.map(entry => [entry.name, entry]));
+  const flavorMap = Object.fromEntries(entries.map(({ name, flavors }) => [name, flavors]));
+  const synonyms = Object.fromEntries(entries.map(({ name, synonyms: words }) => [
+    name,
+    Object.fromEntries(words.map(({ word, weight }) => [word, weight])),
+  ]));
+  const timePreferences = Object.fromEntries(entries.map(({ name, timePreference }) => [name, timePreference]));
+  return { entries, byName, flavorMap, synonyms, timePreferences };
+};
+
+let catalog = buildIndex(loadMoodFixtures());
+
+// Reload the in-memory catalog from the database. An empty collection
+// (not seeded yet) leaves the fixture copy in place.
+const refreshMoods = async () => {
+  const moods = await Mood.find().lean();
+  if (moods.length > 0) catalog = buildIndex(moods);
+  return catalog.entries;
+};
+
+// Moods in display order
+const getMoods = () => catalog.entries;
+
+const moodNames = () => catalog.entries.map(({ name }) => name);
+
+const findMood = (name) => catalog.byName.get(name) || null;
+
+// { mood: [flavor words] } for the resolver and ranker
+const moodFlavorMap = () => catalog.flavorMap;
+
+// { mood: { word: weight } } for the resolver
+const moodSynonyms = () => catalog.synonyms;
+
+// { mood: minutes } for the ranker's time budget
+const moodTimePreferences = () => catalog.timePreferences;
+
+// Upsert the fixture moods by name. Moods added through the API are left
+// alone. Returns { inserted, updated, unchanged, dryRun }.
+const seedMoods = async ({ dryRun = false } = {}) => {
+  const fixtures = loadMoodFixtures();
+  const report = { inserted: 0, updated: 0, unchanged: 0, dryRun };
+
+  for (const fixture of fixtures) {
+    const existing = await Mood.findOne({ name: fixture.name });
+
+    if (!existing) {
+      report.inserted += 1;
+      if (!dryRun) await Mood.create(fixture);
+    } else if (isDeepStrictEqual(
+      pick(new Mood(fixture).toObject(), FIXTURE_FIELDS),
+      pick(existing.toObject(), FIXTURE_FIELDS)
+    )) {
+      report.unchanged += 1;
+    } else {
+      report.updated += 1;
+      if (!dryRun) {
+        existing.set(fixture);
+        await existing.save();
+      }
+    }
+  }
+
+  if (!dryRun) await refreshMoods();
+  return report;
+};
+
+// Seed an empty catalog on startup, then load it
+const ensureMoods = async () => {
+  if (!(await Mood.exists({}))) {
+    const report = await seedMoods();
+    console.log(`Mood catalog seeded with ${report.inserted} moods`);
+  }
+  return refreshMoods();
+};
+
+module.exports = {
+  FIXTURES_DIR,
+  loadMoodFixtures,
+  refreshMoods,
+  ensureMoods,
+  seedMoods,
+  toApiMood,
+  getMoods,
+  moodNames,
+  findMood,
+  moodFlavorMap,
+  moodSynonyms,
+  moodTimePreferences,
+};
@@ -0,0 +1,270 @@
+// Free-text mood resolver
+//
+// Maps whatever the user typed ("exhausted", "feeling a bit heartbroken",
+// "under the weather") onto the canonical moods used in recipe moodTags,
+// with a confidence for each inferred mood.
+//
+// The moods themselves come from the mood catalog (utils/moodCatalog):
+// `moodFlavorMap` is { mood: [flavor words] } and `moodSynonyms` is
+// { mood: { word: weight } }, where a "word" with spaces is a phrase
+// matched against the whole input ("under the weather").
+
+const MATCH_WEIGHTS = {
+  mood: 1,
+  flavor: 0.6,
+  partial: 0.4,
+};
+
+// Extra confidence for each additional term that points at the same mood.
+const REINFORCEMENT = 0.1;
+
+// Moods below this confidence are treated as noise.
+const MIN_CONFIDENCE = 0.3;
+
+const NEGATIONS = new Set(['not', 'no', 'never', 'dont', 'isnt', 'arent', 'wasnt']);
+
+// A negation covers this many following words ("dont really feel good"),
+// stopping early at punctuation or a conjunction ("not hungry but sad")
+const NEGATION_SCOPE = 3;
+
+const CONJUNCTIONS = new Set(['and', 'but', 'or', 'so', 'yet', 'though', 'although']);
+
+// Punctuation that ends a clause; kept as a token so negations and phrases
+// don't reach across it
+const CLAUSE_BREAK = /[.,;:!?]+/;
+const BREAK_TOKEN = '|';
+
+const SUFFIXES = [
+  'fulness', 'ingly', 'ness', 'ment', 'edly', 'ing', 'ful', 'ed', 'ly',
+  'est', 'er', 'es', 's',
+];
+
+// Lightweight suffix-stripping stemmer; only needs to be consistent with
+// itself, since synonyms and input go through the same function.
+const stem = (word) => {
+  let result = word;
+
+  for (const suffix of SUFFIXES) {
+    if (!result.endsWith(suffix) || result.length - suffix.length < 3) continue;
+    if (suffix === 's' && result.endsWith('ss')) break;
+    result = result.slice(0, -suffix.length);
+    break;
+  }
+
+  if (/([^aeiouls])\1$/.test(result)) result = result.slice(0, -1);
+  if (result.endsWith('y')) result = `${result.slice(0, -1)}i`;
+  if (result.endsWith('e') && result.length > 3) result = result.slice(0, -1);
+
+  return result;
+};
+
+const normalize = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .replace(/[’']/g, '')
+    .replace(/[^a-z\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const tokenize = (text) => (text ? text.split(' ') : []);
+
+const isPhrase = (word) => word.includes(' ');
+
+// Build stem -> [{ mood, weight, matchedBy }] for canonical names,
+// single-word synonyms and flavor words.
+const buildLexicon = (moodFlavorMap, moodSynonyms) => {
+  const lexicon = new Map();
+
+  const add = (word, mood, weight, matchedBy) => {
+    const key = stem(word);
+    const entries = lexicon.get(key) || [];
+    const existing = entries.find(entry => entry.mood === mood);
+
+    if (existing) {
+      if (weight > existing.weight) {
+        existing.weight = weight;
+        existing.matchedBy = matchedBy;
+      }
+    } else {
+      entries.push({ mood, weight, matchedBy });
+    }
+    lexicon.set(key, entries);
+  };
+
+  Object.entries(moodFlavorMap).forEach(([mood, flavors]) => {
+    add(mood, mood, MATCH_WEIGHTS.mood, 'mood');
+    flavors.forEach(flavor => add(flavor, mood, MATCH_WEIGHTS.flavor, 'flavor'));
+  });
+
+  Object.entries(moodSynonyms).forEach(([mood, synonyms]) => {
+    if (!moodFlavorMap[mood]) return;
+    Object.entries(synonyms)
+      .filter(([word]) => !isPhrase(word))
+      .forEach(([word, weight]) => add(word, mood, weight, 'synonym'));
+  });
+
+  return lexicon;
+};
+
+// Multi-word synonyms as [[phrase, { mood: weight }]], longest first so
+// "burnt out" is not claimed by a shorter phrase inside it
+const buildPhrases = (moodFlavorMap, moodSynonyms) => {
+  const phrases = new Map();
+
+  Object.entries(moodSynonyms).forEach(([mood, synonyms]) => {
+    if (!moodFlavorMap[mood]) return;
+    Object.entries(synonyms)
+      .filter(([word]) => isPhrase(word))
+      .forEach(([phrase, weight]) => {
+        const key = normalize(phrase);
+        phrases.set(key, { ...(phrases.get(key) || {}), [mood]: weight });
+      });
+  });
+
+  return [...phrases.entries()].sort(([a], [b]) => b.length - a.length);
+};
+
+const findPartialMatches = (tokenStem, lexicon) => {
+  if (tokenStem.length < 4) return [];
+
+  const matches = [];
+  lexicon.forEach((entries, key) => {
+    if (key.length < 4) return;
+    if (key.startsWith(tokenStem) || tokenStem.startsWith(key)) {
+      entries.forEach(entry => matches.push({
+        mood: entry.mood,
+        weight: Math.min(entry.weight, MATCH_WEIGHTS.partial),
+        matchedBy: 'partial',
+      }));
+    }
+  });
+  return matches;
+};
+
+// Resolve free text into canonical moods.
+// Returns { input, moods: [{ mood, confidence, matchedTerms }], flavors }
+// where moods are sorted by confidence, highest first.
+const resolveMood = (input, moodFlavorMap, moodSynonyms = {}) => {
+  const text = String(input || '')
+    .split(CLAUSE_BREAK)
+    .map(normalize)
+    .filter(Boolean)
+    .join(` ${BREAK_TOKEN} `);
+  const lexicon = buildLexicon(moodFlavorMap, moodSynonyms);
+  const hits = [];
+
+  const tokens = tokenize(text);
+  const isBoundary = (token) => token === BREAK_TOKEN || CONJUNCTIONS.has(token);
+
+  // Words a negation reaches, worked out over the whole input first so that
+  // phrases are covered too ("not under the weather")
+  const negated = [];
+  let negatedFor = 0;
+  tokens.forEach((token, index) => {
+    if (NEGATIONS.has(token)) {
+      negatedFor = NEGATION_SCOPE;
+    } else if (isBoundary(token)) {
+      negatedFor = 0;
+    } else if (negatedFor > 0) {
+      negated[index] = true;
+      negatedFor -= 1;
+    }
+  });
+
+  // Phrases claim their words, so "burnt out" isn't also read as "burnt";
+  // a negated phrase claims them without counting
+  const claimed = [];
+  buildPhrases(moodFlavorMap, moodSynonyms).forEach(([phrase, targets]) => {
+    const words = tokenize(phrase);
+    for (let start = 0; start + words.length <= tokens.length; start += 1) {
+      const span = words.map((word, offset) => start + offset);
+      if (span.some(index => claimed[index]) || words.some((word, offset) => tokens[start + offset] !== word)) continue;
+
+      span.forEach(index => { claimed[index] = true; });
+      if (!negated[start]) {
+        Object.entries(targets).forEach(([mood, weight]) => {
+          hits.push({ term: phrase, mood, weight, matchedBy: 'phrase' });
+        });
+      }
+    }
+  });
+
+  tokens.forEach((token, index) => {
+    if (claimed[index] || negated[index] || NEGATIONS.has(token) || isBoundary(token)) return;
+
+    const tokenStem = stem(token);
+    const matches = lexicon.get(tokenStem) || findPartialMatches(tokenStem, lexicon);
+    matches.forEach(match => hits.push({ term: token, ...match }));
+  });
+
+  const byMood = {};
+  hits.forEach(({ term, mood, weight }) => {
+    const current = byMood[mood] || { mood, best: 0, terms: new Set() };
+    current.best = Math.max(current.best, weight);
+    current.terms.add(term);
+    byMood[mood] = current;
+  });
+
+  const moods = Object.values(byMood)
+    .map(({ mood, best, terms }) => ({
+      mood,
+      confidence: Math.round(Math.min(1, best + REINFORCEMENT * (terms.size - 1)) * 100) / 100,
+      matchedTerms: [...terms],
+    }))
+    .filter(({ confidence }) => confidence >= MIN_CONFIDENCE)
+    .sort((a, b) => b.confidence - a.confidence);
+
+  const flavors = [...new Set(moods.flatMap(({ mood }) => moodFlavorMap[mood]))];
+
+  return { input: String(input || ''), moods, flavors };
+};
+
+// The single canonical mood for an input: "stressed" stays as-is, "totally
+// wiped out" becomes its strongest inferred mood. null when nothing matches.
+const canonicalMood = (input, moodFlavorMap, moodSynonyms = {}) => {
+  const mood = String(input || '').trim().toLowerCase();
+  if (moodFlavorMap[mood]) return mood;
+
+  const { moods } = resolveMood(mood, moodFlavorMap, moodSynonyms);
+  return moods.length > 0 ? moods[0].mood : null;
+};
+
+// Several moods picked at once, each with an intensity ("tired and a bit
+// sad": [{ mood: 'lazy', intensity: 0.7 }, { mood: 'sad', intensity: 0.3 }]).
+// Each pick may be free text and is resolved like canonicalMood; picks that
+// land on the same mood keep the stronger intensity. Returns the same shape
+// as resolveMood, with `intensity` on every mood (strongest first), plus the
+// picks that matched nothing in `unknown`.
+const blendMoods = (selections, moodFlavorMap, moodSynonyms = {}) => {
+  const byMood = new Map();
+  const unknown = [];
+
+  selections.forEach(({ mood: input, intensity }) => {
+    const name = String(input || '').trim().toLowerCase();
+    const resolved = moodFlavorMap[name]
+      ? { mood: name, confidence: 1 }
+      : resolveMood(name, moodFlavorMap, moodSynonyms).moods[0];
+    if (!resolved) {
+      unknown.push(input);
+      return;
+    }
+
+    const current = byMood.get(resolved.mood);
+    if (!current || intensity > current.intensity) {
+      byMood.set(resolved.mood, { mood: resolved.mood, confidence: resolved.confidence, intensity, matchedTerms: [name] });
+    }
+  });
+
+  const moods = [...byMood.values()].sort((a, b) => b.intensity - a.intensity || b.confidence - a.confidence);
+  const flavors = [...new Set(moods.flatMap(({ mood }) => moodFlavorMap[mood]))];
+  const input = selections.map(({ mood, intensity }) => `${mood}:${intensity}`).join(', ');
+
+  return { input, moods, flavors, unknown };
+};
+
+module.exports = {
+  resolveMood,
+  canonicalMood,
+  blendMoods,
+  stem,
+};
@@ -0,0 +1,137 @@
+// Mood journal analytics for one user
+//
+// Days are bucketed in the user's local time. `tzOffset` follows
+// Date#getTimezoneOffset: minutes *behind* UTC, so UTC+2 is -120.
+const MoodEntry = require('../models/MoodEntry');
+const CookingHistory = require('../models/CookingHistory');
+const { moodFlavorMap, moodSynonyms } = require('./moodCatalog');
+const { canonicalMood } = require('./moodResolver');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Entries whose mood couldn't be resolved are counted under this key
+const UNRESOLVED_MOOD = 'other';
+
+const TOP_RECIPES_PER_MOOD = 3;
+
+// tzOffset -> "+02:00" for $dateToString
+const toTimezone = (tzOffset) => {
+  const minutes = Math.abs(tzOffset);
+  const sign = tzOffset > 0 ? '-' : '+';
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${sign}${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+};
+
+// Date -> "YYYY-MM-DD" in the user's local time
+const dayKey = (date, tzOffset) =>
+  new Date(date.getTime() - tzOffset * 60 * 1000).toISOString().slice(0, 10);
+
+const addDays = (key, count) =>
+  new Date(Date.parse(`${key}T00:00:00Z`) + count * DAY_MS).toISOString().slice(0, 10);
+
+// Monday of the week containing `key`
+const weekStartOf = (key) => {
+  const weekday = new Date(`${key}T00:00:00Z`).getUTCDay();
+  return addDays(key, -((weekday + 6) % 7));
+};
+
+const emptyBucket = () => ({ total: 0, moods: {} });
+
+const countInto = (bucket, mood) => {
+  bucket.total += 1;
+  bucket.moods[mood] = (bucket.moods[mood] || 0) + 1;
+};
+
+// Consecutive days with at least one entry. The current streak still
+// counts if today has no entry yet but yesterday did.
+const computeStreaks = (days, today) => {
+  const daySet = new Set(days);
+  const sorted = [...daySet].sort();
+
+  let longest = 0;
+  let run = 0;
+  sorted.forEach((day, index) => {
+    run = index > 0 && addDays(sorted[index - 1], 1) === day ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  let current = 0;
+  let cursor = daySet.has(today) ? today : addDays(today, -1);
+  while (daySet.has(cursor)) {
+    current += 1;
+    cursor = addDays(cursor, -1);
+  }
+
+  return { current, longest, lastEntryDate: sorted.length > 0 ? sorted[sorted.length - 1] : null };
+};
+
+// History moods are stored as typed, so resolve them the same way journal entries are
+const topRecipesByMood = (historyEntries) => {
+  const counts = {};
+  historyEntries.forEach(({ recipe, recipeName, mood }) => {
+    const resolved = canonicalMood(mood, moodFlavorMap(), moodSynonyms());
+    if (!resolved) return;
+
+    const key = String(recipe);
+    counts[resolved] = counts[resolved] || {};
+    const current = counts[resolved][key] || { recipeId: key, recipeName, count: 0 };
+    current.count += 1;
+    counts[resolved][key] = current;
+  });
+
+  return Object.fromEntries(Object.entries(counts).map(([mood, byRecipe]) => [
+    mood,
+    Object.values(byRecipe)
+      .sort((a, b) => b.count - a.count || a.recipeName.localeCompare(b.recipeName))
+      .slice(0, TOP_RECIPES_PER_MOOD),
+  ]));
+};
+
+// Distributions over the last `days` days, streaks over the whole journal,
+// and the most-cooked recipes per mood over the whole history.
+const getMoodStats = async (userId, { days, tzOffset = 0, now = new Date() }) => {
+  const today = dayKey(now, tzOffset);
+  const firstDay = addDays(today, -(days - 1));
+  // Local midnight of the first day, as a UTC instant
+  const from = new Date(Date.parse(`${firstDay}T00:00:00Z`) + tzOffset * 60 * 1000);
+
+  const [entries, journalDays, historyEntries] = await Promise.all([
+    MoodEntry.find({ user: userId, recordedAt: { $gte: from, $lte: now } }).select('mood recordedAt').lean(),
+    MoodEntry.aggregate([
+      { $match: { user: userId } },
+      { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$recordedAt', timezone: toTimezone(tzOffset) } } } },
+    ]),
+    CookingHistory.find({ user: userId }).select('recipe recipeName mood').lean(),
+  ]);
+
+  const distribution = {};
+  const daily = new Map();
+  const weekly = new Map();
+  for (let day = firstDay; day <= today; day = addDays(day, 1)) {
+    daily.set(day, emptyBucket());
+    if (!weekly.has(weekStartOf(day))) weekly.set(weekStartOf(day), emptyBucket());
+  }
+
+  entries.forEach(({ mood, recordedAt }) => {
+    const key = dayKey(recordedAt, tzOffset);
+    const resolved = mood || UNRESOLVED_MOOD;
+    distribution[resolved] = (distribution[resolved] || 0) + 1;
+    countInto(daily.get(key), resolved);
+    countInto(weekly.get(weekStartOf(key)), resolved);
+  });
+
+  return {
+    range: { from: firstDay, to: today, days, tzOffset },
+    totalEntries: entries.length,
+    distribution,
+    daily: [...daily].map(([date, bucket]) => ({ date, ...bucket })),
+    weekly: [...weekly].map(([weekStart, bucket]) => ({ weekStart, ...bucket })),
+    streaks: computeStreaks(journalDays.map(({ _id }) => _id), today),
+    topRecipesByMood: topRecipesByMood(historyEntries),
+  };
+};
+
+module.exports = {
+  UNRESOLVED_MOOD,
+  getMoodStats,
+};
@@ -0,0 +1,97 @@
+// Per-serving nutrition from structured ingredient lines
+//
+// Each line is converted to grams (by weight, by volume through the
+// ingredient's density, or by count through its piece weight) and priced
+// against the per-100 g table in data/nutrition. Lines that can't be
+// converted are listed in `missing` and the totals marked incomplete.
+const { nutrition } = require('../data/nutrition');
+const { VOLUME_UNITS, WEIGHT_UNITS, DENSITIES } = require('./recipeScaling');
+
+const NUTRIENTS = ['calories', 'protein', 'carbs', 'fat', 'fiber'];
+
+const COUNT_UNITS = ['piece', 'clove', 'slice'];
+
+const GRAMS_PER_PINCH = 0.3;
+
+// Per-serving thresholds behind the nutrition goals accepted by get-recipes
+const NUTRITION_GOALS = {
+  'high-protein': { nutrient: 'protein', min: 20 },
+  'high-fiber': { nutrient: 'fiber', min: 8 },
+  'low-fat': { nutrient: 'fat', max: 15 },
+  'low-calorie': { nutrient: 'calories', max: 400 },
+};
+
+// Grams of one ingredient line, or null when it can't be worked out
+const gramsOf = ({ name, quantity, unit }) => {
+  const data = nutrition[name];
+  if (!data || quantity === null || quantity === undefined) return null;
+
+  if (unit in WEIGHT_UNITS) return quantity * WEIGHT_UNITS[unit];
+  if (unit in VOLUME_UNITS) {
+    const gramsPerCup = data.gramsPerCup || DENSITIES[name] || VOLUME_UNITS.cup;
+    return (quantity * VOLUME_UNITS[unit] * gramsPerCup) / VOLUME_UNITS.cup;
+  }
+  if (unit === 'pinch') return quantity * GRAMS_PER_PINCH;
+  if ((COUNT_UNITS.includes(unit) || unit === null) && data.gramsPerPiece) return quantity * data.gramsPerPiece;
+  return null;
+};
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+// { perServing: { calories, protein, carbs, fat, fiber }, complete, missing }
+// with grams for the macros and kcal for calories
+const computeNutrition = (ingredientLines, servings = 1) => {
+  const totals = Object.fromEntries(NUTRIENTS.map(nutrient => [nutrient, 0]));
+  const missing = [];
+
+  ingredientLines.forEach(line => {
+    const grams = gramsOf(line);
+    if (grams === null) {
+      missing.push(line.name);
+      return;
+    }
+    NUTRIENTS.forEach(nutrient => {
+      totals[nutrient] += (nutrition[line.name][nutrient] * grams) / 100;
+    });
+  });
+
+  const portions = servings > 0 ? servings : 1;
+  return {
+    perServing: Object.fromEntries(NUTRIENTS.map(nutrient => [
+      nutrient,
+      round(totals[nutrient] / portions, nutrient === 'calories' ? 0 : 1),
+    ])),
+    complete: missing.length === 0,
+    missing,
+  };
+};
+
+// Goals and limits a recipe's nutrition fails; recipes with incomplete
+// nutrition fail every check, since their totals are only a lower bound
+const unmetNutritionGoals = (recipeNutrition, { goals = [], maxCalories, minProtein }) => {
+  const checks = [
+    ...goals.map(goal => ({ name: goal, ...NUTRITION_GOALS[goal] })),
+    ...(maxCalories !== undefined ? [{ name: 'maxCalories', nutrient: 'calories', max: maxCalories }] : []),
+    ...(minProtein !== undefined ? [{ name: 'minProtein', nutrient: 'protein', min: minProtein }] : []),
+  ];
+
+  return checks
+    .filter(({ nutrient, min, max }) => {
+      if (!recipeNutrition.complete) return true;
+      const value = recipeNutrition.perServing[nutrient];
+      return (min !== undefined && value < min) || (max !== undefined && value > max);
+    })
+    .map(({ name }) => name);
+};
+
+// Catalog ingredients the nutrition table doesn't cover
+const ingredientsWithoutNutrition = (ingredientNames) =>
+  ingredientNames.filter(name => !nutrition[name]);
+
+module.exports = {
+  NUTRIENTS,
+  NUTRITION_GOALS,
+  computeNutrition,
+  unmetNutritionGoals,
+  ingredientsWithoutNutrition,
+};
@@ -0,0 +1,108 @@
+// Pantry expiry tracking and the "use it up" ordering for recipe results
+//
+// Expiry dates are whole days: an item expiring on the 12th is still good
+// on the 12th and expired from the 13th. Days are counted in UTC.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Items expiring within this many days count as "expiring soon"
+const EXPIRING_SOON_DAYS = 3;
+
+// Items further out than this don't make a recipe more urgent
+const USE_IT_UP_HORIZON_DAYS = 7;
+
+const SORT_MODES = ['relevance', 'use-it-up'];
+
+const startOfDay = (date) => Math.floor(new Date(date).getTime() / DAY_MS);
+
+// Whole days until the item expires: 0 on its last day, negative once expired,
+// null when it has no expiry date
+const daysUntilExpiry = (item, now = new Date()) =>
+  (item.expiresAt ? startOfDay(item.expiresAt) - startOfDay(now) : null);
+
+const expiryStatus = (days) => {
+  if (days === null) return 'fresh';
+  if (days < 0) return 'expired';
+  if (days <= EXPIRING_SOON_DAYS) return 'expiring';
+  return 'fresh';
+};
+
+const toApiPantryItem = (item, now = new Date()) => {
+  const days = daysUntilExpiry(item, now);
+  return {
+    _id: item._id,
+    ingredient: item.ingredient,
+    quantity: item.quantity,
+    unit: item.unit,
+    purchasedAt: item.purchasedAt,
+    expiresAt: item.expiresAt,
+    daysUntilExpiry: days,
+    status: expiryStatus(days),
+    clientId: item.clientId,
+  };
+};
+
+// Summarize pantry items by ingredient. Expired items are left out; an
+// ingredient held more than once keeps its soonest expiry.
+// Returns { ingredients, expired, soonestExpiry: Map(ingredient -> days) }.
+const summarizePantry = (items, now = new Date()) => {
+  const soonestExpiry = new Map();
+  const expired = new Set();
+
+  items.forEach(item => {
+    const days = daysUntilExpiry(item, now);
+    if (days !== null && days < 0) {
+      expired.add(item.ingredient);
+      return;
+    }
+
+    const current = soonestExpiry.get(item.ingredient);
+    if (!soonestExpiry.has(item.ingredient) || (days !== null && (current === null || days < current))) {
+      soonestExpiry.set(item.ingredient, days);
+    }
+  });
+
+  return {
+    ingredients: [...soonestExpiry.keys()],
+    expired: [...expired].filter(ingredient => !soonestExpiry.has(ingredient)),
+    soonestExpiry,
+  };
+};
+
+// How urgently a recipe uses up pantry items: each matched ingredient within
+// the horizon adds 1 on its last day, tapering to 1/8 a week out
+const scoreUseItUp = (recipe, soonestExpiry) => {
+  const expiringIngredients = recipe.matchingIngredients
+    .filter(ingredient => {
+      const days = soonestExpiry.get(ingredient);
+      return days !== undefined && days !== null && days <= USE_IT_UP_HORIZON_DAYS;
+    })
+    .map(ingredient => ({ ingredient, daysUntilExpiry: soonestExpiry.get(ingredient) }))
+    .sort((a, b) => a.daysUntilExpiry - b.daysUntilExpiry);
+
+  const score = expiringIngredients
+    .reduce((sum, { daysUntilExpiry: days }) => sum + 1 / (1 + days), 0);
+
+  return {
+    score: Math.round(score * 100) / 100,
+    expiringIngredients,
+  };
+};
+
+// Re-order ranked recipes so the ones using soon-to-expire items come first.
+// Recipes equally urgent keep their relevance order.
+const sortByUseItUp = (rankedRecipes, soonestExpiry) =>
+  rankedRecipes
+    .map(recipe => ({ ...recipe, useItUp: scoreUseItUp(recipe, soonestExpiry) }))
+    .sort((a, b) => b.useItUp.score - a.useItUp.score || b.matchScore - a.matchScore);
+
+module.exports = {
+  EXPIRING_SOON_DAYS,
+  SORT_MODES,
+  daysUntilExpiry,
+  expiryStatus,
+  toApiPantryItem,
+  summarizePantry,
+  scoreUseItUp,
+  sortByUseItUp,
+};
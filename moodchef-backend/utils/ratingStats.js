@@ -0,0 +1,80 @@
+// Aggregate rating stats per recipe and mood
+//
+// "Mood lift" is moodAfter - moodBefore on the 1-5 check-in scale, so it
+// ranges from -4 to +4. Only ratings with both check-ins count towards it.
+const mongoose = require('mongoose');
+const Rating = require('../models/Rating');
+const Recipe = require('../models/Recipe');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const emptyStats = () => ({ count: 0, averageStars: null, byMood: {} });
+
+const summarize = ({ count, starsTotal, checkIns, liftTotal, lifted }) => ({
+  count,
+  averageStars: count > 0 ? round(starsTotal / count) : null,
+  checkIns,
+  averageMoodLift: checkIns > 0 ? round(liftTotal / checkIns) : null,
+  // Share of check-ins where the cook felt better afterwards
+  liftRate: checkIns > 0 ? round(lifted / checkIns) : null,
+});
+
+// recipeIds -> Map(recipeId string -> { count, averageStars, byMood: { mood: stats } })
+// Recipes without ratings get empty stats.
+const getRatingStats = async (recipeIds) => {
+  const stats = new Map(recipeIds.map(id => [String(id), emptyStats()]));
+  if (recipeIds.length === 0) return stats;
+
+  const hasCheckIn = { $and: [{ $ne: ['$moodBefore', null] }, { $ne: ['$moodAfter', null] }] };
+  const groups = await Rating.aggregate([
+    // aggregate() doesn't cast, so ids must already be ObjectIds
+    { $match: { recipe: { $in: recipeIds.map(id => new mongoose.Types.ObjectId(String(id))) } } },
+    {
+      $group: {
+        _id: { recipe: '$recipe', mood: '$mood' },
+        count: { $sum: 1 },
+        starsTotal: { $sum: '$stars' },
+        checkIns: { $sum: { $cond: [hasCheckIn, 1, 0] } },
+        liftTotal: { $sum: { $cond: [hasCheckIn, { $subtract: ['$moodAfter', '$moodBefore'] }, 0] } },
+        lifted: { $sum: { $cond: [{ $and: [hasCheckIn, { $gt: ['$moodAfter', '$moodBefore'] }] }, 1, 0] } },
+      },
+    },
+  ]);
+
+  const totals = new Map();
+  groups.forEach(({ _id, ...group }) => {
+    const id = String(_id.recipe);
+    const recipeStats = stats.get(id) || emptyStats();
+    recipeStats.byMood[_id.mood] = summarize(group);
+    stats.set(id, recipeStats);
+
+    const total = totals.get(id) || { count: 0, starsTotal: 0 };
+    total.count += group.count;
+    total.starsTotal += group.starsTotal;
+    totals.set(id, total);
+  });
+
+  totals.forEach(({ count, starsTotal }, id) => {
+    const recipeStats = stats.get(id);
+    recipeStats.count = count;
+    recipeStats.averageStars = round(starsTotal / count);
+  });
+
+  return stats;
+};
+
+// Recompute a recipe's stored ratingSummary (used for sorting by rating)
+// and return its full stats
+const refreshRatingSummary = async (recipeId) => {
+  const recipeStats = (await getRatingStats([recipeId])).get(String(recipeId));
+  await Recipe.updateOne(
+    { _id: recipeId },
+    { $set: { ratingSummary: { count: recipeStats.count, averageStars: recipeStats.averageStars } } }
+  );
+  return recipeStats;
+};
+
+module.exports = {
+  getRatingStats,
+  refreshRatingSummary,
+};
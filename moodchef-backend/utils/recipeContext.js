@@ -0,0 +1,116 @@
+// Cooking context for recommendations
+//
+// /api/get-recipes takes an optional `context`:
+//   localTime        - the cook's wall-clock time, "2026-10-19T08:15"
+//                      (seconds and any UTC offset are ignored)
+//   mealType         - breakfast, lunch, dinner or snack
+//   season           - spring, summer, autumn or winter
+//   hemisphere       - north (default) or south, for reading the season
+//                      off localTime
+//   availableMinutes - "I have 15 minutes": longer recipes are left out
+// The meal type and season are worked out from localTime unless given.
+const { MEAL_TYPES, SEASONS } = require('../models/Recipe');
+
+const HEMISPHERES = ['north', 'south'];
+
+const CONTEXT_FIELDS = ['localTime', 'mealType', 'season', 'hemisphere', 'availableMinutes'];
+
+// Meal eaten before each time of day (minutes after midnight)
+const MEAL_WINDOWS = [
+  { until: 5 * 60, mealType: 'snack' },
+  { until: 10 * 60 + 30, mealType: 'breakfast' },
+  { until: 15 * 60, mealType: 'lunch' },
+  { until: 17 * 60, mealType: 'snack' },
+  { until: 22 * 60, mealType: 'dinner' },
+  { until: 24 * 60, mealType: 'snack' },
+];
+
+// Meteorological seasons by month (January first), northern hemisphere
+const NORTHERN_SEASONS = [
+  'winter', 'winter', 'spring', 'spring', 'spring', 'summer',
+  'summer', 'summer', 'autumn', 'autumn', 'autumn', 'winter',
+];
+
+const OPPOSITE_SEASONS = { spring: 'autumn', summer: 'winter', autumn: 'spring', winter: 'summer' };
+
+const LOCAL_TIME = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/;
+
+// "2026-10-19T08:15" -> { month: 9, minutes: 495 }, or null
+const parseLocalTime = (value) => {
+  const match = typeof value === 'string' ? LOCAL_TIME.exec(value) : null;
+  if (!match) return null;
+
+  const [month, day, hours, minutes] = match.slice(2).map(Number);
+  if (month < 1 || month > 12 || day < 1 || day > 31 || hours > 23 || minutes > 59) return null;
+  return { month: month - 1, minutes: hours * 60 + minutes };
+};
+
+const mealTypeAt = (minutes) => MEAL_WINDOWS.find(({ until }) => minutes < until).mealType;
+
+const seasonOf = (month, hemisphere = 'north') => {
+  const season = NORTHERN_SEASONS[month];
+  return hemisphere === 'south' ? OPPOSITE_SEASONS[season] : season;
+};
+
+// Validate a request's context and fill in what localTime implies.
+// Returns { context, details }; context is null when none was sent and
+// lists the fields it worked out in `inferred`.
+const parseContext = (input) => {
+  if (input === undefined || input === null) return { context: null, details: [] };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { context: null, details: [{ field: 'context', message: 'context must be an object' }] };
+  }
+
+  const details = [];
+  const { localTime, mealType, season, hemisphere = 'north', availableMinutes } = input;
+
+  Object.keys(input)
+    .filter(field => !CONTEXT_FIELDS.includes(field))
+    .forEach(field => details.push({ field: `context.${field}`, message: `Unknown field: ${field}` }));
+
+  const time = localTime === undefined ? null : parseLocalTime(localTime);
+  if (localTime !== undefined && !time) {
+    details.push({ field: 'context.localTime', message: 'localTime must be a local date and time like 2026-10-19T08:15' });
+  }
+  if (mealType !== undefined && !MEAL_TYPES.includes(mealType)) {
+    details.push({ field: 'context.mealType', message: `mealType must be one of: ${MEAL_TYPES.join(', ')}` });
+  }
+  if (season !== undefined && !SEASONS.includes(season)) {
+    details.push({ field: 'context.season', message: `season must be one of: ${SEASONS.join(', ')}` });
+  }
+  if (!HEMISPHERES.includes(hemisphere)) {
+    details.push({ field: 'context.hemisphere', message: `hemisphere must be one of: ${HEMISPHERES.join(', ')}` });
+  }
+  if (availableMinutes !== undefined && !(typeof availableMinutes === 'number' && availableMinutes > 0)) {
+    details.push({ field: 'context.availableMinutes', message: 'availableMinutes must be a positive number' });
+  }
+
+  if (details.length > 0) return { context: null, details };
+
+  const inferred = [];
+  const context = {
+    localTime: localTime || null,
+    mealType: mealType || null,
+    season: season || null,
+    availableMinutes: availableMinutes || null,
+    inferred,
+  };
+  if (!context.mealType && time) {
+    context.mealType = mealTypeAt(time.minutes);
+    inferred.push('mealType');
+  }
+  if (!context.season && time) {
+    context.season = seasonOf(time.month, hemisphere);
+    inferred.push('season');
+  }
+
+  return { context, details };
+};
+
+module.exports = {
+  HEMISPHERES,
+  parseLocalTime,
+  mealTypeAt,
+  seasonOf,
+  parseContext,
+};
@@ -0,0 +1,121 @@
+// Novelty and variety for recommendation results
+//
+// Ranking alone gives the same top picks for the same input every day.
+// Recipes the user cooked recently are nudged down (less the longer ago),
+// and a result set skips near-duplicates of recipes already in it: two
+// soups, or two dishes built from mostly the same ingredients.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cooking history older than this no longer counts against a recipe
+const NOVELTY_WINDOW_DAYS = 14;
+
+// Points off matchScore for a recipe cooked today; fades to 0 across the
+// window. Each extra cook in the window adds half as much again, up to the cap.
+const NOVELTY_PENALTY = 15;
+const MAX_NOVELTY_PENALTY = 25;
+
+// Dish words in recipe names; two recipes sharing one are the same kind of dish
+const DISH_TYPES = ['soup', 'salad', 'curry', 'risotto', 'pasta', 'stir-fry', 'toast', 'omelette', 'bowl', 'stew', 'rice'];
+
+// Share of ingredients two recipes have in common (Jaccard) above which
+// they count as near-duplicates
+const NEAR_DUPLICATE_OVERLAP = 0.6;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Earliest cookedAt that still counts against a recipe
+const noveltyWindowStart = (now = new Date()) => new Date(now.getTime() - NOVELTY_WINDOW_DAYS * DAY_MS);
+
+// Map(recipeId -> { penalty, timesCooked, lastCookedAt }) for history
+// entries inside the window
+const noveltyPenalties = (historyEntries, now = new Date()) => {
+  const byRecipe = new Map();
+
+  historyEntries.forEach(({ recipe, cookedAt }) => {
+    const daysAgo = (now - new Date(cookedAt)) / DAY_MS;
+    if (daysAgo < 0 || daysAgo >= NOVELTY_WINDOW_DAYS) return;
+
+    const key = String(recipe);
+    const current = byRecipe.get(key) || { strongest: 0, timesCooked: 0, lastCookedAt: null };
+    const fade = 1 - daysAgo / NOVELTY_WINDOW_DAYS;
+    current.strongest = Math.max(current.strongest, fade);
+    current.timesCooked += 1;
+    if (!current.lastCookedAt || new Date(cookedAt) > current.lastCookedAt) current.lastCookedAt = new Date(cookedAt);
+    byRecipe.set(key, current);
+  });
+
+  const penalties = new Map();
+  byRecipe.forEach(({ strongest, timesCooked, lastCookedAt }, key) => {
+    const penalty = NOVELTY_PENALTY * strongest * (1 + 0.5 * (timesCooked - 1));
+    penalties.set(key, { penalty: round(Math.min(MAX_NOVELTY_PENALTY, penalty)), timesCooked, lastCookedAt });
+  });
+  return penalties;
+};
+
+// Re-sort ranked recipes with recently cooked ones moved down. Penalized
+// recipes get `novelty`; matchScore and its breakdown are left as they are.
+const applyNovelty = (rankedRecipes, penalties) => {
+  if (penalties.size === 0) return rankedRecipes;
+
+  const effective = (recipe) => recipe.matchScore - (recipe.novelty ? recipe.novelty.penalty : 0);
+  return rankedRecipes
+    .map(recipe => {
+      const novelty = penalties.get(String(recipe._id));
+      return novelty ? { ...recipe, novelty } : recipe;
+    })
+    .map((recipe, index) => ({ recipe, index }))
+    .sort((a, b) => effective(b.recipe) - effective(a.recipe) || a.index - b.index)
+    .map(({ recipe }) => recipe);
+};
+
+const dishTypeOf = (recipe) => {
+  const name = recipe.name.toLowerCase();
+  return DISH_TYPES.find(type => new RegExp(`\\b${type}\\b`).test(name)) || null;
+};
+
+const ingredientOverlap = (a, b) => {
+  const first = new Set(a.ingredients);
+  const second = new Set(b.ingredients);
+  const shared = [...first].filter(ingredient => second.has(ingredient)).length;
+  const union = new Set([...first, ...second]).size;
+  return union > 0 ? shared / union : 0;
+};
+
+const isNearDuplicate = (a, b) => {
+  const dishType = dishTypeOf(a);
+  if (dishType && dishType === dishTypeOf(b)) return true;
+  return ingredientOverlap(a, b) >= NEAR_DUPLICATE_OVERLAP;
+};
+
+// Take up to `count` recipes in order, passing over any that is a
+// near-duplicate of one already taken. When there aren't enough different
+// dishes the best of the passed-over ones fill the gap.
+// Returns { recipes, skippedSimilar } where skippedSimilar counts the
+// passed-over recipes still left out.
+const pickDiverse = (recipes, count) => {
+  const picked = [];
+  const passedOver = [];
+
+  for (const recipe of recipes) {
+    if (picked.length === count) break;
+    if (picked.some(other => isNearDuplicate(recipe, other))) {
+      passedOver.push(recipe);
+    } else {
+      picked.push(recipe);
+    }
+  }
+
+  while (picked.length < count && passedOver.length > 0) picked.push(passedOver.shift());
+
+  return { recipes: picked, skippedSimilar: passedOver.length };
+};
+
+module.exports = {
+  NOVELTY_WINDOW_DAYS,
+  noveltyWindowStart,
+  noveltyPenalties,
+  applyNovelty,
+  dishTypeOf,
+  isNearDuplicate,
+  pickDiverse,
+};
@@ -0,0 +1,123 @@
+// Conversions between the structured recipe model and the legacy shape
+//
+// Legacy recipes stored `ingredients` as bare names, `instructions` as one
+// "1. ... 2. ..." string and `cookingTime` as free text. The API still emits
+// those fields, derived from the structured ones, so older clients keep working.
+const { computeNutrition } = require('./nutrition');
+
+// "Comfort Mac & Cheese!" -> "comfort-mac-cheese", "Crème Brûlée" -> "creme-brulee"
+const slugify = (name) =>
+  String(name || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+// "25 minutes", "1 hour 10 minutes", "1.5 hrs" -> minutes
+const parseCookingMinutes = (cookingTime) => {
+  if (typeof cookingTime === 'number') return cookingTime;
+
+  const text = String(cookingTime || '').toLowerCase();
+  const hours = text.match(/(\d+(?:\.\d+)?)\s*(?:h|hr|hrs|hour|hours)\b/);
+  const minutes = text.match(/(\d+(?:\.\d+)?)\s*(?:m|min|mins|minute|minutes)\b/);
+
+  if (!hours && !minutes) {
+    const bare = text.match(/(\d+(?:\.\d+)?)/);
+    return bare ? Number(bare[1]) : null;
+  }
+
+  return Math.round((hours ? Number(hours[1]) * 60 : 0) + (minutes ? Number(minutes[1]) : 0));
+};
+
+// 70 -> "1 hour 10 minutes"
+const formatCookingTime = (totalMinutes) => {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  const parts = [];
+
+  if (hours > 0) parts.push(`${hours} ${hours === 1 ? 'hour' : 'hours'}`);
+  if (minutes > 0 || hours === 0) parts.push(`${minutes} ${minutes === 1 ? 'minute' : 'minutes'}`);
+  return parts.join(' ');
+};
+
+// "1. Cook pasta. 2. Make sauce." -> ['Cook pasta.', 'Make sauce.']
+const parseInstructions = (instructions) =>
+  String(instructions || '')
+    .split(/(?:^|\s+)\d+[.)]\s+/)
+    .map(step => step.trim())
+    .filter(Boolean);
+
+const formatInstructions = (steps) =>
+  steps.map((step, index) => `${index + 1}. ${step}`).join(' ');
+
+// Accepts "pasta" or { name, quantity, unit, notes }
+const toIngredientLine = (ingredient) => {
+  if (typeof ingredient === 'string') {
+    return { name: ingredient, quantity: null, unit: null, notes: '' };
+  }
+  return {
+    name: ingredient.name,
+    quantity: ingredient.quantity === undefined ? null : ingredient.quantity,
+    unit: ingredient.unit === undefined ? null : ingredient.unit,
+    notes: ingredient.notes || '',
+  };
+};
+
+// Convert a legacy-shaped recipe to the structured model. Fields that are
+// already structured are left alone, so this is safe to run twice.
+const fromLegacyRecipe = (recipe) => {
+  const { cookingTime, instructions, ...rest } = recipe;
+  const structured = {
+    ...rest,
+    ingredients: (recipe.ingredients || []).map(toIngredientLine),
+  };
+
+  if (!structured.steps && instructions !== undefined) {
+    structured.steps = parseInstructions(instructions);
+  }
+
+  if (structured.cookMinutes === undefined && cookingTime !== undefined) {
+    structured.cookMinutes = parseCookingMinutes(cookingTime);
+  }
+
+  return structured;
+};
+
+const isLegacyRecipe = (recipe) =>
+  typeof recipe.instructions === 'string'
+  || recipe.cookingTime !== undefined
+  || (recipe.ingredients || []).some(ingredient => typeof ingredient === 'string');
+
+// Shape a recipe document (or lean object) for API responses: structured
+// fields, per-serving `nutrition`, plus the legacy `ingredients`,
+// `instructions` and `cookingTime`.
+const toApiRecipe = (recipe) => {
+  const plain = typeof recipe.toObject === 'function' ? recipe.toObject() : { ...recipe };
+  const ingredientDetails = (plain.ingredients || []).map(toIngredientLine);
+  const steps = plain.steps || [];
+  const totalMinutes = (plain.prepMinutes || 0) + (plain.cookMinutes || 0);
+
+  return {
+    ...plain,
+    ingredients: ingredientDetails.map(({ name }) => name),
+    ingredientDetails,
+    steps,
+    totalMinutes,
+    cookingTime: formatCookingTime(totalMinutes),
+    instructions: formatInstructions(steps),
+    nutrition: computeNutrition(ingredientDetails, plain.servings),
+  };
+};
+
+module.exports = {
+  slugify,
+  parseCookingMinutes,
+  formatCookingTime,
+  parseInstructions,
+  formatInstructions,
+  toIngredientLine,
+  fromLegacyRecipe,
+  isLegacyRecipe,
+  toApiRecipe,
+};
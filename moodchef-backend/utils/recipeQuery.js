@@ -0,0 +1,97 @@
+// Query-string parsing for GET /api/recipes
+//
+// Turns ?mood=sad,lazy&include=rice&maxTime=30&sort=rating&page=2&limit=10
+// into a MongoDB filter, sort and page. Problems are reported in the same
+// { field, message, values? } shape as recipe validation.
+const { resolveIngredient } = require('./ingredientCatalog');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const SORTS = {
+  name: { name: 1 },
+  newest: { createdAt: -1, name: 1 },
+  time: { totalMinutes: 1, name: 1 },
+  rating: { 'ratingSummary.averageStars': -1, 'ratingSummary.count': -1, name: 1 },
+};
+
+// Dietary params are validated by normalizeDietaryProfile
+const QUERY_PARAMS = ['mood', 'include', 'exclude', 'diets', 'maxTime', 'sort', 'page', 'limit'];
+
+// "a, b" -> ['a', 'b']; repeated params (?mood=a&mood=b) are joined
+const toList = (value) =>
+  [].concat(value).join(',').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+
+const parsePositiveInteger = (value, field, max) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || (max && number > max)) {
+    return { details: [{ field, message: `${field} must be an integer from 1${max ? ` to ${max}` : ' up'}` }] };
+  }
+  return { number };
+};
+
+// Returns { filter, sort, sortName, page, limit, details }. `excluded` is
+// the list of ingredient names the dietary profile rules out.
+const parseRecipeQuery = (query, { moodNames, excluded = [] }) => {
+  const details = [];
+  const filter = {};
+
+  Object.keys(query)
+    .filter(param => !QUERY_PARAMS.includes(param))
+    .forEach(param => details.push({ field: param, message: `Unknown query parameter: ${param}` }));
+
+  if (query.mood !== undefined) {
+    const requested = toList(query.mood);
+    const unknown = requested.filter(mood => !moodNames.includes(mood));
+    if (requested.length === 0 || unknown.length > 0) {
+      details.push({ field: 'mood', message: `mood must list known moods: ${moodNames.join(', ')}`, values: unknown });
+    } else {
+      filter.moodTags = { $in: requested };
+    }
+  }
+
+  const ingredientFilter = {};
+  if (query.include !== undefined) {
+    const requested = toList(query.include);
+    const unknown = requested.filter(ingredient => !resolveIngredient(ingredient));
+    if (requested.length === 0 || unknown.length > 0) {
+      details.push({ field: 'include', message: 'include must list catalog ingredients', values: unknown });
+    } else {
+      ingredientFilter.$all = [...new Set(requested.map(resolveIngredient))];
+    }
+  }
+  if (excluded.length > 0) ingredientFilter.$nin = excluded;
+  if (Object.keys(ingredientFilter).length > 0) filter['ingredients.name'] = ingredientFilter;
+
+  if (query.maxTime !== undefined) {
+    const maxTime = Number(query.maxTime);
+    if (!(maxTime > 0)) {
+      details.push({ field: 'maxTime', message: 'maxTime must be a positive number of minutes' });
+    } else {
+      filter.totalMinutes = { $lte: maxTime };
+    }
+  }
+
+  const sortName = query.sort === undefined ? 'name' : String(query.sort);
+  if (!SORTS[sortName]) {
+    details.push({ field: 'sort', message: `sort must be one of: ${Object.keys(SORTS).join(', ')}`, values: [sortName] });
+  }
+
+  const page = query.page === undefined ? { number: 1 } : parsePositiveInteger(query.page, 'page');
+  const limit = query.limit === undefined ? { number: DEFAULT_LIMIT } : parsePositiveInteger(query.limit, 'limit', MAX_LIMIT);
+  details.push(...(page.details || []), ...(limit.details || []));
+
+  return {
+    filter,
+    sort: SORTS[sortName],
+    sortName,
+    page: page.number,
+    limit: limit.number,
+    details,
+  };
+};
+
+module.exports = {
+  SORTS,
+  parseRecipeQuery,
+};
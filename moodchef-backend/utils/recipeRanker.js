@@ -0,0 +1,277 @@
+// Weighted relevance ranking for recipe recommendations
+//
+// Every candidate gets a 0-100 score built from six components, each
+// normalized to 0-1 before weighting:
+//   - ingredientCoverage: share of the recipe's ingredients the user has, with
+//                         partial credit for ones they can substitute
+//   - moodTags:           how much of the interpreted mood the recipe is tagged for
+//   - flavorProfile:      mood flavor words found in the recipe's copy
+//   - cookingTime:        fit against the time budget for the mood
+//   - moodFeedback:       how reliably cooks in this mood felt better afterwards
+//   - context:            fit for the meal of the day and the season
+//
+// When several moods apply (inferred from free text, or picked with
+// intensities, see blendMoods) each one counts by its blend weight.
+const { stem } = require('./moodResolver');
+const { parseCookingMinutes } = require('./recipeFormat');
+const { findSubstitutions } = require('./substitutions');
+const { DEFAULT_TIME_PREFERENCE } = require('../models/Mood');
+
+const SCORE_WEIGHTS = {
+  ingredientCoverage: 0.3,
+  moodTags: 0.2,
+  flavorProfile: 0.1,
+  cookingTime: 0.15,
+  moodFeedback: 0.1,
+  context: 0.15,
+};
+
+// The meal of the day says more about fit than the season does
+const CONTEXT_SHARES = {
+  mealType: 2 / 3,
+  season: 1 / 3,
+};
+
+// Minutes past the budget at which the time score reaches zero.
+const TIME_OVERRUN_TOLERANCE = 30;
+
+// Share of an ingredient's credit lost when it is substituted, on top of
+// the substitute's own confidence
+const SUBSTITUTION_PENALTY = 0.3;
+
+// Number of flavor hits that counts as a full flavor match.
+const FLAVOR_SATURATION = 2;
+
+// Ratings only move the feedback score away from neutral (0.5) once there
+// are a few of them: each mood's stats are blended with this many neutral
+// pseudo-ratings.
+const FEEDBACK_PRIOR = 3;
+
+// Mood lift matters more than stars; a tasty dish that didn't help is still a miss
+const LIFT_SHARE = 0.7;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// How much each mood counts: how sure we are of it times its intensity,
+// relative to the strongest pick so a single mood always counts fully.
+// Moods read from free text have no intensity and count by confidence alone.
+const withBlendWeights = (moods) => {
+  const strongest = Math.max(...moods.map(({ intensity = 1 }) => intensity));
+  return moods.map(mood => {
+    const intensity = mood.intensity === undefined ? 1 : mood.intensity;
+    return { ...mood, weight: mood.confidence * (intensity / strongest) };
+  });
+};
+
+const scoreIngredientCoverage = (recipe, ingredients, dietaryProfile) => {
+  const matched = recipe.ingredients.filter(ingredient => ingredients.includes(ingredient));
+  const lacking = recipe.ingredients.filter(ingredient => !ingredients.includes(ingredient));
+  const substitutions = findSubstitutions(recipe, lacking, ingredients, dietaryProfile);
+  const missing = lacking
+    .filter(ingredient => !substitutions.some(substitution => substitution.ingredient === ingredient));
+  const total = recipe.ingredients.length;
+
+  const substituteCredit = substitutions
+    .reduce((sum, { confidence }) => sum + confidence * (1 - SUBSTITUTION_PENALTY), 0);
+
+  return {
+    score: total > 0 ? (matched.length + substituteCredit) / total : 0,
+    matched: matched.length,
+    substituted: substitutions.length,
+    missing: missing.length,
+    total,
+    matchingIngredients: matched,
+    missingIngredients: missing,
+    substitutions,
+  };
+};
+
+const scoreMoodTags = (recipe, moods, rawMood) => {
+  if (moods.length === 0) {
+    const matched = rawMood && recipe.moodTags.includes(rawMood.toLowerCase());
+    return { score: matched ? 1 : 0, matchedMoods: matched ? [rawMood.toLowerCase()] : [] };
+  }
+
+  const total = moods.reduce((sum, { weight }) => sum + weight, 0);
+  const matchedMoods = moods.filter(({ mood }) => recipe.moodTags.includes(mood));
+  const matchedTotal = matchedMoods.reduce((sum, { weight }) => sum + weight, 0);
+  const topConfidence = Math.max(...moods.map(({ confidence }) => confidence));
+
+  return {
+    score: total > 0 ? (matchedTotal / total) * topConfidence : 0,
+    matchedMoods: matchedMoods.map(({ mood }) => mood),
+  };
+};
+
+const scoreFlavorProfile = (recipe, moods, moodFlavorMap) => {
+  const flavorWeights = new Map();
+  moods.forEach(({ mood, weight }) => {
+    (moodFlavorMap[mood] || []).forEach(flavor => {
+      flavorWeights.set(flavor, Math.max(flavorWeights.get(flavor) || 0, weight));
+    });
+  });
+
+  if (flavorWeights.size === 0) return { score: 0, matchedFlavors: [] };
+
+  const text = [recipe.name, recipe.description, recipe.moodDescription].join(' ').toLowerCase();
+  const recipeStems = new Set(text.split(/[^a-z]+/).filter(Boolean).map(stem));
+
+  const matchedFlavors = [...flavorWeights.keys()].filter(flavor => recipeStems.has(stem(flavor)));
+  const weightedHits = matchedFlavors.reduce((sum, flavor) => sum + flavorWeights.get(flavor), 0);
+
+  return {
+    score: Math.min(1, weightedHits / FLAVOR_SATURATION),
+    matchedFlavors,
+  };
+};
+
+// An explicit limit wins; otherwise each mood's preferred time (from the
+// mood catalog), blended by weight
+const timeBudgetFor = (moods, maxCookingTime, moodTimePreferences = {}) => {
+  if (maxCookingTime) return Number(maxCookingTime);
+  if (moods.length === 0) return DEFAULT_TIME_PREFERENCE;
+
+  const total = moods.reduce((sum, { weight }) => sum + weight, 0);
+  const blended = moods.reduce(
+    (sum, { mood, weight }) => sum + weight * (moodTimePreferences[mood] || DEFAULT_TIME_PREFERENCE),
+    0
+  );
+  return Math.round(blended / total);
+};
+
+const scoreCookingTime = (recipe, budget) => {
+  const minutes = typeof recipe.totalMinutes === 'number'
+    ? recipe.totalMinutes
+    : parseCookingMinutes(recipe.cookingTime);
+  if (minutes === null) return { score: 0.5, minutes, budget };
+
+  const overrun = Math.max(0, minutes - budget);
+  return {
+    score: Math.max(0, 1 - overrun / TIME_OVERRUN_TOLERANCE),
+    minutes,
+    budget,
+  };
+};
+
+// Blend an observed 0-1 score with the neutral prior, by sample size
+const smooth = (score, samples) => (score * samples + 0.5 * FEEDBACK_PRIOR) / (samples + FEEDBACK_PRIOR);
+
+const scoreMoodFeedback = (stats, moods) => {
+  const neutral = { score: 0.5, ratings: 0, averageStars: null, averageMoodLift: null };
+  if (!stats || moods.length === 0) return neutral;
+
+  const rated = moods
+    .map(({ mood, weight }) => ({ weight, moodStats: stats.byMood[mood] }))
+    .filter(({ moodStats }) => moodStats && moodStats.count > 0);
+  if (rated.length === 0) return neutral;
+
+  let weighted = 0;
+  let totalWeight = 0;
+  rated.forEach(({ weight, moodStats }) => {
+    // Stars 1-5 and lift -4..+4 both mapped to 0-1
+    const stars = smooth((moodStats.averageStars - 1) / 4, moodStats.count);
+    const lift = moodStats.checkIns > 0
+      ? smooth((moodStats.averageMoodLift + 4) / 8, moodStats.checkIns)
+      : 0.5;
+    weighted += weight * (LIFT_SHARE * lift + (1 - LIFT_SHARE) * stars);
+    totalWeight += weight;
+  });
+
+  const primary = rated[0].moodStats;
+  return {
+    score: weighted / totalWeight,
+    ratings: rated.reduce((sum, { moodStats }) => sum + moodStats.count, 0),
+    averageStars: primary.averageStars,
+    averageMoodLift: primary.averageMoodLift,
+  };
+};
+
+// 1 when the recipe lists the wanted meal type or season, 0 when it lists
+// others, halfway when it doesn't say
+const tagFit = (tags, wanted) => {
+  if (!tags || tags.length === 0) return 0.5;
+  return tags.includes(wanted) ? 1 : 0;
+};
+
+// Neutral without a context; otherwise the parts the context names, by share
+const scoreContext = (recipe, context) => {
+  const fits = {
+    mealType: context && context.mealType ? tagFit(recipe.mealTypes, context.mealType) : null,
+    season: context && context.season ? tagFit(recipe.seasons, context.season) : null,
+  };
+  const known = Object.keys(fits).filter(part => fits[part] !== null);
+  if (known.length === 0) return { score: 0.5, ...fits };
+
+  const totalShare = known.reduce((sum, part) => sum + CONTEXT_SHARES[part], 0);
+  return {
+    score: known.reduce((sum, part) => sum + fits[part] * CONTEXT_SHARES[part], 0) / totalShare,
+    ...fits,
+  };
+};
+
+const withContribution = (name, component) => ({
+  ...component,
+  score: round(component.score),
+  weight: SCORE_WEIGHTS[name],
+  contribution: round(component.score * SCORE_WEIGHTS[name] * 100),
+});
+
+// Score one recipe. `recipe` is in API shape (see toApiRecipe); `ratingStats`
+// is an optional Map from getRatingStats, `dietaryProfile` keeps
+// substitutes within the user's diet and `context` comes from parseContext.
+const scoreRecipe = (recipe, options) => {
+  const {
+    ingredients,
+    moodInterpretation,
+    moodFlavorMap,
+    moodTimePreferences,
+    rawMood,
+    maxCookingTime,
+    ratingStats,
+    dietaryProfile,
+    context,
+  } = options;
+  const moods = moodInterpretation ? withBlendWeights(moodInterpretation.moods) : [];
+
+  const coverage = scoreIngredientCoverage(recipe, ingredients, dietaryProfile);
+  const { matchingIngredients, missingIngredients, substitutions, ...coverageDetails } = coverage;
+
+  const scoreBreakdown = {
+    ingredientCoverage: withContribution('ingredientCoverage', coverageDetails),
+    moodTags: withContribution('moodTags', scoreMoodTags(recipe, moods, rawMood)),
+    flavorProfile: withContribution('flavorProfile', scoreFlavorProfile(recipe, moods, moodFlavorMap)),
+    cookingTime: withContribution('cookingTime', scoreCookingTime(recipe, timeBudgetFor(moods, maxCookingTime, moodTimePreferences))),
+    moodFeedback: withContribution('moodFeedback', scoreMoodFeedback(ratingStats && ratingStats.get(String(recipe._id)), moods)),
+    context: withContribution('context', scoreContext(recipe, context)),
+  };
+
+  const matchScore = round(
+    Object.values(scoreBreakdown).reduce((sum, { contribution }) => sum + contribution, 0)
+  );
+
+  return {
+    ...recipe,
+    matchScore,
+    matchingIngredients,
+    missingIngredients,
+    substitutions,
+    scoreBreakdown,
+  };
+};
+
+// Score and sort a candidate set, best first. Ties fall back to more
+// matched ingredients, then name, so results are stable.
+const rankRecipes = (recipes, options) =>
+  recipes
+    .map(recipe => scoreRecipe(recipe, options))
+    .sort((a, b) =>
+      b.matchScore - a.matchScore
+      || b.matchingIngredients.length - a.matchingIngredients.length
+      || a.name.localeCompare(b.name)
+    );
+
+module.exports = {
+  rankRecipes,
+  scoreRecipe,
+  SCORE_WEIGHTS,
+};
@@ -0,0 +1,163 @@
+// Serving-size scaling and metric/imperial conversion for ingredient lines
+//
+// Amounts are scaled linearly, converted into the requested unit system and
+// then rounded to something a person can measure: whole eggs, half onions,
+// quarter, third and half cups, 5 g steps.
+
+const UNIT_SYSTEMS = ['metric', 'imperial'];
+
+// Base amounts: volume in ml, weight in g
+const VOLUME_UNITS = { tsp: 4.93, tbsp: 14.79, cup: 236.59, ml: 1, l: 1000 };
+const WEIGHT_UNITS = { g: 1, kg: 1000, oz: 28.35, lb: 453.59 };
+const COUNT_UNITS = ['piece', 'clove', 'slice'];
+
+// Grams per cup, for ingredients usually weighed in metric kitchens
+const DENSITIES = {
+  flour: 125,
+  rice: 185,
+  oats: 90,
+  quinoa: 170,
+  lentils: 190,
+  chickpeas: 165,
+  beans: 180,
+  pasta: 100,
+  cheese: 100,
+  yogurt: 245,
+  butter: 227,
+  spinach: 30,
+  mushroom: 70,
+  herbs: 25,
+};
+
+// Usually bought and weighed in ounces even in cup-measuring kitchens
+const WEIGHED_IN_IMPERIAL = ['pasta', 'chickpeas', 'mushroom', 'spinach'];
+
+// Ingredients and units that can't sensibly be split
+const INDIVISIBLE = ['eggs'];
+const WHOLE_UNITS = ['clove', 'slice'];
+
+// Spoon measures stay as spoons in both systems below this volume (ml)
+const SPOON_LIMIT = 60;
+
+const roundTo = (value, step) => Math.round(Math.round(value / step) * step * 1000) / 1000;
+
+const FRACTIONS = { 0.25: '1/4', 0.5: '1/2', 0.75: '3/4', 0.33: '1/3', 0.67: '2/3', 0.125: '1/8' };
+
+// 1.5 -> "1 1/2", 0.25 -> "1/4", 200 -> "200"
+const formatQuantity = (quantity) => {
+  if (quantity === null || quantity === undefined) return '';
+
+  const whole = Math.floor(quantity);
+  const fraction = Math.round((quantity - whole) * 1000) / 1000;
+  const fractionText = FRACTIONS[fraction] || FRACTIONS[Math.round(fraction * 100) / 100];
+
+  if (fraction === 0) return String(whole);
+  if (!fractionText) return String(Math.round(quantity * 10) / 10);
+  return whole > 0 ? `${whole} ${fractionText}` : fractionText;
+};
+
+const roundMetric = (value, unit) => {
+  if (unit === 'g' && value >= 1000) return { quantity: roundTo(value / 1000, 0.1), unit: 'kg' };
+  if (unit === 'ml' && value >= 1000) return { quantity: roundTo(value / 1000, 0.1), unit: 'l' };
+  if (value < 10) return { quantity: Math.max(1, Math.round(value)), unit };
+  if (value < 100) return { quantity: roundTo(value, 5), unit };
+  return { quantity: roundTo(value, 10), unit };
+};
+
+// Fractions of a cup there are measuring cups for
+const CUP_FRACTIONS = [0, 1 / 4, 1 / 3, 1 / 2, 2 / 3, 3 / 4, 1];
+
+// 0.3 -> 0.333 (1/3 cup), 1.7 -> 1.667 (1 2/3 cups)
+const roundCups = (cups) => {
+  const whole = Math.floor(cups);
+  const fraction = CUP_FRACTIONS.reduce((best, candidate) =>
+    (Math.abs(cups - whole - candidate) < Math.abs(cups - whole - best) ? candidate : best));
+  return Math.round((whole + fraction) * 1000) / 1000;
+};
+
+// Express a volume (ml) in the friendliest of cup / tbsp / tsp
+const roundSpoons = (ml) => {
+  const cups = ml / VOLUME_UNITS.cup;
+  if (cups >= 0.25) return { quantity: Math.max(0.25, roundCups(cups)), unit: 'cup' };
+
+  const tbsp = ml / VOLUME_UNITS.tbsp;
+  if (tbsp >= 1) return { quantity: roundTo(tbsp, 0.5), unit: 'tbsp' };
+
+  const tsp = ml / VOLUME_UNITS.tsp;
+  return { quantity: Math.max(0.125, roundTo(tsp, tsp < 1 ? 0.25 : 0.5)), unit: 'tsp' };
+};
+
+const roundOunces = (grams) => {
+  const ounces = grams / WEIGHT_UNITS.oz;
+  if (ounces >= 16) return { quantity: roundTo(ounces / 16, 0.25), unit: 'lb' };
+  return { quantity: Math.max(0.5, roundTo(ounces, 0.5)), unit: 'oz' };
+};
+
+const roundCount = (value, name, unit) => {
+  if (INDIVISIBLE.includes(name) || WHOLE_UNITS.includes(unit)) return Math.max(1, Math.round(value));
+  return Math.max(0.5, roundTo(value, 0.5));
+};
+
+// Convert an already-scaled amount into the requested system and round it
+const convertAmount = (quantity, unit, name, units) => {
+  if (unit in VOLUME_UNITS) {
+    const ml = quantity * VOLUME_UNITS[unit];
+
+    if (units === 'metric') {
+      if (ml < SPOON_LIMIT && unit !== 'ml' && unit !== 'l') return roundSpoons(ml);
+      if (DENSITIES[name]) return roundMetric((ml / VOLUME_UNITS.cup) * DENSITIES[name], 'g');
+      return roundMetric(ml, 'ml');
+    }
+    return roundSpoons(ml);
+  }
+
+  if (unit in WEIGHT_UNITS) {
+    const grams = quantity * WEIGHT_UNITS[unit];
+
+    if (units === 'metric') return roundMetric(grams, 'g');
+    if (DENSITIES[name] && !WEIGHED_IN_IMPERIAL.includes(name) && grams < 1000) {
+      return roundSpoons((grams / DENSITIES[name]) * VOLUME_UNITS.cup);
+    }
+    return roundOunces(grams);
+  }
+
+  if (COUNT_UNITS.includes(unit)) return { quantity: roundCount(quantity, name, unit), unit };
+
+  // pinch or unknown: whole numbers only
+  return { quantity: Math.max(1, Math.round(quantity)), unit };
+};
+
+// The system a recipe author was writing in, judging by the unit
+const systemOf = (unit) => (['cup', 'tbsp', 'tsp', 'oz', 'lb'].includes(unit) ? 'imperial' : 'metric');
+
+// Scale one ingredient line from `fromServings` to `toServings`. Without
+// `units`, amounts stay in the unit system they were written in.
+const scaleIngredient = (ingredient, fromServings, toServings, units) => {
+  if (ingredient.quantity === null || ingredient.quantity === undefined) {
+    return { ...ingredient, displayQuantity: '' };
+  }
+
+  const scaled = (ingredient.quantity * toServings) / fromServings;
+  const system = units || systemOf(ingredient.unit);
+  const { quantity, unit } = convertAmount(scaled, ingredient.unit, ingredient.name, system);
+
+  return {
+    ...ingredient,
+    quantity,
+    unit,
+    displayQuantity: formatQuantity(quantity),
+  };
+};
+
+const scaleIngredients = (ingredients, fromServings, toServings, units) =>
+  ingredients.map(ingredient => scaleIngredient(ingredient, fromServings, toServings, units));
+
+module.exports = {
+  UNIT_SYSTEMS,
+  VOLUME_UNITS,
+  WEIGHT_UNITS,
+  DENSITIES,
+  formatQuantity,
+  scaleIngredient,
+  scaleIngredients,
+};
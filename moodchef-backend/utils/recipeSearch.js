@@ -0,0 +1,153 @@
+// Full-text recipe search helpers
+//
+// MongoDB's text index does the matching and relevance scoring (with English
+// stemming, so "soups" finds "soup"). It has no typo tolerance, so query words
+// that appear nowhere in the recipes are first corrected to the closest word
+// that does ("risoto" -> "risotto"). Snippets are highlighted here, using the
+// same stemming as the mood resolver.
+const Recipe = require('../models/Recipe');
+const { stem } = require('./moodResolver');
+
+// Searchable fields, most important first. `instructions` and `ingredients`
+// are the joined steps and ingredient names.
+const SEARCH_FIELDS = ['name', 'ingredients', 'description', 'moodDescription', 'instructions'];
+
+const MAX_QUERY_LENGTH = 100;
+const SNIPPET_LENGTH = 120;
+
+// The vocabulary is rebuilt at most this often
+const VOCABULARY_TTL_MS = 60 * 1000;
+
+let vocabulary = null;
+let vocabularyBuiltAt = 0;
+
+const tokenize = (text) => String(text || '').toLowerCase().split(/[^a-z]+/).filter(word => word.length > 1);
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// A recipe's searchable text per field
+const searchableText = (recipe) => ({
+  name: recipe.name,
+  ingredients: (recipe.ingredients || []).map(ingredient => ingredient.name || ingredient).join(', '),
+  description: recipe.description,
+  moodDescription: recipe.moodDescription,
+  instructions: (recipe.steps || []).join(' '),
+});
+
+// Every word in every recipe, as Map(stem -> word)
+const getVocabulary = async () => {
+  if (vocabulary && Date.now() - vocabularyBuiltAt < VOCABULARY_TTL_MS) return vocabulary;
+
+  const recipes = await Recipe.find()
+    .select('name description moodDescription steps ingredients.name')
+    .lean();
+  const words = new Map();
+  recipes.forEach(recipe => {
+    Object.values(searchableText(recipe)).forEach(text => {
+      tokenize(text).forEach(word => {
+        if (!words.has(stem(word))) words.set(stem(word), word);
+      });
+    });
+  });
+
+  vocabulary = words;
+  vocabularyBuiltAt = Date.now();
+  return vocabulary;
+};
+
+// Replace unknown query words with the closest known word: one typo allowed
+// from 4 letters, two from 7. Words with no close match are kept, so the text
+// search simply finds nothing for them.
+// Returns { terms, corrections: [{ from, to }] }.
+const correctTerms = (terms, words) => {
+  const corrections = [];
+
+  const corrected = terms.map(term => {
+    if (words.has(stem(term))) return term;
+
+    const allowed = term.length >= 7 ? 2 : term.length >= 4 ? 1 : 0;
+    if (allowed === 0) return term;
+
+    let best = null;
+    let bestDistance = allowed + 1;
+    words.forEach(word => {
+      if (Math.abs(word.length - term.length) > allowed) return;
+      const distance = editDistance(term, word);
+      if (distance < bestDistance) {
+        best = word;
+        bestDistance = distance;
+      }
+    });
+
+    if (!best) return term;
+    corrections.push({ from: term, to: best });
+    return best;
+  });
+
+  return { terms: corrected, corrections };
+};
+
+// Cut a snippet around the first matching word and report where the matches
+// are within it: { field, snippet, matches: [[start, end], ...] }
+const highlightField = (field, text, stems) => {
+  const matches = [];
+  const wordPattern = /[A-Za-z]+/g;
+  let match = wordPattern.exec(text);
+  while (match) {
+    if (stems.has(stem(match[0].toLowerCase()))) matches.push([match.index, match.index + match[0].length]);
+    match = wordPattern.exec(text);
+  }
+  if (matches.length === 0) return null;
+
+  if (text.length <= SNIPPET_LENGTH) return { field, snippet: text, matches };
+
+  // Start a little before the first match, on a word boundary
+  let start = Math.max(0, matches[0][0] - SNIPPET_LENGTH / 4);
+  if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const offset = prefix.length - start;
+
+  return {
+    field,
+    snippet: `${prefix}${text.slice(start, end)}${suffix}`,
+    matches: matches
+      .filter(([matchStart, matchEnd]) => matchStart >= start && matchEnd <= end)
+      .map(([matchStart, matchEnd]) => [matchStart + offset, matchEnd + offset]),
+  };
+};
+
+// Highlighted snippets for every field of `recipe` that matched `terms`
+const highlightRecipe = (recipe, terms) => {
+  const stems = new Set(terms.map(stem));
+  const texts = searchableText(recipe);
+
+  return SEARCH_FIELDS
+    .map(field => highlightField(field, texts[field] || '', stems))
+    .filter(Boolean);
+};
+
+module.exports = {
+  SEARCH_FIELDS,
+  MAX_QUERY_LENGTH,
+  tokenize,
+  getVocabulary,
+  correctTerms,
+  highlightRecipe,
+};
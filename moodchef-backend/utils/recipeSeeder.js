@@ -0,0 +1,169 @@
+// Fixture-driven recipe seeding
+//
+// Recipes live in versioned JSON files under data/fixtures/recipes, applied
+// in filename order. Each recipe is upserted by its slug, so re-running the
+// seeder only touches recipes whose fixture changed and never removes
+// recipes created through the API (unless `reset` is asked for explicitly).
+// A recipe is only overwritten if the seeder owns it (it has a
+// fixtureVersion) and it has not been edited since its fixture was applied;
+// anything else is skipped and listed in the report.
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const Recipe = require('../models/Recipe');
+const { ingredientNames } = require('./ingredientCatalog');
+const { moodNames } = require('./moodCatalog');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'data', 'fixtures', 'recipes');
+
+// Fields a fixture owns; anything else on the document is left alone
+const FIXTURE_FIELDS = [
+  'name',
+  'moodTags',
+  'ingredients',
+  'description',
+  'steps',
+  'prepMinutes',
+  'cookMinutes',
+  'servings',
+  'difficulty',
+  'dietaryFlags',
+  'mealTypes',
+  'seasons',
+  'moodDescription',
+  'fixtureVersion',
+];
+
+const pick = (source, fields) =>
+  fields.reduce((picked, field) => ({ ...picked, [field]: source[field] }), {});
+
+// Read every fixture file. A later file's recipe replaces an earlier one
+// with the same slug. Returns [{ ...recipe, fixtureVersion }].
+const loadRecipeFixtures = (dir = FIXTURES_DIR) => {
+  const files = fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort();
+  const bySlug = new Map();
+
+  files.forEach(file => {
+    const fixture = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+
+    if (!Number.isInteger(fixture.version) || !Array.isArray(fixture.recipes)) {
+      throw new Error(`${file}: fixture must have an integer "version" and a "recipes" array`);
+    }
+
+    fixture.recipes.forEach((recipe, index) => {
+      if (!recipe.slug) throw new Error(`${file}: recipe #${index + 1} (${recipe.name}) has no slug`);
+      bySlug.set(recipe.slug, { ...recipe, fixtureVersion: fixture.version });
+    });
+  });
+
+  return [...bySlug.values()];
+};
+
+// Validate every fixture, including that its ingredients and moods are in
+// the catalogs, before writing anything
+const validateFixtures = async (fixtures) => {
+  const problems = [];
+  const catalog = ingredientNames();
+  const moods = moodNames();
+
+  for (const fixture of fixtures) {
+    try {
+      await new Recipe(fixture).validate();
+    } catch (error) {
+      problems.push(`${fixture.slug}: ${error.message}`);
+    }
+
+    const uncatalogued = fixture.ingredients.map(({ name }) => name).filter(name => !catalog.includes(name));
+    if (uncatalogued.length > 0) {
+      problems.push(`${fixture.slug}: ingredients not in the catalog: ${uncatalogued.join(', ')}`);
+    }
+
+    const unknownMoods = fixture.moodTags.filter(mood => !moods.includes(mood));
+    if (unknownMoods.length > 0) {
+      problems.push(`${fixture.slug}: unknown mood tags: ${unknownMoods.join(', ')}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid recipe fixtures:\n${problems.join('\n')}`);
+  }
+};
+
+const emptyCounts = () => ({ inserted: 0, updated: 0, unchanged: 0, skipped: 0 });
+
+// Why an existing recipe must not be overwritten by its fixture, or null if
+// it may be. Recipes seeded before slugs existed have no fixtureVersion but
+// are still the seeder's own.
+const skipReason = (existing, fixture) => {
+  if (existing.slug === null || existing.slug === undefined) return null;
+  if (existing.fixtureVersion === null || existing.fixtureVersion === undefined) {
+    return 'not created by the seeder';
+  }
+  if (existing.fixtureVersion >= fixture.fixtureVersion) return 'edited since it was seeded';
+  return null;
+};
+
+// Upsert all fixture recipes. Options:
+//   dryRun - report what would change without writing
+//   reset  - delete every recipe (including user-created ones) first
+// Returns { inserted, updated, unchanged, skipped, deleted, byMood: { mood: counts },
+// skippedRecipes: [{ slug, reason }] }.
+const seedRecipes = async ({ dryRun = false, reset = false } = {}) => {
+  const fixtures = loadRecipeFixtures();
+  await validateFixtures(fixtures);
+
+  const report = { ...emptyCounts(), deleted: 0, dryRun, byMood: {}, skippedRecipes: [] };
+
+  if (reset) {
+    report.deleted = dryRun
+      ? await Recipe.countDocuments()
+      : (await Recipe.deleteMany({})).deletedCount;
+  }
+
+  for (const fixture of fixtures) {
+    // After a reset everything is new. Recipes seeded before slugs existed
+    // are matched by name.
+    const existing = reset
+      ? null
+      : await Recipe.findOne({ $or: [{ slug: fixture.slug }, { slug: null, name: fixture.name }] });
+
+    let outcome;
+    if (!existing) {
+      outcome = 'inserted';
+      if (!dryRun) await Recipe.create(fixture);
+    } else {
+      const expected = pick(new Recipe(fixture).toObject(), FIXTURE_FIELDS);
+      const current = pick(existing.toObject(), FIXTURE_FIELDS);
+      const reason = skipReason(existing, fixture);
+
+      if (isDeepStrictEqual(expected, current) && existing.slug === fixture.slug) {
+        outcome = 'unchanged';
+      } else if (reason) {
+        outcome = 'skipped';
+        report.skippedRecipes.push({ slug: fixture.slug, reason });
+      } else {
+        outcome = 'updated';
+        if (!dryRun) {
+          existing.set({ ...fixture });
+          await existing.save();
+        }
+      }
+    }
+
+    report[outcome] += 1;
+    fixture.moodTags.forEach(mood => {
+      report.byMood[mood] = report.byMood[mood] || emptyCounts();
+      report.byMood[mood][outcome] += 1;
+    });
+  }
+
+  return report;
+};
+
+module.exports = {
+  FIXTURES_DIR,
+  loadRecipeFixtures,
+  seedRecipes,
+};
@@ -0,0 +1,243 @@
+// Recipe input validation
+//
+// Checks request bodies against the rules recipeSchema can't express on its
+// own (known moods, known ingredients, no unknown fields) and turns mongoose
+// validation errors into the same { field, message } shape.
+const {
+  UNITS,
+  DIFFICULTIES,
+  DIETARY_FLAGS,
+  MEAL_TYPES,
+  SEASONS,
+} = require('../models/Recipe');
+const {
+  parseCookingMinutes,
+  parseInstructions,
+  toIngredientLine,
+} = require('./recipeFormat');
+const { resolveIngredient } = require('./ingredientCatalog');
+
+const EDITABLE_FIELDS = [
+  'name',
+  'moodTags',
+  'ingredients',
+  'description',
+  'steps',
+  'prepMinutes',
+  'cookMinutes',
+  'servings',
+  'difficulty',
+  'dietaryFlags',
+  'mealTypes',
+  'seasons',
+  'moodDescription',
+];
+
+// Legacy fields still accepted on input and converted to structured ones
+const LEGACY_FIELDS = ['cookingTime', 'instructions'];
+
+const REQUIRED_FIELDS = ['name', 'moodTags', 'ingredients', 'description', 'steps', 'cookMinutes', 'moodDescription'];
+
+const STRING_FIELDS = ['name', 'description', 'moodDescription'];
+
+const MINUTE_FIELDS = ['prepMinutes', 'cookMinutes'];
+
+// Lists of tags that are lower-cased on input
+const TAG_FIELDS = ['moodTags', 'dietaryFlags', 'mealTypes', 'seasons'];
+
+// Optional tag lists checked against a fixed vocabulary; empty means "any"
+const OPTIONAL_TAG_FIELDS = {
+  dietaryFlags: { allowed: DIETARY_FLAGS, label: 'dietary flags' },
+  mealTypes: { allowed: MEAL_TYPES, label: 'meal types' },
+  seasons: { allowed: SEASONS, label: 'seasons' },
+};
+
+const normalizeName = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : value);
+
+// Catalog name for an alias or plural ("tomatoes" -> "tomato"); unknown
+// names are left for validation to report
+const normalizeIngredientName = (value) =>
+  (typeof value === 'string' ? resolveIngredient(value) || normalizeName(value) : value);
+
+// Trim strings, lower-case tags, map ingredient names onto the catalog and convert legacy
+// `cookingTime` / `instructions` / string ingredients to the structured model.
+const normalizeRecipeInput = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return input;
+
+  const normalized = {};
+
+  Object.entries(input).forEach(([field, value]) => {
+    if (typeof value === 'string') {
+      normalized[field] = value.trim();
+    } else if (TAG_FIELDS.includes(field) && Array.isArray(value)) {
+      normalized[field] = value.map(normalizeName);
+    } else if (field === 'ingredients' && Array.isArray(value)) {
+      normalized[field] = value.map(ingredient => {
+        if (typeof ingredient === 'string') return toIngredientLine(normalizeIngredientName(ingredient));
+        if (ingredient && typeof ingredient === 'object') {
+          return { ...ingredient, name: normalizeIngredientName(ingredient.name) };
+        }
+        return ingredient;
+      });
+    } else if (field === 'steps' && Array.isArray(value)) {
+      normalized[field] = value.map(step => (typeof step === 'string' ? step.trim() : step));
+    } else {
+      normalized[field] = value;
+    }
+  });
+
+  if (normalized.instructions !== undefined && normalized.steps === undefined) {
+    normalized.steps = parseInstructions(normalized.instructions);
+    delete normalized.instructions;
+  }
+
+  if (normalized.cookingTime !== undefined && normalized.cookMinutes === undefined) {
+    const minutes = parseCookingMinutes(normalized.cookingTime);
+    if (minutes !== null) {
+      normalized.cookMinutes = minutes;
+      delete normalized.cookingTime;
+    }
+  }
+
+  return normalized;
+};
+
+const validateTagList = (field, value, allowed, label) => {
+  if (!Array.isArray(value) || value.length === 0) {
+    return [{ field, message: `${field} must be a non-empty array` }];
+  }
+
+  const nonStrings = value.filter(item => typeof item !== 'string' || item === '');
+  if (nonStrings.length > 0) {
+    return [{ field, message: `${field} must only contain non-empty strings` }];
+  }
+
+  const unknown = value.filter(item => !allowed.includes(item));
+  if (unknown.length > 0) {
+    return [{ field, message: `Unknown ${label}: ${unknown.join(', ')}`, values: unknown }];
+  }
+
+  const duplicates = value.filter((item, index) => value.indexOf(item) !== index);
+  if (duplicates.length > 0) {
+    return [{ field, message: `Duplicate ${label}: ${[...new Set(duplicates)].join(', ')}`, values: duplicates }];
+  }
+
+  return [];
+};
+
+const validateIngredientLines = (value, ingredientNames) => {
+  if (!Array.isArray(value) || value.length === 0) {
+    return [{ field: 'ingredients', message: 'ingredients must be a non-empty array' }];
+  }
+
+  const details = [];
+  value.forEach((ingredient, index) => {
+    const field = `ingredients.${index}`;
+
+    if (!ingredient || typeof ingredient !== 'object') {
+      details.push({ field, message: 'Ingredient must be a name or an object with a name' });
+      return;
+    }
+    if (ingredient.quantity !== null && ingredient.quantity !== undefined
+      && !(typeof ingredient.quantity === 'number' && ingredient.quantity >= 0)) {
+      details.push({ field: `${field}.quantity`, message: 'quantity must be a non-negative number' });
+    }
+    if (ingredient.unit !== null && ingredient.unit !== undefined && !UNITS.includes(ingredient.unit)) {
+      details.push({ field: `${field}.unit`, message: `unit must be one of: ${UNITS.join(', ')}` });
+    }
+    if (ingredient.notes !== undefined && typeof ingredient.notes !== 'string') {
+      details.push({ field: `${field}.notes`, message: 'notes must be a string' });
+    }
+  });
+
+  const names = value.filter(ingredient => ingredient && typeof ingredient === 'object')
+    .map(({ name }) => name);
+  details.push(...validateTagList('ingredients', names, ingredientNames, 'ingredients'));
+
+  return details;
+};
+
+// Validate a (normalized) recipe body. With `partial`, only the fields
+// present are checked, for PATCH.
+const validateRecipeInput = (input, { moodNames, ingredientNames, partial = false }) => {
+  const details = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return [{ field: null, message: 'Request body must be a JSON object' }];
+  }
+
+  const has = (field) => field in input;
+
+  Object.keys(input)
+    .filter(field => !EDITABLE_FIELDS.includes(field))
+    .forEach(field => details.push({
+      field,
+      message: LEGACY_FIELDS.includes(field)
+        ? `${field} could not be converted`
+        : `Unknown field: ${field}`,
+    }));
+
+  REQUIRED_FIELDS
+    .filter(field => !partial && !has(field))
+    .forEach(field => details.push({ field, message: `${field} is required` }));
+
+  STRING_FIELDS.filter(field => has(field)).forEach(field => {
+    if (typeof input[field] !== 'string' || input[field] === '') {
+      details.push({ field, message: `${field} must be a non-empty string` });
+    }
+  });
+
+  if (has('moodTags')) {
+    details.push(...validateTagList('moodTags', input.moodTags, moodNames, 'mood tags'));
+  }
+
+  if (has('ingredients')) {
+    details.push(...validateIngredientLines(input.ingredients, ingredientNames));
+  }
+
+  if (has('steps')) {
+    const { steps } = input;
+    if (!Array.isArray(steps) || steps.length === 0
+      || steps.some(step => typeof step !== 'string' || step === '')) {
+      details.push({ field: 'steps', message: 'steps must be a non-empty array of non-empty strings' });
+    }
+  }
+
+  MINUTE_FIELDS.filter(field => has(field)).forEach(field => {
+    if (!(typeof input[field] === 'number' && input[field] >= 0)) {
+      details.push({ field, message: `${field} must be a non-negative number` });
+    }
+  });
+
+  if (has('servings') && !(Number.isInteger(input.servings) && input.servings >= 1)) {
+    details.push({ field: 'servings', message: 'servings must be a positive integer' });
+  }
+
+  if (has('difficulty') && !DIFFICULTIES.includes(input.difficulty)) {
+    details.push({ field: 'difficulty', message: `difficulty must be one of: ${DIFFICULTIES.join(', ')}` });
+  }
+
+  Object.entries(OPTIONAL_TAG_FIELDS).filter(([field]) => has(field)).forEach(([field, { allowed, label }]) => {
+    if (!Array.isArray(input[field])) {
+      details.push({ field, message: `${field} must be an array` });
+    } else {
+      const unknown = input[field].filter(tag => !allowed.includes(tag));
+      if (unknown.length > 0) {
+        details.push({ field, message: `Unknown ${label}: ${unknown.join(', ')}`, values: unknown });
+      }
+    }
+  });
+
+  return details;
+};
+
+// mongoose ValidationError -> [{ field, message }]
+const formatValidationError = (error) =>
+  Object.values(error.errors || {}).map(({ path, message }) => ({ field: path, message }));
+
+module.exports = {
+  EDITABLE_FIELDS,
+  normalizeRecipeInput,
+  validateRecipeInput,
+  formatValidationError,
+};
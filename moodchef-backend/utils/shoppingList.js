@@ -0,0 +1,47 @@
+// Consolidated shopping list for a set of chosen recipes
+//
+// Each ingredient the user doesn't already have appears once, with the
+// recipes that need it and how much they need in total, most-needed first.
+// Amounts are added up per unit ("600 g" of rice across three meals);
+// different units are listed side by side rather than converted.
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Add a recipe line's amount to [{ quantity, unit }]; lines without a
+// quantity ("salt to taste") add nothing
+const addAmount = (amounts, { quantity, unit }) => {
+  if (typeof quantity !== 'number') return amounts;
+  const existing = amounts.find(amount => amount.unit === (unit || null));
+  if (existing) {
+    existing.quantity = roundAmount(existing.quantity + quantity);
+    return amounts;
+  }
+  return [...amounts, { quantity: roundAmount(quantity), unit: unit || null }];
+};
+
+// `recipes` are in API shape; a recipe listed twice (planned for two meals)
+// counts its amounts twice
+const buildShoppingList = (recipes, ingredients = []) => {
+  const have = new Set(ingredients);
+  const items = new Map();
+
+  recipes.forEach(recipe => {
+    const details = recipe.ingredientDetails || recipe.ingredients.map(name => ({ name, quantity: null, unit: null }));
+    details
+      .filter(({ name }) => !have.has(name))
+      .forEach(line => {
+        const item = items.get(line.name) || { ingredient: line.name, recipes: [], amounts: [] };
+        if (!item.recipes.includes(recipe.name)) item.recipes.push(recipe.name);
+        item.amounts = addAmount(item.amounts, line);
+        items.set(line.name, item);
+      });
+  });
+
+  return [...items.values()]
+    .map(item => ({ ...item, count: item.recipes.length }))
+    .sort((a, b) => b.count - a.count || a.ingredient.localeCompare(b.ingredient));
+};
+
+module.exports = {
+  buildShoppingList,
+};
@@ -0,0 +1,72 @@
+// Substitute suggestions for ingredients a recipe needs but the user lacks
+const { substitutions } = require('../data/substitutions');
+const { findViolations } = require('./dietaryFilter');
+
+// Below this a swap is more likely to disappoint than help
+const MIN_SUBSTITUTE_CONFIDENCE = 0.4;
+
+// Words in a recipe's copy that say how its ingredients are used
+const CONTEXT_PATTERNS = {
+  baking: /\b(bake|baked|baking|oven)\b/,
+  sauce: /\b(sauce|gravy|curry|creamy|risotto)\b/,
+  soup: /\b(soup|stew|broth|simmer)\b/,
+  sauteing: /\b(saute|sauteed|stir-fry|stir fry|fry|fried|pan)\b/,
+  raw: /\b(salad|smoothie|raw|toast)\b/,
+};
+
+const substitutesFor = substitutions.reduce((graph, edge) => {
+  graph[edge.from] = [...(graph[edge.from] || []), edge];
+  return graph;
+}, {});
+
+// Contexts a recipe (API shape) cooks in, from its name, description and steps
+const inferCookingContexts = (recipe) => {
+  const text = [recipe.name, recipe.description, ...(recipe.steps || [])].join(' ').toLowerCase();
+  return Object.keys(CONTEXT_PATTERNS).filter(context => CONTEXT_PATTERNS[context].test(text));
+};
+
+// An ingredient can be used in any of the recipe's contexts, so a swap is
+// only as good as its weakest one
+const confidenceIn = (edge, contexts) => {
+  if (contexts.length === 0) return { confidence: edge.confidence.default, context: 'general' };
+
+  return contexts
+    .map(context => ({
+      confidence: edge.confidence[context] === undefined ? edge.confidence.default : edge.confidence[context],
+      context,
+    }))
+    .reduce((weakest, current) => (current.confidence < weakest.confidence ? current : weakest));
+};
+
+// Best substitute from `available` for each of `missing`. Substitutes the
+// recipe already uses, that the dietary profile rules out, or that already
+// stand in for another ingredient are skipped.
+// Returns [{ ingredient, substitute, confidence, context, note }].
+const findSubstitutions = (recipe, missing, available, dietaryProfile) => {
+  const contexts = inferCookingContexts(recipe);
+  const used = new Set(recipe.ingredients);
+
+  return missing.reduce((found, ingredient) => {
+    const [best] = (substitutesFor[ingredient] || [])
+      .filter(edge => available.includes(edge.to) && !used.has(edge.to))
+      .filter(edge => !dietaryProfile || findViolations([edge.to], dietaryProfile).length === 0)
+      .map(edge => ({
+        ingredient,
+        substitute: edge.to,
+        ...confidenceIn(edge, contexts),
+        note: edge.note || '',
+      }))
+      .filter(({ confidence }) => confidence >= MIN_SUBSTITUTE_CONFIDENCE)
+      .sort((a, b) => b.confidence - a.confidence);
+
+    if (!best) return found;
+    used.add(best.substitute);
+    return [...found, best];
+  }, []);
+};
+
+module.exports = {
+  MIN_SUBSTITUTE_CONFIDENCE,
+  inferCookingContexts,
+  findSubstitutions,
+};